@@ -0,0 +1,156 @@
+// server/controllers/attachmentController.js
+
+import fs from "fs";                  // read uploaded temp file
+import fsp from "fs/promises";        // remove temp files
+import { randomUUID } from "crypto";  // unique file ids
+import { pipeline } from "stream/promises"; // stream downloads with error handling
+
+import Issue from "../models/issueModel.js"; // imports Issue model
+import { recordIssueHistory } from "../models/issueHistoryModel.js"; // field-level change log
+import { getStorage, attachmentKey } from "../storage/index.js";    // pluggable file storage
+import { sniffContentType, 
+         isMimeAllowed, 
+         DEFAULT_ALLOWED_MIME_TYPES } from "../utils/sniffMime.js"; // content sniffing + MIME policy
+import { userCanEditIssue } from "../middleware/rbac.js";          // issue edit rule
+
+const safeFilename = (name) => { // strip paths/control chars from client-provided names
+  const base = String(name || "file").split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f]/g, "").trim();
+  return (base || "file").slice(0, 255);
+};
+
+// POST /issues/:id/attachments  (loader + membership checked and file received in routes)
+export const uploadAttachment = async (req,res,next)=>{
+
+  const tempPath = req.file?.path; // multer temp file (always removed at the end)
+
+  try{
+    const issue   = req.issue;
+    const project = req.project;
+    const user    = req.authUser;
+
+    const contentType = await sniffContentType(tempPath, req.file.mimetype); // trust bytes, not the header
+    const allowed     = project.attachmentPolicy?.allowedMimeTypes?.length 
+      ? project.attachmentPolicy.allowedMimeTypes 
+      : DEFAULT_ALLOWED_MIME_TYPES;
+
+    if(!isMimeAllowed(contentType, allowed)){ // per-project MIME policy
+        return res.status(415).json({error:`File type '${contentType}' is not allowed in this project.`, allowed});
+    }
+
+    const fileId = randomUUID();    // storage id (also used in URLs)
+    const attachment = {
+      fileId,
+      filename: safeFilename(req.file.originalname),
+      size: req.file.size,
+      contentType,
+      uploadedBy: user._id,
+      uploadedAt: new Date()
+    };
+
+    await getStorage().put(attachmentKey(fileId), fs.createReadStream(tempPath), { size: req.file.size, contentType });
+
+    const updated = await Issue.findByIdAndUpdate( // add metadata to issue
+      issue._id,
+      { $push: { attachments: attachment } },
+      { new: true }
+    ).lean();
+
+    if(!updated){ // issue vanished meanwhile → don't leave an orphaned file
+      await getStorage().remove(attachmentKey(fileId));
+      return res.status(404).json({error:"Issue not found."});
+    }
+
+    await recordIssueHistory({ 
+      issue, 
+      actorId: user._id, 
+      action: "attachment_added", 
+      changes: [{ field:"attachments", from:null, to:null, added:[attachment.filename] }] 
+    });
+
+    return res.status(201).json({ attachment });
+  }
+  catch(err){ 
+    next(err); 
+  }
+  finally{
+    if(tempPath){ 
+      await fsp.rm(tempPath, { force:true }).catch(() => {}); 
+    }
+  }
+};
+
+// GET /issues/:id/attachments  (loader + membership checked in routes)
+export const listAttachments = async (req,res)=>{
+  return res.json({ attachments: req.issue.attachments || [] });
+};
+
+// GET /issues/:id/attachments/:fileId  (same RBAC as getIssue: loader + membership)
+export const downloadAttachment = async (req,res,next)=>{
+
+  try{
+    const attachment = (req.issue.attachments || []).find(a => a.fileId === req.params.fileId);
+
+    if(!attachment){
+        return res.status(404).json({error:"Attachment not found."});
+    }
+
+    let stream;
+    try{
+      stream = await getStorage().get(attachmentKey(attachment.fileId));
+    }
+    catch(err){ // missing in storage (local: ENOENT, s3: NoSuchKey)
+      if(err?.code==="ENOENT" || err?.name==="NoSuchKey"){
+          return res.status(404).json({error:"Attachment file is missing from storage."});
+      }
+      throw err;
+    }
+
+    res.setHeader("Content-Type", attachment.contentType || "application/octet-stream");
+    res.setHeader("Content-Length", attachment.size);
+    res.setHeader("Content-Disposition", `attachment; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`); // never render inline
+    res.setHeader("X-Content-Type-Options", "nosniff");
+
+    await pipeline(stream, res); // stream straight to client
+  }
+  catch(err){
+    if(res.headersSent){ // mid-stream failure: just drop connection
+      return res.destroy(err);
+    }
+    next(err);
+  }
+};
+
+// DELETE /issues/:id/attachments/:fileId  (uploader, or anyone who can edit the issue)
+export const deleteAttachment = async (req,res,next)=>{
+
+  try{
+    const issue = req.issue;
+    const user  = req.authUser;
+
+    const attachment = (issue.attachments || []).find(a => a.fileId === req.params.fileId);
+
+    if(!attachment){
+        return res.status(404).json({error:"Attachment not found."});
+    }
+
+    const isUploader = attachment.uploadedBy && String(attachment.uploadedBy)===String(user._id);
+    if(!isUploader && !userCanEditIssue(user, req.project, issue)){
+        return res.status(403).json({error:"Not allowed to delete this attachment."});
+    }
+
+    await Issue.updateOne({ _id:issue._id }, { $pull: { attachments: { fileId: attachment.fileId } } });
+    await getStorage().remove(attachmentKey(attachment.fileId));
+
+    await recordIssueHistory({ 
+      issue, 
+      actorId: user._id, 
+      action: "attachment_removed", 
+      changes: [{ field:"attachments", from:null, to:null, removed:[attachment.filename] }] 
+    });
+
+    return res.status(204).send();
+  }
+  catch(err){ 
+    next(err); 
+  }
+};
@@ -0,0 +1,191 @@
+// server/controllers/boardController.js
+
+import mongoose from "mongoose"; // For ObjectId validation
+
+import Issue, { STATUSES } from "../models/issueModel.js"; // imports Issue model + statuses (= board columns)
+import Project from "../models/projectModel.js";            // imports Project model
+import Sprint from "../models/sprintModel.js";              // imports Sprint model
+
+import { ensureColumnRanks,
+         rankForPosition } from "../utils/boardRank.js";    // fractional board ranks
+import { planTransition,
+         checkTransitionGuards,
+         applyTransition,
+         getWipLimit } from "../utils/workflow.js";         // same transition rules as transitionStatus
+import { evaluateSla } from "../utils/sla.js";              // SLA clock follows status
+import { recordIssueHistory,
+         diffIssueFields } from "../models/issueHistoryModel.js"; // field-level change log
+
+const isValidId = (id) => { // validate id helper function
+  return mongoose.Types.ObjectId.isValid(String(id));
+}
+
+const CARD_FIELDS = "_id key title type status priority severity assigneeId labels storyPoints dueDate sla.state boardRank"; // what a card shows
+
+// GET /projects/:id/board?sprintId=&assigneeId=&limit=  (project + membership checked in routes)
+export const getBoard = async (req,res,next)=>{
+
+  try{
+    const project = req.project;
+    const { sprintId, assigneeId } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit ?? "200", 10) || 200, 1), 500); // cards per column
+
+    const find = { projectId:project._id, archivedAt:null }; // trashed issues are off the board
+
+    if(sprintId !== undefined){ // sprint id, 'active' or 'none' (backlog)
+      if(sprintId === "active"){
+        const active = await Sprint.findOne({ projectId:project._id, state:"active" }).select("_id").lean();
+        find.sprintId = active ? active._id : { $exists:false }; // no active sprint → empty board
+      }
+      else if(sprintId === "none"){
+        find.sprintId = null;
+      }
+      else if(isValidId(sprintId)){
+        find.sprintId = sprintId;
+      }
+      else {
+        return res.status(400).json({error:"Invalid sprintId."});
+      }
+    }
+    if(assigneeId !== undefined){
+      if(assigneeId !== "none" && !isValidId(assigneeId)){
+          return res.status(400).json({error:"Invalid assigneeId."});
+      }
+      find.assigneeId = assigneeId === "none" ? null : assigneeId;
+    }
+
+    const columns = [];
+    for(const status of STATUSES){
+      await ensureColumnRanks(project._id, status); // new/unranked issues go to the bottom
+
+      const [issues, count] = await Promise.all([
+        Issue.find({ ...find, status }).sort({ boardRank:1, _id:1 }).limit(limit).select(CARD_FIELDS).lean(),
+        Issue.countDocuments({ projectId:project._id, status, archivedAt:null }) // whole column (what the WIP limit counts)
+      ]);
+
+      columns.push({ status, wipLimit:getWipLimit(project, status), count, issues });
+    }
+
+    return res.json({ columns });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// POST /issues/:id/board-move  (loader + membership checked in routes)
+// Body: { status?, afterId?, beforeId?, transition?, resolution?, comment?, force? }
+export const moveBoardIssue = async (req,res,next)=>{
+
+  try{
+    const issue = await Issue.findById(req.issue._id);
+
+    if(!issue){
+        return res.status(404).json({error:"Issue not found."});
+    }
+
+    const project = req.project;
+    const user    = req.authUser;
+
+    const { status, afterId=null, beforeId=null, transition, resolution, comment, force } = req.body || {};
+    const target = status ?? issue.status; // column to drop the card into
+
+    for(const id of [afterId, beforeId]){
+      if(id !== null && !isValidId(id)){
+          return res.status(400).json({error:"Invalid afterId/beforeId."});
+      }
+    }
+
+    let plan = null;
+    if(target !== issue.status || transition){ // column change → normal workflow rules
+      plan = planTransition({ user, project, issue, to:target, transitionName:transition, fields:{ resolution, comment } });
+      if(plan.error){
+        const { status:code, ...body } = plan;
+        return res.status(code).json(body);
+      }
+
+      const blocked = await checkTransitionGuards({ issue, project, to:plan.transition.to, force: force===true }); // blockers, children, WIP limit
+      if(blocked){
+        const { status:code, ...body } = blocked;
+        return res.status(code).json(body);
+      }
+    }
+
+    await ensureColumnRanks(project._id, target); // neighbours need ranks to place between
+
+    const position = await rankForPosition({ projectId:project._id, status:target, issueId:issue._id, afterId, beforeId });
+    if(position.error){
+        return res.status(400).json({error:position.error});
+    }
+
+    const before = issue.toObject(); // snapshot for the change log
+
+    if(plan){
+      applyTransition(issue, plan.transition, user, { resolution, comment });
+      issue.sla = evaluateSla(issue, project);
+    }
+    issue.boardRank = position.rank;
+
+    const saved = await issue.save();
+
+    if(plan){ // reordering alone isn't worth a history entry
+      await recordIssueHistory({
+        issue: saved,
+        actorId: user._id,
+        action: "transitioned",
+        changes: diffIssueFields(before, saved.toObject(), ["status","resolution"]),
+        note: comment ? String(comment) : ""
+      });
+    }
+
+    return res.json({ issue:saved.toObject(), transition:plan ? plan.transition.name : null });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// GET /projects/:id/board/wip-limits  (members)
+export const getWipLimits = async (req,res)=>{
+  const limits = Object.fromEntries(STATUSES.map(s => [s, getWipLimit(req.project, s)]));
+  return res.json({ wipLimits:limits });
+};
+
+// PUT /projects/:id/board/wip-limits  (lead/admin) — { wipLimits: { in_progress: 5, blocked: null } }
+export const updateWipLimits = async (req,res,next)=>{
+
+  try{
+    const { wipLimits } = req.body || {};
+
+    if(!wipLimits || typeof wipLimits !== "object" || Array.isArray(wipLimits)){
+        return res.status(400).json({error:"wipLimits must be an object of { status: limit }."});
+    }
+
+    const $set = {}, $unset = {};
+    for(const [status, limit] of Object.entries(wipLimits)){
+      if(!STATUSES.includes(status)){
+          return res.status(400).json({error:`Unknown status '${status}'.`});
+      }
+      if(limit === null || limit === 0){ // remove the limit
+        $unset[`wipLimits.${status}`] = 1;
+      }
+      else if(Number.isInteger(limit) && limit > 0 && limit <= 1000){
+        $set[`wipLimits.${status}`] = limit;
+      }
+      else {
+        return res.status(400).json({error:`WIP limit for '${status}' must be a positive integer (or null).`});
+      }
+    }
+
+    const updated = await Project.findByIdAndUpdate(
+      req.project._id,
+      { ...(Object.keys($set).length ? { $set } : {}), ...(Object.keys($unset).length ? { $unset } : {}) },
+      { new:true }
+    ).lean();
+
+    return res.json({ wipLimits: Object.fromEntries(STATUSES.map(s => [s, getWipLimit(updated, s)])) });
+  }
+  catch(err){
+    next(err);
+  }
+};
@@ -0,0 +1,325 @@
+// server/controllers/bulkIssueController.js
+
+/* NOTE: One operation applied to many issues (triage). Issues are picked by id list or by a
+ *       structured query (utils/issueQuery.js), then handled one by one with the same rules as the
+ *       single-issue endpoints: edit rights (userCanEditIssue), workflow/guards for transitions,
+ *       label catalog + membership checks. A failure only affects that issue; the response lists
+ *       the outcome per issue. With dryRun=true nothing is saved and each result shows the
+ *       changes that would be made.
+ */
+
+import mongoose from "mongoose"; // For ObjectId validation
+
+import Issue, { PRIORITIES } from "../models/issueModel.js"; // imports Issue model + priorities
+import Project from "../models/projectModel.js";             // imports Project model
+import User from "../models/user.js";                         // imports User model
+
+import { projectAccessFilter,
+         isProjectMemberOrAdmin,
+         userCanEditIssue } from "../middleware/rbac.js";     // visibility + edit rules
+import { compileIssueQuery,
+         QueryParseError } from "../utils/issueQuery.js";     // structured issue query language
+import { planTransition,
+         checkTransitionGuards,
+         applyTransition } from "../utils/workflow.js";       // same transition rules as transitionStatus
+import { normalizeLabels } from "../utils/labels.js";         // label catalog rules
+import { evaluateSla } from "../utils/sla.js";                // SLA follows status/priority
+import { recordIssueHistory,
+         diffIssueFields } from "../models/issueHistoryModel.js"; // field-level change log
+
+const isValidId = (id) => { // validate id helper function
+  return mongoose.Types.ObjectId.isValid(String(id));
+}
+
+const BULK_MAX = 500; // issues per request
+
+const projectPeople = (project) => new Set([ String(project.leadUserId), ...(project.members || []).map(String) ]);
+
+const fail = (status, error) => ({ status, error });
+
+const failFromError = (err) => { // unexpected error on one issue → fixed message (no driver/Mongoose details)
+  if(err?.name === "ValidationError" || err?.name === "CastError"){
+    return fail(400, "Issue failed validation.");
+  }
+  if(err?.code === 11000){
+    return fail(409, "Update conflicts with another issue.");
+  }
+  console.error("[Bulk] update failed:", err); // keep the details for the server log
+  return fail(500, "Update failed.");
+};
+
+/* Supported operations. check(op) validates the request once (→ error string or null);
+ * apply(ctx) changes ONE issue doc in memory (→ { status, error } on failure).
+ * ctx.moved counts status moves a dry run made but didn't save ("projectId:status" → net change).
+ */
+const OPERATIONS = {
+
+  transition: { // { to?, transition?, resolution?, comment?, force? }
+    fields: ["status","resolution"],
+    action: "transitioned",
+    check: (op) => (!op.to && !op.transition) ? "transition needs 'to' or 'transition'." : null,
+    apply: async ({ issue, project, user, op, moved }) => {
+      if(!op.transition && issue.status === op.to){ // already there
+        return null;
+      }
+      const plan = planTransition({ user, project, issue, to:op.to, transitionName:op.transition, fields:{ resolution:op.resolution, comment:op.comment } });
+      if(plan.error){
+        return fail(plan.status, plan.error);
+      }
+      const blocked = await checkTransitionGuards({
+        issue, project, to:plan.transition.to, force: op.force===true,
+        pending: moved.get(`${issue.projectId}:${plan.transition.to}`) || 0 // earlier (unsaved) moves of this dry run
+      });
+      if(blocked){
+        return fail(blocked.status, blocked.error);
+      }
+      applyTransition(issue, plan.transition, user, { resolution:op.resolution, comment:op.comment });
+      return null;
+    }
+  },
+
+  assign: { // { assigneeId } (null unassigns)
+    fields: ["assigneeId","watchers"],
+    action: "updated",
+    check: (op) => (op.assigneeId === undefined || (op.assigneeId !== null && !isValidId(op.assigneeId))) ? "assign needs 'assigneeId' (a user id or null)." : null,
+    apply: ({ issue, project, op }) => {
+      if(op.assigneeId === null){
+        issue.assigneeId = null;
+        return null;
+      }
+      const people = projectPeople(project);
+      if(!people.has(String(op.assigneeId))){
+        return fail(400, "Assignee must be a project member or the project lead.");
+      }
+      issue.assigneeId = op.assigneeId;
+      if(!(issue.watchers || []).some(w => String(w) === String(op.assigneeId))){ // assignee watches (as in updateIssue)
+        issue.watchers.push(op.assigneeId);
+      }
+      return null;
+    }
+  },
+
+  priority: { // { priority }
+    fields: ["priority"],
+    action: "updated",
+    check: (op) => !PRIORITIES.includes(op.priority) ? `priority must be one of: ${PRIORITIES.join(", ")}.` : null,
+    apply: ({ issue, op }) => {
+      issue.priority = op.priority;
+      return null;
+    }
+  },
+
+  addLabels: { // { labels: [...] }
+    fields: ["labels"],
+    action: "updated",
+    check: (op) => (!Array.isArray(op.labels) || !op.labels.length) ? "addLabels needs a non-empty 'labels' array." : null,
+    apply: ({ issue, project, op }) => {
+      const normalized = normalizeLabels([...(issue.labels || []), ...op.labels], project); // catalog spelling + restrictLabels
+      if(normalized.error){
+        return fail(400, normalized.error);
+      }
+      issue.labels = normalized.labels;
+      return null;
+    }
+  },
+
+  removeLabels: { // { labels: [...] } (case-insensitive)
+    fields: ["labels"],
+    action: "updated",
+    check: (op) => (!Array.isArray(op.labels) || !op.labels.length) ? "removeLabels needs a non-empty 'labels' array." : null,
+    apply: ({ issue, op }) => {
+      const drop = new Set(op.labels.map(l => String(l).trim().toLowerCase()));
+      issue.labels = (issue.labels || []).filter(l => !drop.has(l.toLowerCase()));
+      return null;
+    }
+  },
+
+  addWatchers: { // { userIds: [...] } (must be members of each issue's project)
+    fields: ["watchers"],
+    action: "updated",
+    check: (op) => (!Array.isArray(op.userIds) || !op.userIds.length || op.userIds.some(id => !isValidId(id))) ? "addWatchers needs a non-empty 'userIds' array of user ids." : null,
+    apply: ({ issue, project, op }) => {
+      const people   = projectPeople(project);
+      const outsider = op.userIds.find(id => !people.has(String(id)));
+      if(outsider){
+        return fail(400, `User ${outsider} is not a member of this issue's project.`);
+      }
+      const current = new Set((issue.watchers || []).map(String));
+      op.userIds.map(String).filter(id => !current.has(id)).forEach(id => issue.watchers.push(id));
+      return null;
+    }
+  },
+
+  removeWatchers: { // { userIds: [...] } (reporter and assignee too; as in updateIssue, nobody has to keep watching)
+    fields: ["watchers"],
+    action: "updated",
+    check: (op) => (!Array.isArray(op.userIds) || !op.userIds.length || op.userIds.some(id => !isValidId(id))) ? "removeWatchers needs a non-empty 'userIds' array of user ids." : null,
+    apply: ({ issue, op }) => {
+      const drop = new Set(op.userIds.map(String));
+      issue.watchers = (issue.watchers || []).filter(w => !drop.has(String(w)));
+      return null;
+    }
+  }
+};
+
+const selectIssues = async ({ ids, filter, user }) => { // → { issues, missing } | { error }
+
+  if((ids === undefined) === (filter === undefined)){
+    return { error:"Send either 'ids' or 'filter'." };
+  }
+
+  if(ids !== undefined){
+    if(!Array.isArray(ids) || !ids.length){
+      return { error:"ids must be a non-empty array." };
+    }
+    const unique = [...new Set(ids.map(String))];
+    if(unique.length > BULK_MAX){
+      return { error:`At most ${BULK_MAX} issues per request.` };
+    }
+    const bad = unique.find(id => !isValidId(id));
+    if(bad){
+      return { error:`Invalid issue id: ${bad}` };
+    }
+
+    const found = await Issue.find({ _id: { $in:unique } });
+    const byId  = new Map(found.map(i => [String(i._id), i]));
+    return { issues: unique.map(id => byId.get(id)).filter(Boolean), missing: unique.filter(id => !byId.has(id)) };
+  }
+
+  const { ql, projectId } = filter || {};
+  if(!ql?.trim()){
+    return { error:"filter.ql is required." };
+  }
+
+  const projectFind = { ...projectAccessFilter(user) }; // only projects the user can see
+  if(projectId !== undefined){
+    if(!isValidId(projectId)){
+      return { error:"Invalid filter.projectId." };
+    }
+    projectFind._id = projectId;
+  }
+  const projects = await Project.find(projectFind).select("_id key customFields").lean();
+
+  const compiled = await compileIssueQuery(ql, { user, projects, customFields: projects.flatMap(p => p.customFields || []) });
+  const find = { projectId: { $in:projects.map(p => p._id) }, archivedAt:null, ...compiled };
+
+  const count = await Issue.countDocuments(find);
+  if(count > BULK_MAX){
+    return { error:`Filter matches ${count} issues; narrow it down (max ${BULK_MAX}).` };
+  }
+
+  return { issues: await Issue.find(find).sort({ projectId:1, seq:1 }), missing:[] };
+};
+
+// POST /issues/bulk  — { ids | filter:{ ql, projectId? }, operation:{ type, ... }, dryRun? }
+export const bulkUpdateIssues = async (req,res,next)=>{
+
+  try{
+    const user = req.authUser;
+    const { ids, filter, operation, dryRun=false } = req.body || {};
+
+    const def = OPERATIONS[operation?.type];
+    if(!def){
+        return res.status(400).json({error:`operation.type must be one of: ${Object.keys(OPERATIONS).join(", ")}.`});
+    }
+    const invalid = def.check(operation);
+    if(invalid){
+        return res.status(400).json({error:invalid});
+    }
+
+    // referenced users must exist (checked once, not per issue)
+    if(operation.type === "assign" && operation.assigneeId && !(await User.exists({ _id:operation.assigneeId }))){
+        return res.status(400).json({error:"Assignee does not exist."});
+    }
+    if(operation.type === "addWatchers"){
+      const unique = [...new Set(operation.userIds.map(String))];
+      if(await User.countDocuments({ _id: { $in:unique } }) !== unique.length){
+          return res.status(400).json({error:"One or more user ids do not exist."});
+      }
+    }
+
+    const selected = await selectIssues({ ids, filter, user });
+    if(selected.error){
+        return res.status(400).json({error:selected.error});
+    }
+
+    const projects = new Map(); // projectId → project (loaded once)
+    const moved    = new Map(); // dry run only: "projectId:status" → net issues moved in/out (for WIP limits)
+    const results  = selected.missing.map(id => ({ id, ok:false, status:404, error:"Issue not found." }));
+
+    for(const issue of selected.issues){
+
+      const result = { id:issue._id, key:issue.key };
+      results.push(result);
+
+      try{
+        const pid = String(issue.projectId);
+        if(!projects.has(pid)){
+          projects.set(pid, await Project.findById(pid).lean());
+        }
+        const project = projects.get(pid);
+
+        let problem = null;
+        if(!isProjectMemberOrAdmin(user, project)){ // don't reveal issues of other projects
+          problem = fail(404, "Issue not found.");
+        }
+        else if(issue.archivedAt){
+          problem = fail(409, "Issue is in the trash.");
+        }
+        else if(!userCanEditIssue(user, project, issue)){
+          problem = fail(403, "Not allowed to edit this issue.");
+        }
+
+        const before = issue.toObject();
+        problem = problem || await def.apply({ issue, project, user, op:operation, moved });
+
+        if(problem){
+          Object.assign(result, { ok:false, ...problem });
+          continue;
+        }
+
+        const changes = diffIssueFields(before, issue.toObject(), def.fields);
+        Object.assign(result, { ok:true, changed:changes.length > 0, changes });
+
+        if(dryRun === true && before.status !== issue.status){ // later issues see this move as if it were saved
+          const key = (status) => `${issue.projectId}:${status}`;
+          moved.set(key(before.status), (moved.get(key(before.status)) || 0) - 1);
+          moved.set(key(issue.status),  (moved.get(key(issue.status))  || 0) + 1);
+        }
+        if(dryRun === true || !changes.length){
+          continue;
+        }
+
+        issue.sla = evaluateSla(issue, project); // status/priority may change the SLA target
+        await issue.save();
+
+        await recordIssueHistory({
+          issue,
+          actorId: user._id,
+          action: def.action,
+          changes,
+          note: operation.type === "transition" && operation.comment ? String(operation.comment) : "Bulk update"
+        });
+      }
+      catch(err){ // one bad issue doesn't stop the batch
+        Object.assign(result, { ok:false, ...failFromError(err) });
+      }
+    }
+
+    return res.json({
+      dryRun: dryRun === true,
+      operation: operation.type,
+      total: results.length,
+      succeeded: results.filter(r => r.ok).length,
+      changed: results.filter(r => r.ok && r.changed).length,
+      failed: results.filter(r => !r.ok).length,
+      results
+    });
+  }
+  catch(err){
+    if(err instanceof QueryParseError){ // bad filter.ql → 400 with position of the problem
+      return res.status(400).json({error:err.message, position:err.position});
+    }
+    next(err);
+  }
+};
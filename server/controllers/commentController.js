@@ -3,6 +3,8 @@ import mongoose from "mongoose";
 import Comment  from "../models/commentModel.js"; 
 import Issue    from "../models/issueModel.js"; 
 import Project  from "../models/projectModel.js"; // imports
+import { renderMarkdownBatch,
+         extractMentions } from "../utils/markdown.js"; // Markdown → sanitized HTML, @mentions
 
 const isValidId = (id) =>{ // id validator
   return mongoose.Types.ObjectId.isValid(String(id)); 
@@ -28,6 +30,76 @@ const canEditOrModerate = (user,project,comment)=>{ // Checks if user is author,
   return String(comment.authorId)===uid; //return true if userId matches authorId
 };
 
+const withBodyHtml = async (comments, project, user) => { // adds rendered 'bodyHtml' next to the Markdown 'body'
+  const html = await renderMarkdownBatch(comments.map(c => c.body || ""), { project, user });
+  return comments.map((c, i) => ({ ...c, bodyHtml:html[i] }));
+};
+
+const TREE_DEFAULT_DEPTH = 10;  // reply levels below the top level
+const TREE_MAX_DEPTH     = 100;
+
+const parseTreePaging = (query, defaultLimit) => { // → { limit, skip, maxDepth } | { error }
+  const limit    = Math.min(Math.max(parseInt(query.limit ?? String(defaultLimit), 10) || defaultLimit, 1), 100);
+  const skip     = Math.max(parseInt(query.skip ?? "0", 10) || 0, 0);
+  const maxDepth = query.depth === undefined ? TREE_DEFAULT_DEPTH : Number(query.depth);
+  if(!Number.isInteger(maxDepth) || maxDepth < 0 || maxDepth > TREE_MAX_DEPTH){
+    return { error:`depth must be an integer between 0 and ${TREE_MAX_DEPTH}.` };
+  }
+  return { limit, skip, maxDepth };
+};
+
+/* Nests 'tops' (one page of same-level comments, at 'firstLevel') with their descendants (flat, from
+ * one query). Levels below maxDepth are cut off (node.hasMoreReplies tells there is more). Deleted comments
+ * collapse: without visible replies they are dropped, otherwise they stay as a bodiless placeholder.
+ */
+const buildCommentTree = (tops, descendants, { firstLevel = 0, maxDepth }) => {
+
+  const children = new Map(); // parentId → replies (oldest first)
+  for(const c of [...descendants].sort((a, b) => a.createdAt - b.createdAt || String(a._id).localeCompare(String(b._id)))){
+    const key = String(c.parentId);
+    if(!children.has(key)){ children.set(key, []); }
+    children.get(key).push(c);
+  }
+
+  const build = (comment, level) => {
+    const kids    = children.get(String(comment._id)) || [];
+    const replies = level < maxDepth ? kids.map(k => build(k, level + 1)).filter(Boolean) : [];
+    const hasMoreReplies = level >= maxDepth && kids.length > 0;
+
+    if(comment.deleted){
+      if(!replies.length && !hasMoreReplies){
+        return null; // nothing left below a deleted comment → collapse it
+      }
+      return { _id:comment._id, parentId:comment.parentId, deleted:true, body:"[deleted]", createdAt:comment.createdAt, depth:level, replies, hasMoreReplies };
+    }
+    return { ...comment, depth:level, replies, hasMoreReplies };
+  };
+
+  return tops.map(c => build(c, firstLevel)).filter(Boolean);
+};
+
+const renderTree = async (nodes, project, user) => { // bodyHtml for every live node, one batch
+  const live = [];
+  const walk = (list) => list.forEach(n => { if(!n.deleted){ live.push(n); } walk(n.replies); });
+  walk(nodes);
+
+  const html = await renderMarkdownBatch(live.map(n => n.body || ""), { project, user });
+  live.forEach((n, i) => { n.bodyHtml = html[i]; });
+  return nodes;
+};
+
+// Descendants of 'parents' (all at absolute depth 'level') down to 'levels' levels below them, plus one more level (to flag cut-off replies)
+const findDescendants = (issueId, parents, level, levels) => {
+  if(!parents.length){
+    return [];
+  }
+  return Comment.find({
+    issueId,
+    ancestors: { $in:parents.map(p => p._id) },
+    [`ancestors.${level + levels + 1}`]: { $exists:false } // ancestors.length = absolute depth
+  }).lean();
+};
+
 export const createComment = async (req,res,next)=>{ // POST /issues/:id/comments
 
   try{
@@ -82,7 +154,8 @@ export const createComment = async (req,res,next)=>{ // POST /issues/:id/comment
       issueId:issue._id, 
       authorId:user._id, body, 
       parentId:parentId||null, 
-      ancestors 
+      ancestors,
+      mentions: await extractMentions(body, project) // mentioned project members
     }); 
     
     await Issue.updateOne( // increase comment count for issue by 1
@@ -90,7 +163,8 @@ export const createComment = async (req,res,next)=>{ // POST /issues/:id/comment
       { $inc:{ commentCount:1 } }
     ); 
     
-    return res.status(201).json({comment}); // return new comment
+    const [rendered] = await withBodyHtml([comment.toObject()], project, user);
+    return res.status(201).json({comment:rendered}); // return new comment (+ rendered HTML)
   
   }
   catch(err){ // catch and handle error
@@ -151,7 +225,7 @@ export const listIssueComments = async (req,res,next) => { // GET /issues/:id/co
     );
 
     return res.json({               // sent results
-      comments: normalized,         // normalized version of top-level comments
+      comments: await withBodyHtml(normalized, req.project, req.authUser), // normalized top-level comments (+ rendered HTML)
       page: { skip, limit },        // page echo
       includeDeleted: !hideDeleted  // toggle if deleted is included or not.
     }); 
@@ -205,7 +279,7 @@ export const listReplies = async (req,res,next)=>{ // GET /comments/:id/replies
     );
 
     return res.json({ 
-      replies: normalized, 
+      replies: await withBodyHtml(normalized, req.project, req.authUser), 
       page: { skip, limit },
       includeDeleted: !hideDeleted 
     });
@@ -216,6 +290,80 @@ export const listReplies = async (req,res,next)=>{ // GET /comments/:id/replies
   }
 };
 
+export const getIssueCommentTree = async (req,res,next)=>{ // GET /issues/:id/comments/tree?depth=&limit=&skip= (requires: loadIssue → req.issue)
+
+  try{
+    const issue  = req.issue;
+    const paging = parseTreePaging(req.query, 20); // top-level comments per page
+    if(paging.error){
+      return res.status(400).json({error:paging.error});
+    }
+    const { limit, skip, maxDepth } = paging;
+
+    const tops = await Comment.find({ issueId:issue._id, parentId:null })
+      .sort({createdAt:1, _id:1})   // oldest → newest (same order as the flat list)
+      .skip(skip)
+      .limit(limit + 1)             // one extra → hasMore
+      .lean();
+
+    const hasMore = tops.length > limit;
+    const page    = tops.slice(0, limit);
+
+    const descendants = await findDescendants(issue._id, page, 0, maxDepth); // whole page's threads in one query
+    const comments    = buildCommentTree(page, descendants, { maxDepth });
+
+    return res.json({
+      comments: await renderTree(comments, req.project, req.authUser),
+      page: { skip, limit, hasMore },
+      depth: maxDepth
+    });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+export const getCommentTree = async (req,res,next)=>{ // GET /comments/:id/tree?depth=&limit=&skip= (requires: commentLoader → req.comment)
+
+  try{
+    const root   = req.comment;
+    const paging = parseTreePaging(req.query, 50); // direct replies per page
+    if(paging.error){
+      return res.status(400).json({error:paging.error});
+    }
+    const { limit, skip, maxDepth } = paging;
+    const level = (root.ancestors || []).length + 1; // absolute depth of the direct replies
+
+    const replies = await Comment.find({ issueId:root.issueId, parentId:root._id })
+      .sort({createdAt:1, _id:1})
+      .skip(skip)
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = replies.length > limit;
+    const page    = replies.slice(0, limit);
+
+    const descendants = await findDescendants(root.issueId, page, level, maxDepth - 1);
+    const nodes = maxDepth > 0 ? buildCommentTree(page, descendants, { firstLevel:1, maxDepth }) : []; // depth counts from the requested comment
+
+    const comment = root.deleted // the requested comment is always returned (as a placeholder if deleted)
+      ? { _id:root._id, parentId:root.parentId, deleted:true, body:"[deleted]", createdAt:root.createdAt }
+      : { ...root };
+    Object.assign(comment, { depth:0, replies:nodes, hasMoreReplies: maxDepth === 0 && page.length > 0 });
+
+    await renderTree([comment], req.project, req.authUser);
+
+    return res.json({
+      comment,
+      page: { skip, limit, hasMore },
+      depth: maxDepth
+    });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
 export const updateComment = async (req,res,next)=>{ // PATCH /comments/:id
 
   try{
@@ -246,9 +394,11 @@ export const updateComment = async (req,res,next)=>{ // PATCH /comments/:id
 
     commentDoc.body = body;   // set comment's body content
     commentDoc.edited = true; // set 'edited' flag as true
+    commentDoc.mentions = await extractMentions(body, project); // re-resolve mentions for the new text
 
     const saved = await commentDoc.save();       // save/persist commentDoc to MongoDB database
-    return res.json({comment:saved.toObject()}); // return comment object
+    const [rendered] = await withBodyHtml([saved.toObject()], project, user);
+    return res.json({comment:rendered});         // return comment object (+ rendered HTML)
   }
   catch(err){ 
     next(err); 
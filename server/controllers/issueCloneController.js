@@ -0,0 +1,257 @@
+// server/controllers/issueCloneController.js
+
+/* NOTE: Cloning creates a NEW issue (fresh key, status "open", no work logged) from an existing one,
+ *       in the same project or another project the user can access. The clone keeps a back-reference
+ *       in clonedFromId. Labels, watchers, attachments and the comment thread are copied on request:
+ *       attachment files are copied in storage under new file ids, and comments get new ids with
+ *       parentId/ancestors remapped so replies stay threaded. Deleted comments are only carried over
+ *       (as empty placeholders) when copied replies hang below them.
+ */
+
+import mongoose from "mongoose";      // For ObjectId validation + new comment ids
+import { randomUUID } from "crypto";  // new file ids for copied attachments
+
+import Issue from "../models/issueModel.js";     // imports Issue model
+import Project from "../models/projectModel.js"; // imports Project model
+import Comment from "../models/commentModel.js"; // imports Comment model
+
+import { isProjectMemberOrAdmin } from "../middleware/rbac.js"; // target project access
+import { resolveCustomFields } from "../utils/customFields.js"; // target project's custom fields
+import { checkParentAssignment } from "../utils/issueHierarchy.js"; // parent kept only within a project
+import { isMimeAllowed,
+         DEFAULT_ALLOWED_MIME_TYPES } from "../utils/sniffMime.js"; // target project's MIME policy
+import { evaluateSla } from "../utils/sla.js";                       // starting SLA state
+import { getStorage, attachmentKey } from "../storage/index.js";     // attachment files
+import { recordIssueHistory } from "../models/issueHistoryModel.js"; // field-level change log
+
+const isValidId = (id) => { // validate id helper function
+  return mongoose.Types.ObjectId.isValid(String(id));
+}
+
+const isMissingFile = (err) => err?.code === "ENOENT" || err?.name === "NoSuchKey"; // local / s3
+
+// Copies the source's attachment files under new ids. Returns { attachments, skipped } (files already copied are removed on failure).
+const copyAttachments = async (source, target) => {
+
+  const allowed = target.attachmentPolicy?.allowedMimeTypes?.length
+    ? target.attachmentPolicy.allowedMimeTypes
+    : DEFAULT_ALLOWED_MIME_TYPES;
+
+  const attachments = [], skipped = [];
+  try{
+    for(const a of source.attachments || []){
+      if(!isMimeAllowed(a.contentType, allowed)){ // target project doesn't accept this type
+        skipped.push({ filename:a.filename, reason:"type_not_allowed" });
+        continue;
+      }
+      const fileId = randomUUID();
+      try{
+        await getStorage().copy(attachmentKey(a.fileId), attachmentKey(fileId));
+      }
+      catch(err){
+        if(!isMissingFile(err)){ throw err; }
+        skipped.push({ filename:a.filename, reason:"file_missing" });
+        continue;
+      }
+      attachments.push({ ...a, fileId });
+    }
+  }
+  catch(err){
+    await removeFiles(attachments);
+    throw err;
+  }
+  return { attachments, skipped };
+};
+
+const removeFiles = (attachments) => Promise.all(
+  attachments.map(a => getStorage().remove(attachmentKey(a.fileId)).catch(() => {}))
+);
+
+// Copies a comment thread onto another issue (new ids, same threading, original authors + times). Returns the live comment count.
+const copyCommentThread = async (sourceId, cloneId) => {
+
+  const comments = await Comment.find({ issueId:sourceId }).sort({ createdAt:1, _id:1 }).lean();
+
+  const needed = new Set(); // live comments + every ancestor they hang below
+  for(const c of comments){
+    if(!c.deleted){
+      needed.add(String(c._id));
+      (c.ancestors || []).forEach(a => needed.add(String(a)));
+    }
+  }
+
+  const newIds = new Map(comments.filter(c => needed.has(String(c._id))).map(c => [String(c._id), new mongoose.Types.ObjectId()]));
+
+  const docs = comments
+    .filter(c => newIds.has(String(c._id)))
+    .map(c => ({
+      _id: newIds.get(String(c._id)),
+      issueId: cloneId,
+      authorId: c.authorId,
+      body: c.deleted ? "" : c.body, // deleted text isn't copied
+      parentId: c.parentId ? newIds.get(String(c.parentId)) || null : null,
+      ancestors: (c.ancestors || []).map(a => newIds.get(String(a))).filter(Boolean),
+      mentions: c.deleted ? [] : c.mentions || [],
+      edited: c.edited,
+      deleted: c.deleted,
+      createdAt: c.createdAt,
+      updatedAt: c.updatedAt
+    }));
+
+  if(docs.length){
+    await Comment.insertMany(docs);
+  }
+  return docs.filter(d => !d.deleted).length;
+};
+
+// POST /issues/:id/clone  (loader + membership checked in routes; target project access checked here)
+// Body: { projectId?, projectKey?, title?, labels=true, watchers=false, attachments=false, comments=false, customFields? }
+export const cloneIssue = async (req,res,next)=>{
+
+  let copiedFiles = [];  // removed again if the clone can't be completed
+  let clone = null, complete = false;
+
+  try{
+    const source = req.issue;
+    const user   = req.authUser;
+
+    const {
+      projectId, projectKey, title,
+      labels=true, watchers=false, attachments=false, comments=false,
+      customFields
+    } = req.body || {};
+
+    for(const [name, value] of Object.entries({ labels, watchers, attachments, comments })){
+      if(typeof value !== "boolean"){
+          return res.status(400).json({error:`${name} must be true or false.`});
+      }
+    }
+    if(title !== undefined && (typeof title !== "string" || !title.trim())){
+        return res.status(400).json({error:"title must be a non-empty string."});
+    }
+    if(projectId !== undefined && !isValidId(projectId)){
+        return res.status(400).json({error:"Invalid projectId."});
+    }
+    if(customFields !== undefined && (customFields === null || typeof customFields !== "object" || Array.isArray(customFields))){
+        return res.status(400).json({error:"customFields must be an object of { fieldKey: value }."});
+    }
+
+    let target = req.project; // default: same project
+    if(projectId !== undefined || projectKey !== undefined){
+      target = projectId !== undefined
+        ? await Project.findById(projectId).lean()
+        : await Project.findOne({ key:String(projectKey).trim().toUpperCase() }).lean();
+
+      if(!target || !isProjectMemberOrAdmin(user, target)){ // don't reveal projects the user can't see
+          return res.status(404).json({error:"Target project not found."});
+      }
+    }
+    const sameProject = String(target._id) === String(source.projectId);
+
+    const carried = {}; // custom field values whose key also exists in the target project
+    const targetKeys = new Set((target.customFields || []).map(d => d.key));
+    for(const [k, v] of Object.entries(source.customFields || {})){
+      if(targetKeys.has(k)){ carried[k] = v; }
+    }
+    const custom = resolveCustomFields({ project:target, issueType:source.type, input:{ ...carried, ...(customFields || {}) } });
+    if(custom.error){
+        return res.status(400).json({error:custom.error});
+    }
+
+    let parentId = null, ancestors = []; // parents are per project (and a trashed parent isn't kept)
+    if(sameProject && source.parentId){
+      const parent = await Issue.findById(source.parentId).lean();
+      if(parent && !checkParentAssignment({ childType:source.type, projectId:target._id, parent })){
+        parentId  = parent._id;
+        ancestors = [...(parent.ancestors || []), parent._id];
+      }
+    }
+
+    const members  = new Set([ String(target.leadUserId), ...(target.members || []).map(String) ]);
+    const assignee = source.assigneeId && members.has(String(source.assigneeId)) ? source.assigneeId : null;
+
+    let cloneLabels = [];
+    if(labels){
+      const catalog = new Map((target.labels || []).map(l => [l.name.toLowerCase(), l.name]));
+      cloneLabels = [...new Set(
+        (source.labels || [])
+          .map(l => catalog.get(l.toLowerCase()) || (target.restrictLabels ? null : l)) // catalog spelling; drop unknown if restricted
+          .filter(Boolean)
+      )];
+    }
+
+    const cloneWatchers = new Set([ String(user._id), assignee ? String(assignee) : null ].filter(Boolean)); // as on create
+    if(watchers){
+      (source.watchers || []).forEach(w => cloneWatchers.add(String(w)));
+    }
+
+    let skippedAttachments = [];
+    if(attachments){
+      const copied = await copyAttachments(source, target);
+      copiedFiles        = copied.attachments;
+      skippedAttachments = copied.skipped;
+    }
+
+    clone = new Issue({ // key generated by pre('validate') hook in the target project
+      projectId: target._id,
+      clonedFromId: source._id,
+      title: title?.trim() || source.title,
+      description: source.description,
+      type: source.type,
+      priority: source.priority,
+      severity: source.severity,
+      reporterId: user._id,             // whoever cloned it reports the new issue
+      assigneeId: assignee,
+      labels: cloneLabels,
+      watchers: [...cloneWatchers].filter(id => members.has(id)),
+      attachments: copiedFiles,
+      parentId,
+      ancestors,
+      customFields: custom.values,
+      storyPoints: source.storyPoints ?? null,
+      originalEstimate: source.originalEstimate ?? null,
+      remainingEstimate: source.originalEstimate ?? null // nothing logged on the clone yet
+    });
+    clone.sla = evaluateSla(clone, target);
+    await clone.save();
+
+    let commentCount = 0;
+    if(comments){
+      commentCount = await copyCommentThread(source._id, clone._id);
+      if(commentCount){
+        await Issue.updateOne({ _id:clone._id }, { $set: { commentCount } });
+        clone.commentCount = commentCount;
+      }
+    }
+    complete = true;
+
+    await recordIssueHistory({
+      issue: clone,
+      actorId: user._id,
+      action: "created",
+      note: `Cloned from ${source.key}`
+    });
+    await recordIssueHistory({
+      issue: source,
+      actorId: user._id,
+      action: "cloned",
+      note: `Cloned to ${clone.key}`
+    });
+
+    return res.status(201).json({
+      issue: clone.toObject(),
+      clonedFrom: { _id:source._id, key:source.key },
+      ...(skippedAttachments.length ? { skippedAttachments } : {})
+    });
+  }
+  catch(err){
+    if(!complete){ // don't leave a half clone (or orphaned file copies) behind
+      if(clone && !clone.isNew){
+        await Comment.deleteMany({ issueId:clone._id }).catch(() => {});
+        await Issue.deleteOne({ _id:clone._id }).catch(() => {});
+      }
+      await removeFiles(copiedFiles);
+    }
+    next(err);
+  }
+};
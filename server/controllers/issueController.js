@@ -6,32 +6,191 @@ import Issue,
     { STATUSES, 
       TYPES, 
       PRIORITIES, 
-      SEVERITIES } from "../models/issueModel.js"; // imports Issue model + created enums
+      SEVERITIES,
+      CHILD_TYPES,
+      SLA_STATES } from "../models/issueModel.js"; // imports Issue model + created enums
 
 import Project from "../models/projectModel.js";  // imports Project model
 import User from "../models/user.js";             // imports User model
+
+import { encodeCursor,
+         decodeCursor,
+         buildKeysetFilter,
+         parseLimit } from "../utils/pagination.js"; // cursor (keyset) pagination helpers
+
+import { compileIssueQuery,
+         QueryParseError } from "../utils/issueQuery.js";   // structured issue query language
+import { projectAccessFilter, 
+         userCanEditIssue } from "../middleware/rbac.js"; // which projects a user can see + issue edit rule
+
+import { normalizeLabels } from "../utils/labels.js"; // label validation (project label catalog)
+import { resolveCustomFields,
+         buildCustomFieldFilter } from "../utils/customFields.js"; // per-project custom field validation/filters
+
+import { parseDuration } from "../utils/duration.js"; // "2h 30m" → minutes (time estimates)
+import { evaluateSla,
+         withCurrentSla } from "../utils/sla.js";      // SLA state (policies + due date) + elapsed time on read
+import { checkSprintAssignment,
+         parseStoryPoints } from "../utils/sprints.js";  // sprint planning helpers
+
+import { checkParentAssignment } from "../utils/issueHierarchy.js"; // parent/child issue helpers
+import { findSimilarIssues,
+         DUPLICATE_THRESHOLD } from "../utils/duplicates.js";   // duplicate detection (text index + similarity)
+import { parseIfMatch,
+         matchesIfMatch,
+         revisionFilter,
+         setEtag,
+         sendPreconditionFailed } from "../utils/revision.js";  // optimistic concurrency (ETag / If-Match)
+import IssueTemplate from "../models/issueTemplateModel.js";   // issue templates
+import { applyIssueTemplate } from "../utils/issueTemplates.js"; // template defaults for createIssue
+import { renderMarkdownBatch } from "../utils/markdown.js";     // Markdown description → sanitized HTML
+
+import IssueHistory, 
+    { recordIssueHistory, 
+      diffIssueFields } from "../models/issueHistoryModel.js"; // field-level change log
+
+import { planTransition,
+         checkTransitionGuards,
+         applyTransition,
+         listAllowedTransitions } from "../utils/workflow.js"; // per-project workflow (state machine) helpers
   
 const isValidId = (id) => { // validate id helper function
   return mongoose.Types.ObjectId.isValid(String(id));
 }
 
-const userCanEditIssue = (user, project, issue)=>{ // Checks if user is allowed to edit issue for project
+const TRACKED_FIELDS = [ // issue fields recorded in the change log when edited
+  "title","description","type","priority","severity","assigneeId","labels","watchers",
+  "originalEstimate","remainingEstimate","dueDate","sprintId","storyPoints"
+];
+
+const diffCustomFields = (before, after) => { // per-key change entries ("customFields.<key>")
+  const flat = (map) => Object.fromEntries([...(map instanceof Map ? map : Object.entries(map || {}))]
+    .map(([k, v]) => [`customFields.${k}`, v]));
+  const a = flat(before), b = flat(after);
+  return diffIssueFields(a, b, [...new Set([...Object.keys(a), ...Object.keys(b)])]);
+};
+
+const SORTS = { // ?sort= option → stored field + default direction (1 = asc, -1 = desc); each has a {projectId, field, _id} index (issueModel.js), except score
+  createdAt: { field:"createdAt",    dir:-1 },
+  updatedAt: { field:"updatedAt",    dir:-1 },
+  priority:  { field:"priorityRank", dir:-1 }, // critical first
+  status:    { field:"statusRank",   dir:1  }, // workflow order (open → closed)
+  key:       { field:"seq",          dir:1  }, // numeric key order (BT-9 before BT-10)
+  dueDate:   { field:"dueDate",      dir:1  }, // soonest due first
+  votes:     { field:"voteCount",    dir:-1 }, // most upvoted first
+  score:     { field:"score",        dir:-1 }  // text relevance (requires q)
+};
+
+/* Runs a sorted, cursor-paginated issue query for a base 'find' filter.
+ * Query params used: sort, order (asc|desc), limit, cursor, counts=true.
+ * Returns { issues, page, counts? } or { error } for invalid params.
+ */
+const pageIssues = async (find, query = {}) => {
+
+  const sortName = query.sort || "createdAt";
+  const sortDef  = SORTS[sortName];
+
+  if(!sortDef){ // unknown sort option
+    return { error:`Invalid sort. Use one of: ${Object.keys(SORTS).join(", ")}.` };
+  }
+  if(sortName==="score" && !find.$text){ // relevance only exists for text searches
+    return { error:"sort=score requires a 'q' search term." };
+  }
+  if(query.order!==undefined && !["asc","desc"].includes(query.order)){
+    return { error:"order must be 'asc' or 'desc'." };
+  }
+
+  const dir   = query.order ? (query.order==="asc" ? 1 : -1) : sortDef.dir; // requested or default direction
+  const field = sortDef.field;
+  const limit = parseLimit(query.limit, 50, 200); // page size (default 50, max 200)
 
-  if (!user || !project || !issue) { // end function if any inputs missing
-    return false;
-  }              
-  if(user.role==="admin") { // If user is Admin, grant full access
-    return true;                   
+  const match = Issue.find().cast(Issue, find); // cast ids/dates since aggregate() doesn't
+
+  const pipeline = [ { $match: match } ]; // $text (if any) must stay in the first stage
+
+  if(field==="score"){ // expose text score so it can be sorted + paged on
+    pipeline.push({ $addFields: { score: { $meta:"textScore" } } });
+  }
+
+  if(query.cursor){ // continue after the last item of the previous page
+    const cursor = decodeCursor(query.cursor);
+
+    if(!cursor || cursor.s!==sortName || cursor.d!==dir || !isValidId(cursor.id)){
+      return { error:"Invalid cursor (it must come from a previous page with the same sort/order)." };
+    }
+
+    const keyset = buildKeysetFilter(field, dir, cursor.v, cursor.id);
+    pipeline.push({ 
+      $match: field==="score" ? castKeyset(keyset) : Issue.find().cast(Issue, keyset) 
+    });
   }
 
-  // Check user's other role(s)
-  const uid      = String(user._id);                         // Get current user's id
-  const isLead   = String(project.leadUserId)===uid;         // Check's if user is project lead
-  const isMember = project.members.some(m=>String(m)===uid); // Check is user is a project team member
+  pipeline.push(
+    { $sort: { [field]:dir, _id:dir } }, // _id tie-breaker keeps order stable
+    { $limit: limit + 1 }                // fetch one extra to know if more pages exist
+  );
+
+  const rows    = await Issue.aggregate(pipeline);
+  const hasMore = rows.length > limit;
+  const now     = new Date();
+  const issues  = (hasMore ? rows.slice(0, limit) : rows).map(i => withCurrentSla(i, now));
+  const last    = issues[issues.length - 1];
+
+  const result = {
+    issues,
+    page: {
+      limit,
+      sort: sortName,
+      order: dir===1 ? "asc" : "desc",
+      hasMore,
+      nextCursor: hasMore ? encodeCursor({ s:sortName, d:dir, v:last[field] ?? null, id:String(last._id) }) : null
+    }
+  };
+
+  if(query.counts==="true"){ // optional totals + facet counts for the whole (unpaged) filter
+    const [facets] = await Issue.aggregate([
+      { $match: match },
+      { $facet: {
+          total:    [ { $count:"n" } ],
+          status:   [ { $group: { _id:"$status",   n: { $sum:1 } } } ],
+          priority: [ { $group: { _id:"$priority", n: { $sum:1 } } } ]
+      } }
+    ]);
+
+    const toMap = (list) => Object.fromEntries(list.map(x => [x._id, x.n]));
+
+    result.counts = {
+      total:    facets.total[0]?.n || 0,
+      status:   { ...Object.fromEntries(STATUSES.map(x => [x,0])),   ...toMap(facets.status) },
+      priority: { ...Object.fromEntries(PRIORITIES.map(x => [x,0])), ...toMap(facets.priority) }
+    };
+  }
 
-  // Check is user is a Reporter (One who reports the issue) OR assignee (one who fixes the issue).
-  const isReporterOrAssignee = String(issue.reporterId)===uid ||(issue.assigneeId && String(issue.assigneeId)===uid); 
-  return isLead || (isMember && isReporterOrAssignee);   // Allowed if user is a lead OR a (member + reporter/assignee)
+  return result;
+};
+
+const parseDueDate = (raw) => { // ISO date/datetime or null → { value } | { error }
+  if(raw === null || raw === ""){
+    return { value:null };
+  }
+  const d = new Date(raw);
+  return Number.isNaN(d.getTime()) ? { error:"Invalid dueDate." } : { value:d };
+};
+
+const parseSlaFilter = (raw) => { // '?sla=breached,at_risk' → { filter } | { error }
+  const states = String(raw).split(",").map(x => x.trim()).filter(Boolean);
+  const bad = states.find(x => !SLA_STATES.includes(x));
+  if(!states.length || bad){
+    return { error:`Invalid sla state. Use one of: ${SLA_STATES.join(", ")}.` };
+  }
+  return { filter: { "sla.state": states.length === 1 ? states[0] : { $in:states } } };
+};
+
+const castKeyset = (keyset) => { // casts only the _id parts of a keyset filter (score isn't a schema path)
+  const cast = (clause) => clause._id 
+    ? { ...clause, _id: Object.fromEntries(Object.entries(clause._id).map(([op,v]) => [op, new mongoose.Types.ObjectId(String(v))])) } 
+    : clause;
+  return keyset.$or ? { $or: keyset.$or.map(cast) } : cast(keyset);
 };
 
 // POST /projects/:pid/issues  (project must be loaded & membership checked in routes)
@@ -53,6 +212,22 @@ export const createIssue = async (req,res,next)=>{
         return res.status(404).json({error:"Project not found."}); 
     }
 
+    let input = req.body || {};
+    let template = null; // optional issue template (fills in defaults)
+    if(input.templateId !== undefined && input.templateId !== null){
+      if(!isValidId(input.templateId)){
+          return res.status(400).json({error:"Invalid templateId."});
+      }
+      template = await IssueTemplate.findOne({ _id:input.templateId, projectId:pid }).lean();
+      if(!template){
+          return res.status(404).json({error:"Template not found."});
+      }
+      input = applyIssueTemplate(template, input, project);
+      if(input.error){
+          return res.status(400).json({error:input.error});
+      }
+    }
+
     const {
       title, 
       description="", 
@@ -61,8 +236,14 @@ export const createIssue = async (req,res,next)=>{
       severity="major",
       assigneeId=null, 
       labels=[], 
-      watchers=[]
-    } = req.body||{};  // Destructure values from request body (which also has default values if not provided)
+      watchers=[],
+      parentId=null,
+      customFields,
+      dueDate=null,
+      sprintId=null,
+      storyPoints=null,
+      allowDuplicate=false
+    } = input;  // Destructure values from request body (which also has default values if not provided)
 
     if(!title?.trim()) { // return error if title is missing
         return res.status(400).json({error:"title is required."}); 
@@ -79,6 +260,44 @@ export const createIssue = async (req,res,next)=>{
         return res.status(400).json({error:"Invalid severity."});
     }
 
+    const due = parseDueDate(dueDate); // optional deadline
+    if(due.error){
+        return res.status(400).json({error:due.error});
+    }
+
+    const points = parseStoryPoints(storyPoints); // optional size estimate
+    if(points.error){
+        return res.status(400).json({error:points.error});
+    }
+
+    const sprint = await checkSprintAssignment(sprintId, pid); // optional sprint (must be this project's, not closed)
+    if(sprint.error){
+        return res.status(400).json({error:sprint.error});
+    }
+
+    const normalizedLabels = normalizeLabels(labels, project); // validate labels against project's catalog
+    if(normalizedLabels.error){
+        return res.status(400).json({error:normalizedLabels.error});
+    }
+
+    const custom = resolveCustomFields({ project, issueType:type, input:customFields }); // defaults + typed validation
+    if(custom.error){
+        return res.status(400).json({error:custom.error});
+    }
+
+    let ancestors = []; // parent chain (epic → story → subtask)
+    if(parentId!==null){ 
+      if(!isValidId(parentId)){
+          return res.status(400).json({error:"Invalid parentId."});
+      }
+      const parent  = await Issue.findById(parentId).lean();
+      const invalid = checkParentAssignment({ childType:type, projectId:pid, parent });
+      if(invalid){
+          return res.status(parent ? 400 : 404).json({error:invalid});
+      }
+      ancestors = [...(parent.ancestors || []), parent._id];
+    }
+
     // Membership gate already done in routes; reporter is current user
     const reporterId = req.authUser._id;    // Reporter = current user
 
@@ -119,8 +338,23 @@ export const createIssue = async (req,res,next)=>{
     const allowedWatch = new Set([ String(project.leadUserId), ...project.members.map(m => String(m)) ]);
     const finalWatchers = [...baseWatchers].filter(id => allowedWatch.has(id));
 
+    // Near-exact duplicates of still-open issues: reported ("warn") or refused ("block") per project policy
+    const duplicatePolicy = project.duplicatePolicy || "warn";
+    let duplicates = [];
+    if(duplicatePolicy !== "off"){
+      duplicates = (await findSimilarIssues({ projectId:pid, title, description, openOnly:true }))
+        .filter(d => d.similarity >= DUPLICATE_THRESHOLD);
+
+      if(duplicatePolicy === "block" && duplicates.length && allowDuplicate !== true){
+        return res.status(409).json({ 
+          error:"This looks like a duplicate of an open issue. Resend with allowDuplicate=true to create it anyway.", 
+          duplicates 
+        });
+      }
+    }
+
     // Create 'issue' to pass on (key generated by pre('validate') hook)
-    const issue = await Issue.create({
+    const issue = new Issue({
       projectId: pid, // parent project where issue lies
       title, 
       description, 
@@ -129,18 +363,66 @@ export const createIssue = async (req,res,next)=>{
       severity,
       reporterId, // current user Id (one who reported)
       assigneeId: assigneeId || null, // Null = unassigned (triage-first)
-      labels,
-      watchers: finalWatchers                       // Deduped & membership-restricted
+      labels: normalizedLabels.labels,
+      watchers: finalWatchers,                      // Deduped & membership-restricted
                                                     // Mongoose will cast to ObjectId
+      parentId: parentId || null,                   // parent issue (if any)
+      ancestors,
+      customFields: custom.values,                  // validated custom field values
+      dueDate: due.value,
+      sprintId: sprint.sprintId,
+      storyPoints: points.points
+    });
+    issue.sla = evaluateSla(issue, project);        // starting SLA state (policy + due date)
+    await issue.save();
+
+    await recordIssueHistory({ // first entry of the change log
+      issue, 
+      actorId: reporterId, 
+      action: "created", 
+      note: template ? `From template '${template.name}'` : ""
     });
 
-    return res.status(201).json({issue}); // return success (201) response regarding that 'issue' has passed
+    return res.status(201).json({ // return success (201) response regarding that 'issue' has passed
+      issue, 
+      ...(duplicates.length ? { possibleDuplicates:duplicates } : {}) // "warn" policy (or overridden "block")
+    });
   }
   catch(err){ // error handling
     next(err); 
   }
 };
 
+// POST /projects/:pid/issues/similar  (project + membership checked in routes) — likely duplicates of a draft
+export const findSimilar = async (req,res,next)=>{
+
+  try{
+    const { title="", description="", limit, excludeId } = req.body || {};
+
+    if(!String(title).trim() && !String(description).trim()){
+        return res.status(400).json({error:"title or description is required."});
+    }
+    if(excludeId !== undefined && !isValidId(excludeId)){
+        return res.status(400).json({error:"Invalid excludeId."});
+    }
+
+    const similar = await findSimilarIssues({ 
+      projectId: req.project._id, 
+      title: String(title), 
+      description: String(description), 
+      limit: parseLimit(limit, 5, 20),
+      excludeId 
+    });
+
+    return res.json({ 
+      similar: similar.map(s => ({ ...s, likelyDuplicate: s.similarity >= DUPLICATE_THRESHOLD })) 
+    });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
 // GET /projects/:pid/issues  (project + membership checked in routes)
 export const listIssues = async (req,res,next)=>{
 
@@ -157,11 +439,16 @@ export const listIssues = async (req,res,next)=>{
         return res.status(404).json({error:"Project not found."});
     }
 
-    // Filters (NOTE: 'q' is the free-text search query (i.e. text box search input))
-    const { status, priority, assigneeId, q } = req.query; 
+    // Filters (NOTE: 'q' is the free-text search query (i.e. text box search input) 
+    //               and 'ql' is a structured query, see utils/issueQuery.js)
+    const { status, priority, assigneeId, q, ql, sla, sprintId, includeArchived } = req.query; 
 
     const find = { projectId: pid }; // create Object used to 'find' issues for a specific project
 
+    if(includeArchived !== "true"){ // trashed issues only on request
+        find.archivedAt = null;
+    }
+
     if(status && STATUSES.includes(status)) { // add 'status' to find
         find.status = status; 
     }
@@ -174,20 +461,139 @@ export const listIssues = async (req,res,next)=>{
     if(q && q.trim()){ // free-text search term
         find.$text = { $search: q.trim() };
     }
+    if(sprintId !== undefined){ // sprint id, or 'none' for the backlog
+        if(sprintId !== "none" && !isValidId(sprintId)){
+            return res.status(400).json({error:"Invalid sprintId."});
+        }
+        find.sprintId = sprintId === "none" ? null : sprintId;
+    }
+    if(sla !== undefined){ // SLA state(s), e.g. 'breached,at_risk'
+        const slaFilter = parseSlaFilter(sla);
+        if(slaFilter.error){
+            return res.status(400).json({error:slaFilter.error});
+        }
+        Object.assign(find, slaFilter.filter);
+    }
+
+    const cf = buildCustomFieldFilter(req.query, project); // '?cf.<key>=value' custom field filters
+    if(cf.error){
+        return res.status(400).json({error:cf.error});
+    }
+    Object.assign(find, cf.filter);
+
+    if(ql !== undefined){ // structured query, ANDed with the filters above
+      const compiled = await compileIssueQuery(ql, { 
+        user: req.authUser, 
+        projects: [project], 
+        customFields: project.customFields || [] 
+      });
+
+      if(compiled.$text && find.$text){ // only one full-text search per query
+        return res.status(400).json({error:"Use either 'q' or a 'text' clause in 'ql', not both."});
+      }
+      Object.assign(find, compiled.$text ? { $text:compiled.$text } : {});
+      if(compiled.$and){ find.$and = compiled.$and; }
+    }
+
+    const page = await pageIssues(find, req.query); // sorted + cursor-paginated (+ optional counts)
 
-    const issues = await Issue.find(find).sort({createdAt:-1}).lean(); // 1st, find issue using 'find' 
-    return res.json({issues});                                         // 2nd, .sort({createdAt:-1}) sorts query 
-                                                                       // results via 'createdAt' in descending order
-                                                                       // 3rd, .lean() returns plain JSONs instead of moongoose objs
+    if(page.error){ // bad sort/cursor params
+        return res.status(400).json({error:page.error});
+    }
+    return res.json(page);
   }
   catch(err){ 
+    if(err instanceof QueryParseError){ // bad 'ql' → 400 with position of the problem
+      return res.status(400).json({error:err.message, position:err.position});
+    }
     next(err); 
   }
 };
 
+// GET /issues/search?ql=...  (across every project the current user can see)
+export const searchIssues = async (req,res,next)=>{
+
+  try{
+    const user = req.authUser; // current user
+
+    const { ql } = req.query;  // structured query string
+    if(!ql?.trim()){ 
+        return res.status(400).json({error:"ql is required.", position:0});
+    }
+
+    const projects = await Project.find(projectAccessFilter(user)).select("_id key customFields").lean(); // same rules as listProjects
+    const filter   = await compileIssueQuery(ql, { 
+      user, 
+      projects, 
+      customFields: projects.flatMap(p => p.customFields || []) // cf.<key> fields from every visible project
+    });
+
+    const find = { projectId: { $in: projects.map(p => p._id) }, ...filter }; // restrict to visible projects
+    if(req.query.includeArchived !== "true"){ // trashed issues only on request
+      find.archivedAt = null;
+    }
+
+    const page = await pageIssues(find, req.query); // sorted + cursor-paginated (+ optional counts)
+
+    if(page.error){ // bad sort/cursor params
+        return res.status(400).json({error:page.error});
+    }
+    return res.json(page);
+  }
+  catch(err){ 
+    if(err instanceof QueryParseError){ // bad 'ql' → 400 with position of the problem
+      return res.status(400).json({error:err.message, position:err.position});
+    }
+    next(err); 
+  }
+};
+
+// GET /issues/sla/breaching?projectId=&includeAtRisk=true  (across every project the current user can see)
+export const listBreachingIssues = async (req,res,next)=>{
+
+  try{
+    const { projectId, includeAtRisk } = req.query;
+
+    const projectFilter = { ...projectAccessFilter(req.authUser) }; // same rules as listProjects
+    if(projectId !== undefined){
+      if(!isValidId(projectId)){
+          return res.status(400).json({error:"Invalid projectId."});
+      }
+      projectFilter._id = projectId;
+    }
+    const projects = await Project.find(projectFilter).select("_id").lean();
+
+    const find = {
+      projectId: { $in: projects.map(p => p._id) },
+      status: { $nin: ["resolved","closed"] },                  // still actionable
+      archivedAt: null,                                         // not in the trash
+      "sla.state": includeAtRisk === "true" ? { $in:["breached","at_risk"] } : "breached"
+    };
+
+    const page = await pageIssues(find, { sort:"priority", ...req.query }); // most urgent first by default
+
+    if(page.error){
+        return res.status(400).json({error:page.error});
+    }
+    return res.json(page);
+  }
+  catch(err){
+    next(err);
+  }
+};
+
 // GET /issues/:id  (issue loader sets req.issue + req.project; membership checked in routes)
-export const getIssue = async (req,res)=>{ // Retrieve issue
-    return res.json({issue:req.issue}); 
+export const getIssue = async (req,res,next)=>{ // Retrieve issue
+
+  try{
+    const [descriptionHtml] = await renderMarkdownBatch([req.issue.description || ""], { project:req.project, user:req.authUser }); // Markdown → sanitized HTML
+
+    setEtag(res, req.issue); // revision (send back as If-Match when updating)
+    return res.json({issue:{ ...withCurrentSla(req.issue), descriptionHtml }}); 
+  }
+  catch(err){
+    next(err);
+  }
 }; 
 
 // PATCH /issues/:id  (loader + membership checked, and finer policy enforced here)
@@ -207,6 +613,16 @@ export const updateIssue = async (req,res,next)=>{
       return res.status(403).json({error:"Not allowed to edit this issue."});
     }
 
+    const ifMatch = parseIfMatch(req); // optional If-Match: only update the revision the client has seen
+    if(ifMatch?.error){
+        return res.status(400).json({error:ifMatch.error});
+    }
+    if(!matchesIfMatch(ifMatch, issue)){
+        return sendPreconditionFailed(res, "issue", issue.toObject());
+    }
+
+    const before = issue.toObject(); // snapshot for the field-level change log
+
     const { 
         title, 
         description, 
@@ -215,7 +631,13 @@ export const updateIssue = async (req,res,next)=>{
         severity, 
         assigneeId, 
         labels, 
-        watchers 
+        watchers,
+        customFields,
+        originalEstimate,
+        remainingEstimate,
+        dueDate,
+        sprintId,
+        storyPoints
     } = req.body||{}; // Destructure inputs from request body
 
     if(title!==undefined){  // Checks if title is valid
@@ -232,9 +654,36 @@ export const updateIssue = async (req,res,next)=>{
         if(!TYPES.includes(type)) { 
             return res.status(400).json({error:"Invalid type."});  
         }
+        if(type!==issue.type){ // new type must still fit the hierarchy (parent above, children below)
+          if(issue.parentId){
+            const parent  = await Issue.findById(issue.parentId).lean();
+            const invalid = parent && checkParentAssignment({ issueId:issue._id, childType:type, projectId:issue.projectId, parent });
+            if(invalid){
+                return res.status(400).json({error:invalid});
+            }
+          }
+          const childTypes = await Issue.distinct("type", { parentId:issue._id });
+          const misfit = childTypes.find(t => !(CHILD_TYPES[type] || []).includes(t));
+          if(misfit){
+              return res.status(400).json({error:`A '${type}' cannot contain existing '${misfit}' children.`});
+          }
+        }
         issue.type = type;
     }
 
+    if(customFields!==undefined || type!==undefined){ // (re)validate custom fields (required ones depend on type)
+      const custom = resolveCustomFields({ 
+        project, 
+        issueType: issue.type, 
+        input: customFields, 
+        existing: Object.fromEntries(issue.customFields || []) 
+      });
+      if(custom.error){
+          return res.status(400).json({error:custom.error});
+      }
+      issue.customFields = custom.values;
+    }
+
     if(priority!==undefined){  // Checks if priority is valid
         if(!PRIORITIES.includes(priority)){ 
             return res.status(400).json({error:"Invalid priority."}); 
@@ -249,11 +698,55 @@ export const updateIssue = async (req,res,next)=>{
         issue.severity = severity; 
     }
     
-    if(labels!==undefined){ // checks if labels is valid
-        if(!Array.isArray(labels)){
-            return res.status(400).json({error:"labels must be array."}); 
+    if(dueDate!==undefined){ // deadline (null clears it)
+        const due = parseDueDate(dueDate);
+        if(due.error){
+            return res.status(400).json({error:due.error});
+        }
+        issue.dueDate = due.value;
+    }
+
+    if(storyPoints!==undefined){ // size estimate (null clears it)
+        const points = parseStoryPoints(storyPoints);
+        if(points.error){
+            return res.status(400).json({error:points.error});
+        }
+        issue.storyPoints = points.points;
+    }
+
+    if(sprintId!==undefined && String(sprintId ?? "")!==String(issue.sprintId ?? "")){ // plan into a sprint (null = backlog)
+        const sprint = await checkSprintAssignment(sprintId, issue.projectId);
+        if(sprint.error){
+            return res.status(400).json({error:sprint.error});
+        }
+        issue.sprintId = sprint.sprintId;
+    }
+
+    if(originalEstimate!==undefined){ // minutes or "1d 4h"; null clears it
+        const parsed = parseDuration(originalEstimate, { allowNull:true });
+        if(parsed.error){
+            return res.status(400).json({error:`originalEstimate: ${parsed.error}`});
+        }
+        if(remainingEstimate===undefined && (issue.remainingEstimate===null || issue.remainingEstimate===undefined)){
+            issue.remainingEstimate = parsed.minutes; // first estimate also sets what's left
+        }
+        issue.originalEstimate = parsed.minutes;
+    }
+
+    if(remainingEstimate!==undefined){ // manual re-estimate of what's left
+        const parsed = parseDuration(remainingEstimate, { allowNull:true });
+        if(parsed.error){
+            return res.status(400).json({error:`remainingEstimate: ${parsed.error}`});
+        }
+        issue.remainingEstimate = parsed.minutes;
+    }
+
+    if(labels!==undefined){ // checks if labels is valid (+ canonical catalog spelling)
+        const normalized = normalizeLabels(labels, project);
+        if(normalized.error){
+            return res.status(400).json({error:normalized.error}); 
         } 
-        issue.labels = labels; 
+        issue.labels = normalized.labels; 
     }
 
     if(watchers!==undefined){  // validate watchers if provided
@@ -310,19 +803,47 @@ export const updateIssue = async (req,res,next)=>{
       issue.assigneeId = assigneeId ? String(assigneeId) : null; // Mongoose will cast
     }
 
-    // Ensure watchers include reporter & (new) assignee, and stay within project membership
+    // Ensure a newly set assignee watches, and watchers stay within project membership
+    // (reporter + assignee are added once; after that they may unwatch via DELETE /issues/:id/watch)
     const allowed = new Set([ String(project.leadUserId), ...project.members.map(member => String(member)) ]);
     const current = (issue.watchers || []).map(String);
+    const assigneeChanged = String(before.assigneeId ?? "") !== String(issue.assigneeId ?? "");
 
     const enriched = new Set([
        ...current,
-       String(issue.reporterId),
-       issue.assigneeId ? String(issue.assigneeId) : null
+       assigneeChanged && issue.assigneeId ? String(issue.assigneeId) : null
     ].filter(Boolean));
 
     issue.watchers = [...enriched].filter(id => allowed.has(id)); // casted on save
 
-    const saved = await issue.save();          // Saves created 'issue' to MongoDB database to 'issues' collection 
+    issue.sla = evaluateSla(issue, project); // priority/severity/due date may pick a different target
+
+    if(ifMatch){ // save only if nobody wrote in between (else DocumentNotFoundError)
+        issue.$where = revisionFilter(before);
+    }
+
+    let saved;
+    try{
+        saved = await issue.save();            // Saves created 'issue' to MongoDB database to 'issues' collection 
+    }
+    catch(err){
+        if(ifMatch && err instanceof mongoose.Error.DocumentNotFoundError){ // lost the race → 412 with the winner's state
+            return sendPreconditionFailed(res, "issue", await Issue.findById(issue._id).lean());
+        }
+        throw err;
+    }
+
+    await recordIssueHistory({ // log which fields changed (no entry if nothing did)
+      issue: saved, 
+      actorId: user._id, 
+      action: "updated", 
+      changes: [
+        ...diffIssueFields(before, saved.toObject(), TRACKED_FIELDS),
+        ...diffCustomFields(before.customFields, saved.customFields) // one entry per changed custom field
+      ]
+    });
+
+    setEtag(res, saved);
     return res.json({issue:saved.toObject()}); // Return updated object sent to database
   }
   catch(err){ 
@@ -330,7 +851,7 @@ export const updateIssue = async (req,res,next)=>{
   }
 };
 
-// POST /issues/:id/transition (loader + membership checked first, then editing permission policy enforced)
+// POST /issues/:id/transition (loader + membership checked first, then the project's workflow decides)
 export const transitionStatus = async (req,res,next)=>{
 
   try{
@@ -343,31 +864,103 @@ export const transitionStatus = async (req,res,next)=>{
     const project = req.project; // extract project and authUser from request body
     const user = req.authUser;      
     
-    if(!userCanEditIssue(user,project,issue)){ // Checks if user has editing permission
-      return res.status(403).json({error:"Not allowed to transition this issue."});
-    }
-    
-    // Accept both 'to' (official) and 'targetStatus' (alias) from the client
-    const { to, targetStatus } = req.body || {};
+    // Accept both 'to' (official) and 'targetStatus' (alias) from the client, 
+    // plus an optional named 'transition' and any fields the workflow may require
+    const { to, targetStatus, transition, resolution, comment, force } = req.body || {};
     const nextStatus = targetStatus ?? to;   // clearer and less ambiguous local name
     
-    if(!nextStatus || !STATUSES.includes(nextStatus)){
-        return res.status(400).json({error:"Invalid target status."});
-    }
-    
-    if(issue.status===nextStatus){ // No-op
+    if(!transition && issue.status===nextStatus){ // No-op
         return res.json({issue:issue.toObject()});
     } 
 
-    const from = issue.status;  // fetch previous status
-    issue.status = nextStatus;  // set new status
-    issue.statusHistory.push({from, to: nextStatus, by:user._id, at:new Date()}); // save status history for auditing
-    issue.closedAt = nextStatus==="closed" ? new Date() : undefined;  // Maintain 'closedAt' (date when issue is closed)
+    const plan = planTransition({ // Check move against the project's workflow (edges, roles, required fields)
+      user, project, issue, 
+      to: nextStatus, 
+      transitionName: transition, 
+      fields: { resolution, comment } 
+    });
+
+    if(plan.error){ // Reject invalid moves with the reason (and allowed alternatives where useful)
+      const { status, ...body } = plan;
+      return res.status(status).json(body);
+    }
+
+    const blocked = await checkTransitionGuards({ issue, project, to: plan.transition.to, force: force===true }); // policies (open blockers/children)
+    if(blocked){
+      const { status, ...body } = blocked;
+      return res.status(status).json(body);
+    }
+
+    const before = issue.toObject(); // snapshot for the change log
+
+    applyTransition(issue, plan.transition, user, { resolution, comment }); // Mutate issue + append audit entry
+    issue.sla = evaluateSla(issue, project);                                 // clock pauses/stops/restarts with status
 
     const saved = await issue.save(); // saved updated 'issue' to 'issues' collection in MongoDB
-    return res.json({issue:saved.toObject()}); // Return sent updated 'issue'
+
+    await recordIssueHistory({ 
+      issue: saved, 
+      actorId: user._id, 
+      action: "transitioned", 
+      changes: diffIssueFields(before, saved.toObject(), ["status","resolution"]), 
+      note: comment ? String(comment) : "" 
+    });
+    return res.json({issue:saved.toObject(), transition:plan.transition.name}); // Return sent updated 'issue'
   }
   catch(err){  // catch, handle, and pass error in Express pipeline
     next(err); 
   }
 };
+
+// GET /issues/:id/transitions (loader + membership checked in routes)
+export const listIssueTransitions = async (req,res,next)=>{ // Lists next states the current user may move the issue to
+
+  try{
+    const transitions = listAllowedTransitions(req.authUser, req.project, req.issue);
+    return res.json({ status:req.issue.status, transitions });
+  }
+  catch(err){ 
+    next(err); 
+  }
+};
+
+// GET /issues/:id/history  (loader + membership checked in routes)
+export const getIssueHistory = async (req,res,next)=>{ // Field-level change log, newest first (cursor-paginated)
+
+  try{
+    const issue = req.issue;
+    const limit = parseLimit(req.query.limit, 50, 200); // page size (default 50, max 200)
+
+    const find = { issueId: issue._id };
+
+    if(req.query.cursor){ // continue after last entry of previous page
+      const cursor = decodeCursor(req.query.cursor);
+      if(!cursor || !cursor.v || !isValidId(cursor.id)){
+          return res.status(400).json({error:"Invalid cursor."});
+      }
+      Object.assign(find, buildKeysetFilter("createdAt", -1, new Date(cursor.v), cursor.id));
+    }
+
+    const rows = await IssueHistory.find(find)
+      .sort({ createdAt:-1, _id:-1 })  // newest first (stable with _id tiebreaker)
+      .limit(limit + 1)                // one extra to know if more pages exist
+      .populate({ path:"actorId", select:"username", model:User }) // show who made each change (refs say "Users", model is "User")
+      .lean();
+
+    const hasMore = rows.length > limit;
+    const entries = hasMore ? rows.slice(0, limit) : rows;
+    const last    = entries[entries.length - 1];
+
+    return res.json({
+      history: entries,
+      page: { 
+        limit, 
+        hasMore, 
+        nextCursor: hasMore ? encodeCursor({ v:last.createdAt, id:String(last._id) }) : null 
+      }
+    });
+  }
+  catch(err){ 
+    next(err); 
+  }
+};
@@ -0,0 +1,146 @@
+// server/controllers/issueHierarchyController.js
+
+import mongoose from "mongoose";                       // For ObjectId validation
+
+import Issue, { STATUSES } from "../models/issueModel.js"; // imports Issue model + statuses
+import { checkParentAssignment, 
+         rebaseDescendants, 
+         DONE_STATUSES } from "../utils/issueHierarchy.js"; // parent/child helpers
+import { recordIssueHistory, 
+         diffIssueFields } from "../models/issueHistoryModel.js"; // field-level change log
+import { userCanEditIssue } from "../middleware/rbac.js";    // shared edit-permission rule
+
+const isValidId = (id) => { // validate id helper function
+  return mongoose.Types.ObjectId.isValid(String(id));
+}
+
+const TREE_FIELDS = "_id key title type status priority assigneeId parentId ancestors"; // fields returned in trees
+
+// PUT /issues/:id/parent  (loader + membership checked in routes; edit permission enforced here)
+export const setParent = async (req,res,next)=>{
+
+  try{
+    const issue = await Issue.findById(req.issue._id); // issue document to re-parent
+
+    if(!issue){
+        return res.status(404).json({error:"Issue not found."});
+    }
+    if(!userCanEditIssue(req.authUser, req.project, issue)){
+        return res.status(403).json({error:"Not allowed to edit this issue."});
+    }
+
+    const { parentId } = req.body || {}; // new parent (null = move to top level)
+
+    if(parentId === undefined){
+        return res.status(400).json({error:"parentId is required (use null to remove the parent)."});
+    }
+
+    let ancestors = []; // new ancestor chain
+
+    if(parentId !== null){
+      if(!isValidId(parentId)){
+          return res.status(400).json({error:"Invalid parentId."});
+      }
+
+      const parent  = await Issue.findById(parentId).lean();
+      const invalid = checkParentAssignment({ issueId:issue._id, childType:issue.type, projectId:issue.projectId, parent });
+      
+      if(invalid){
+          return res.status(parent ? 400 : 404).json({error:invalid});
+      }
+      ancestors = [...(parent.ancestors || []), parent._id];
+    }
+
+    if(String(issue.parentId ?? "") === String(parentId ?? "")){ // No-op
+        return res.json({issue:issue.toObject()});
+    }
+
+    const before = issue.toObject(); // snapshot for change log
+
+    issue.parentId  = parentId;
+    issue.ancestors = ancestors;
+
+    const saved = await issue.save();             // save issue with its new parent
+    await rebaseDescendants(issue._id, ancestors); // keep children/grandchildren chains in sync
+
+    await recordIssueHistory({ 
+      issue: saved, 
+      actorId: req.authUser._id, 
+      action: "reparented", 
+      changes: diffIssueFields(before, saved.toObject(), ["parentId"]) 
+    });
+
+    return res.json({issue:saved.toObject()});
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// GET /issues/:id/children?depth=N  (loader + membership checked in routes)
+export const getIssueChildren = async (req,res,next)=>{
+
+  try{
+    const issue = req.issue; // root of the tree
+    
+    const depth = req.query.depth !== undefined ? parseInt(req.query.depth, 10) : null; // null = all levels
+    if(depth !== null && (!Number.isFinite(depth) || depth < 1)){
+        return res.status(400).json({error:"depth must be a positive integer."});
+    }
+
+    const rootDepth = (issue.ancestors || []).length;
+
+    const find = { ancestors: issue._id, archivedAt: null }; // one query for the whole subtree (trashed issues left out)
+    if(depth !== null){ // ancestors length = how deep an issue sits
+      find[`ancestors.${rootDepth + depth}`] = { $exists:false };
+    }
+
+    const descendants = await Issue.find(find).select(TREE_FIELDS).sort({ seq:1, createdAt:1 }).lean();
+
+    const nodes = new Map(descendants.map(d => [String(d._id), { ...d, children:[] }])); // build nested tree
+    const roots = [];
+    for(const node of nodes.values()){
+      const parent = nodes.get(String(node.parentId));
+      (parent ? parent.children : roots).push(node);
+      delete node.ancestors;
+    }
+
+    return res.json({ issueId:issue._id, children:roots, total:descendants.length });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// GET /issues/:id/progress  (loader + membership checked in routes)
+export const getIssueProgress = async (req,res,next)=>{
+
+  try{
+    const issue = req.issue;
+
+    const rollup = async (match) => { // counts by status + % done for a set of issues
+      const rows = await Issue.aggregate([
+        { $match: { ...match, archivedAt: null } }, // trashed issues don't count
+        { $group: { _id:"$status", n:{ $sum:1 } } }
+      ]);
+      const byStatus = Object.fromEntries(STATUSES.map(s => [s, 0]));
+      rows.forEach(r => { byStatus[r._id] = r.n; });
+
+      const total = rows.reduce((sum, r) => sum + r.n, 0);
+      const done  = DONE_STATUSES.reduce((sum, s) => sum + byStatus[s], 0);
+
+      return { total, done, byStatus, percentDone: total ? Math.round((done / total) * 1000) / 10 : 0 };
+    };
+
+    const id = new mongoose.Types.ObjectId(String(issue._id)); // aggregate() doesn't cast
+
+    return res.json({
+      issueId: issue._id,
+      children:    await rollup({ parentId: id }),  // direct children only
+      descendants: await rollup({ ancestors: id })  // every level below
+    });
+  }
+  catch(err){
+    next(err);
+  }
+};
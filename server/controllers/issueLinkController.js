@@ -0,0 +1,185 @@
+// server/controllers/issueLinkController.js
+
+import mongoose from "mongoose";                 // For ObjectId validation
+
+import IssueLink, 
+    { normalizeLinkType, 
+      wouldCreateBlockCycle, 
+      LINK_TYPES, 
+      INVERSE_TYPES } from "../models/issueLinkModel.js"; // imports IssueLink model + helpers
+
+import Issue from "../models/issueModel.js";     // imports Issue model
+import Project from "../models/projectModel.js"; // imports Project model
+import { isProjectMemberOrAdmin } from "../middleware/rbac.js"; // membership rule (for the OTHER end of a link)
+
+const isValidId = (id) => { // validate id helper function
+  return mongoose.Types.ObjectId.isValid(String(id));
+}
+
+const ISSUE_SUMMARY = "_id key title status priority projectId"; // fields returned for linked issues
+
+// All link types a client may use (canonical + inverse names)
+const CLIENT_LINK_TYPES = [...new Set([...LINK_TYPES, ...Object.values(INVERSE_TYPES)])];
+
+// POST /issues/:id/links  (loader + membership on this issue checked in routes)
+export const addIssueLink = async (req,res,next)=>{
+
+  try{
+    const issue = req.issue;      // issue from loader
+    const user  = req.authUser;   // current user
+
+    const { type, targetId, targetKey } = req.body || {}; // link type + other issue (by id or key)
+
+    const normalized = normalizeLinkType(type); // e.g. "blocked_by" → { type:"blocks", reversed:true }
+    if(!normalized){
+        return res.status(400).json({error:`Invalid link type. Use one of: ${CLIENT_LINK_TYPES.join(", ")}.`});
+    }
+
+    let target = null; // load other end of the link
+    if(targetId !== undefined){
+      if(!isValidId(targetId)){
+          return res.status(400).json({error:"Invalid targetId."});
+      }
+      target = await Issue.findById(targetId).lean();
+    }
+    else if(targetKey){
+      target = await Issue.findOne({ key:String(targetKey).toUpperCase() }).lean();
+    }
+    else {
+        return res.status(400).json({error:"targetId or targetKey is required."});
+    }
+
+    if(!target){
+        return res.status(404).json({error:"Target issue not found."});
+    }
+    if(String(target._id)===String(issue._id)){
+        return res.status(400).json({error:"An issue cannot be linked to itself."});
+    }
+
+    // Cross-project links: user must also be member (or admin) of the target's project
+    if(String(target.projectId)!==String(issue.projectId)){
+      const targetProject = await Project.findById(target.projectId).lean();
+      if(!isProjectMemberOrAdmin(user, targetProject)){
+          return res.status(403).json({error:"Project access denied for target issue."});
+      }
+    }
+
+    // Store in canonical direction ("X blocked_by Y" is saved as "Y blocks X")
+    const sourceId = normalized.reversed ? target._id : issue._id;
+    const destId   = normalized.reversed ? issue._id  : target._id;
+
+    const duplicate = await IssueLink.exists({ // relates_to is symmetric, so check both directions for it
+      type: normalized.type,
+      $or: normalized.type==="relates_to"
+        ? [ { sourceId, targetId:destId }, { sourceId:destId, targetId:sourceId } ]
+        : [ { sourceId, targetId:destId } ]
+    });
+    if(duplicate){
+        return res.status(409).json({error:"These issues are already linked with this type."});
+    }
+
+    if(normalized.type==="blocks" && await wouldCreateBlockCycle(sourceId, destId)){ // reject loops in "blocks" chains
+        return res.status(409).json({error:"This link would create a cycle of blocking issues."});
+    }
+
+    const link = await IssueLink.create({ sourceId, targetId:destId, type:normalized.type, createdBy:user._id });
+
+    return res.status(201).json({ link: presentLink(link.toObject(), issue._id, target) });
+  }
+  catch(err){
+    if(err?.code===11000){ // unique index race → same as duplicate
+        return res.status(409).json({error:"These issues are already linked with this type."});
+    }
+    next(err);
+  }
+};
+
+// GET /issues/:id/links  (loader + membership checked in routes)
+export const listIssueLinks = async (req,res,next)=>{
+
+  try{
+    const issue = req.issue; // issue from loader
+
+    const links = await IssueLink.find({ $or:[ { sourceId:issue._id }, { targetId:issue._id } ] })
+      .sort({ createdAt:1, _id:1 })
+      .lean();
+
+    const otherIds = links.map(l => String(l.sourceId)===String(issue._id) ? l.targetId : l.sourceId);
+    const others   = await Issue.find({ _id:{ $in:otherIds } }).select(ISSUE_SUMMARY).lean();
+    const byId     = new Map(others.map(o => [String(o._id), o]));
+
+    const hidden = await inaccessibleProjectIds(req.authUser, others, issue.projectId); // other-project issues user can't see
+
+    const result = links
+      .map(l => presentLink(l, issue._id, byId.get(String(String(l.sourceId)===String(issue._id) ? l.targetId : l.sourceId))))
+      .filter(l => l.issue && !hidden.has(String(l.issue.projectId))); // skip missing or inaccessible issues
+
+    return res.json({ links: result });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// DELETE /issues/:id/links/:linkId  (loader + membership checked in routes)
+export const removeIssueLink = async (req,res,next)=>{
+
+  try{
+    const { linkId } = req.params;
+
+    if(!isValidId(linkId)){
+        return res.status(400).json({error:"Invalid link id."});
+    }
+
+    const link = await IssueLink.findOne({ // link must touch this issue
+      _id:linkId, 
+      $or:[ { sourceId:req.issue._id }, { targetId:req.issue._id } ] 
+    }).lean();
+
+    if(!link){
+        return res.status(404).json({error:"Link not found."});
+    }
+
+    const otherId = String(link.sourceId)===String(req.issue._id) ? link.targetId : link.sourceId;
+    const other   = await Issue.findById(otherId).select("projectId").lean();
+    
+    if(other && (await inaccessibleProjectIds(req.authUser, [other], req.issue.projectId)).size){ // both ends must be accessible
+        return res.status(403).json({error:"Project access denied for linked issue."});
+    }
+
+    await IssueLink.deleteOne({ _id:link._id });
+    return res.status(204).send();
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+const inaccessibleProjectIds = async (user, issues, ownProjectId) => { // Set of (other) project ids the user isn't allowed into
+
+  const ids = [...new Set(issues.map(i => String(i.projectId)))].filter(id => id!==String(ownProjectId));
+  if(!ids.length){
+    return new Set();
+  }
+  const projects = await Project.find({ _id:{ $in:ids } }).select("leadUserId members").lean();
+  return new Set(projects.filter(p => !isProjectMemberOrAdmin(user, p)).map(p => String(p._id)));
+};
+
+const presentLink = (link, viewerIssueId, otherIssue) => { // Describe a link from one issue's point of view
+  const outgoing = String(link.sourceId)===String(viewerIssueId);
+  return {
+    _id: link._id,
+    type: outgoing ? link.type : INVERSE_TYPES[link.type], // e.g. "blocks" or "blocked_by"
+    direction: outgoing ? "outward" : "inward",
+    issue: otherIssue ? {
+      _id: otherIssue._id, 
+      key: otherIssue.key, 
+      title: otherIssue.title, 
+      status: otherIssue.status, 
+      priority: otherIssue.priority,
+      projectId: otherIssue.projectId 
+    } : null,
+    createdBy: link.createdBy,
+    createdAt: link.createdAt
+  };
+};
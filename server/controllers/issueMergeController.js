@@ -0,0 +1,183 @@
+// server/controllers/issueMergeController.js
+
+/* NOTE: Merging folds a duplicate into a canonical (target) issue, inside ONE transaction:
+ *         - watchers, labels and attachments are combined on the target (attachment files are
+ *           re-used, not copied; the duplicate no longer lists them so a later purge can't delete them)
+ *         - the duplicate's comments move to the target; parentId/ancestors point at comment ids,
+ *           so threads stay intact
+ *         - commentCount is recomputed on both issues
+ *         - the duplicate is closed (resolution "Duplicate of KEY"), points at the target through
+ *           mergedIntoId and a "duplicates" link, and both issues get a "merged" history entry
+ *       Transactions need MongoDB running as a replica set.
+ */
+
+import mongoose from "mongoose"; // For ObjectId validation + transactions
+
+import Issue from "../models/issueModel.js";     // imports Issue model
+import Project from "../models/projectModel.js"; // imports Project model
+import Comment from "../models/commentModel.js"; // imports Comment model
+import Reaction from "../models/reactionModel.js";   // imports Reaction model
+import IssueLink from "../models/issueLinkModel.js"; // imports IssueLink model
+
+import { isProjectMemberOrAdmin,
+         userCanEditIssue } from "../middleware/rbac.js";    // access + edit rules (both issues)
+import { applyTransition } from "../utils/workflow.js";       // closes the duplicate like a transition would
+import { evaluateSla } from "../utils/sla.js";                // closed → SLA met/stopped
+import { countIssueComments } from "../utils/trash.js";       // live comment count
+import { recordIssueHistory,
+         diffIssueFields } from "../models/issueHistoryModel.js"; // field-level change log
+
+const isValidId = (id) => { // validate id helper function
+  return mongoose.Types.ObjectId.isValid(String(id));
+}
+
+const TARGET_FIELDS    = ["watchers","labels","attachments","commentCount"]; // recorded on the target
+const DUPLICATE_FIELDS = ["status","resolution","mergedIntoId","attachments","commentCount"]; // recorded on the duplicate
+
+const fail = (status, error) => ({ status, error });
+
+// POST /issues/:id/merge  (loader + membership checked in routes) — merges issue :id INTO { targetId | targetKey }
+export const mergeIssue = async (req,res,next)=>{
+
+  try{
+    const user = req.authUser;
+    const { targetId, targetKey } = req.body || {};
+
+    if(targetId === undefined && targetKey === undefined){
+        return res.status(400).json({error:"targetId or targetKey is required."});
+    }
+    if(targetId !== undefined && !isValidId(targetId)){
+        return res.status(400).json({error:"Invalid targetId."});
+    }
+
+    let outcome = null; // { status, error } on failure, { duplicate, target } on success
+
+    await mongoose.connection.transaction(async (session) => {
+
+      outcome = null; // reset when the driver retries the transaction
+
+      const duplicate = await Issue.findById(req.issue._id).session(session);
+      const target    = targetId !== undefined
+        ? await Issue.findById(targetId).session(session)
+        : await Issue.findOne({ key:String(targetKey).trim().toUpperCase() }).session(session);
+
+      if(!duplicate){
+          outcome = fail(404, "Issue not found.");
+          return;
+      }
+
+      const targetProject = target
+        ? (String(target.projectId) === String(req.project._id) ? req.project : await Project.findById(target.projectId).session(session).lean())
+        : null;
+
+      // checks (nothing has been written yet, so returning just commits an empty transaction)
+      if(!target || !isProjectMemberOrAdmin(user, targetProject)){ // don't reveal issues the user can't see
+          outcome = fail(404, "Target issue not found.");
+          return;
+      }
+      if(String(target._id) === String(duplicate._id)){
+          outcome = fail(400, "An issue cannot be merged into itself.");
+          return;
+      }
+      if(!userCanEditIssue(user, req.project, duplicate) || !userCanEditIssue(user, targetProject, target)){
+          outcome = fail(403, "Not allowed to edit both issues.");
+          return;
+      }
+      if(duplicate.mergedIntoId){
+          outcome = fail(409, "Issue has already been merged.");
+          return;
+      }
+      if(target.archivedAt){
+          outcome = fail(409, "Target issue is in the trash. Restore it first.");
+          return;
+      }
+      if(target.mergedIntoId){
+          outcome = fail(409, "Target issue was itself merged; merge into the surviving issue instead.");
+          return;
+      }
+      if(await Issue.exists({ parentId:duplicate._id, archivedAt:null }).session(session)){
+          outcome = fail(409, "Issue has child issues; move or detach them first.");
+          return;
+      }
+
+      const targetBefore    = target.toObject();
+      const duplicateBefore = duplicate.toObject();
+
+      // watchers: union, restricted to the target project's members
+      const members  = new Set([ String(targetProject.leadUserId), ...(targetProject.members || []).map(String) ]);
+      const watching = new Set((target.watchers || []).map(String));
+      (duplicate.watchers || []).map(String)
+        .filter(w => members.has(w) && !watching.has(w))
+        .forEach(w => { target.watchers.push(w); watching.add(w); });
+
+      // labels: union in the target catalog's spelling (unknown labels dropped if the catalog is restricted)
+      const catalog = new Map((targetProject.labels || []).map(l => [l.name.toLowerCase(), l.name]));
+      const labels  = new Map((target.labels || []).map(l => [l.toLowerCase(), l]));
+      for(const l of duplicate.labels || []){
+        const name = catalog.get(l.toLowerCase()) || (targetProject.restrictLabels ? null : l);
+        if(name && !labels.has(name.toLowerCase())){
+          labels.set(name.toLowerCase(), name);
+        }
+      }
+      target.labels = [...labels.values()];
+
+      // attachments: same stored files, now listed on the target
+      const files = new Set((target.attachments || []).map(a => a.fileId));
+      duplicate.attachments.filter(a => !files.has(a.fileId)).forEach(a => target.attachments.push(a.toObject()));
+      duplicate.attachments = [];
+
+      // comments (+ their reactions) move over with threading untouched
+      await Comment.updateMany({ issueId:duplicate._id }, { $set: { issueId:target._id } }, { session });
+      await Reaction.updateMany({ issueId:duplicate._id, targetType:"comment" }, { $set: { issueId:target._id } }, { session });
+
+      target.commentCount    = await countIssueComments(target._id).session(session);
+      duplicate.commentCount = 0;
+
+      // close the duplicate and point it at the survivor
+      if(duplicate.status !== "closed"){
+        applyTransition(duplicate, { name:"merge", to:"closed" }, user, { resolution:`Duplicate of ${target.key}` });
+      }
+      else {
+        duplicate.resolution = `Duplicate of ${target.key}`;
+      }
+      duplicate.mergedIntoId = target._id;
+      duplicate.sla          = evaluateSla(duplicate, req.project);
+
+      await target.save({ session });
+      await duplicate.save({ session });
+
+      await IssueLink.updateOne( // "duplicate duplicates target" shows up in both issues' links
+        { sourceId:duplicate._id, targetId:target._id, type:"duplicates" },
+        { $setOnInsert: { createdBy:user._id } },
+        { upsert:true, session }
+      );
+
+      await recordIssueHistory({
+        issue: target,
+        actorId: user._id,
+        action: "merged",
+        changes: diffIssueFields(targetBefore, target.toObject(), TARGET_FIELDS),
+        note: `Merged ${duplicate.key} into this issue`,
+        session
+      });
+      await recordIssueHistory({
+        issue: duplicate,
+        actorId: user._id,
+        action: "merged",
+        changes: diffIssueFields(duplicateBefore, duplicate.toObject(), DUPLICATE_FIELDS),
+        note: `Merged into ${target.key}`,
+        session
+      });
+
+      outcome = { duplicate:duplicate.toObject(), target:target.toObject() };
+    });
+
+    if(outcome.error){
+        return res.status(outcome.status).json({error:outcome.error});
+    }
+    return res.json(outcome);
+  }
+  catch(err){
+    next(err);
+  }
+};
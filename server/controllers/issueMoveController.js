@@ -0,0 +1,160 @@
+// server/controllers/issueMoveController.js
+
+/* NOTE: Moving an issue to another project gives it a NEW key from the target project's counter
+ *       (same pre("validate") hook as on create). The old key is kept in issue.previousKeys,
+ *       so links like "BT-42" keep working through GET /issues/by-key/:key.
+ */
+
+import mongoose from "mongoose"; // For ObjectId validation
+
+import Issue from "../models/issueModel.js";     // imports Issue model
+import Project from "../models/projectModel.js"; // imports Project model
+import WorkLog from "../models/workLogModel.js"; // imports WorkLog model
+
+import { isProjectMemberOrAdmin,
+         userCanEditIssue } from "../middleware/rbac.js"; // access rules (target project + edit right)
+import { resolveCustomFields } from "../utils/customFields.js"; // target project's custom fields
+import { evaluateSla } from "../utils/sla.js";                   // target project's SLA policies
+import { recordIssueHistory,
+         diffIssueFields } from "../models/issueHistoryModel.js"; // field-level change log
+
+const isValidId = (id) => { // validate id helper function
+  return mongoose.Types.ObjectId.isValid(String(id));
+}
+
+const MOVE_FIELDS = ["projectId","key","parentId","sprintId","assigneeId","watchers","labels"]; // recorded in the "moved" entry
+
+// POST /issues/:id/move  (loader + membership checked in routes; edit right + target access checked here)
+export const moveIssue = async (req,res,next)=>{
+
+  try{
+    const issue = await Issue.findById(req.issue._id); // issue document to move
+
+    if(!issue){
+        return res.status(404).json({error:"Issue not found."});
+    }
+
+    const user = req.authUser;
+
+    if(!userCanEditIssue(user, req.project, issue)){
+        return res.status(403).json({error:"Not allowed to edit this issue."});
+    }
+
+    const { projectId, projectKey, unassign=false, customFields } = req.body || {}; // target by id or key
+
+    if(projectId === undefined && projectKey === undefined){
+        return res.status(400).json({error:"projectId or projectKey is required."});
+    }
+    if(projectId !== undefined && !isValidId(projectId)){
+        return res.status(400).json({error:"Invalid projectId."});
+    }
+
+    const target = projectId !== undefined
+      ? await Project.findById(projectId).lean()
+      : await Project.findOne({ key:String(projectKey).trim().toUpperCase() }).lean();
+
+    if(!target || !isProjectMemberOrAdmin(user, target)){ // don't reveal projects the user can't see
+        return res.status(404).json({error:"Target project not found."});
+    }
+    if(String(target._id) === String(issue.projectId)){
+        return res.status(400).json({error:"Issue is already in this project."});
+    }
+
+    if(await Issue.exists({ parentId:issue._id })){ // children would end up in a different project than their parent
+        return res.status(409).json({error:"Issue has child issues; move or detach them first."});
+    }
+
+    const allowed = new Set([ String(target.leadUserId), ...(target.members || []).map(String) ]); // target membership
+
+    if(issue.assigneeId && !allowed.has(String(issue.assigneeId)) && unassign !== true){
+        return res.status(409).json({
+          error:"Assignee is not a member of the target project (send unassign:true to move it unassigned).",
+          assigneeId:issue.assigneeId
+        });
+    }
+
+    const carried = {}; // custom field values whose key also exists in the target project
+    const targetKeys = new Set((target.customFields || []).map(d => d.key));
+    for(const [k, v] of issue.customFields || []){
+      if(targetKeys.has(k)){ carried[k] = v; }
+    }
+    if(customFields !== undefined && (customFields === null || typeof customFields !== "object" || Array.isArray(customFields))){
+        return res.status(400).json({error:"customFields must be an object of { fieldKey: value }."});
+    }
+
+    const custom = resolveCustomFields({ // re-validated against the target's definitions (+ defaults, required fields)
+      project: target,
+      issueType: issue.type,
+      input: { ...carried, ...(customFields || {}) }
+    });
+    if(custom.error){
+        return res.status(400).json({error:custom.error});
+    }
+
+    const before = issue.toObject(); // snapshot for the change log
+
+    const catalog = new Map((target.labels || []).map(l => [l.name.toLowerCase(), l.name]));
+    const labels = issue.labels
+      .map(l => catalog.get(l.toLowerCase()) || (target.restrictLabels ? null : l)) // catalog spelling; drop unknown if restricted
+      .filter(Boolean);
+
+    issue.previousKeys = [...new Set([...(issue.previousKeys || []), issue.key])];
+    issue.key          = undefined;     // pre("validate") hook allocates the next key in the target project
+    issue.seq          = null;
+    issue.projectId    = target._id;
+    issue.parentId     = null;          // parents and sprints are per project
+    issue.sprintId     = null;
+    issue.ancestors    = [];
+    issue.labels       = [...new Set(labels)];
+    issue.customFields = custom.values;
+
+    if(issue.assigneeId && !allowed.has(String(issue.assigneeId))){
+        issue.assigneeId = null;
+    }
+    issue.watchers = (issue.watchers || []).filter(w => allowed.has(String(w))); // outsiders stop watching
+    issue.sla      = evaluateSla(issue, target);
+
+    const saved = await issue.save();
+
+    await WorkLog.updateMany({ issueId:issue._id }, { $set: { projectId:target._id } }); // logged time follows the issue
+
+    await recordIssueHistory({
+      issue: saved,
+      actorId: user._id,
+      action: "moved",
+      changes: diffIssueFields(before, saved.toObject(), MOVE_FIELDS),
+      note: `${before.key} → ${saved.key}`
+    });
+
+    return res.json({ issue:saved.toObject(), previousKey:before.key });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// GET /issues/by-key/:key  — resolves current AND previous keys, then redirects to the issue
+export const getIssueByKey = async (req,res,next)=>{
+
+  try{
+    const key = String(req.params.key || "").trim().toUpperCase();
+
+    const issue = await Issue.findOne({ key }).select("_id projectId").lean() // current key wins over old ones
+      || await Issue.findOne({ previousKeys:key }).select("_id projectId").lean();
+
+    if(!issue){
+        return res.status(404).json({error:"Issue not found."});
+    }
+
+    const project = await Project.findById(issue.projectId).select("leadUserId members").lean();
+
+    if(!isProjectMemberOrAdmin(req.authUser, project)){ // same answer as a missing key
+        return res.status(404).json({error:"Issue not found."});
+    }
+
+    return res.redirect(302, `/issues/${issue._id}`);
+  }
+  catch(err){
+    next(err);
+  }
+};
@@ -0,0 +1,138 @@
+// server/controllers/issueTemplateController.js
+
+import mongoose from "mongoose"; // For ObjectId validation
+
+import IssueTemplate from "../models/issueTemplateModel.js";   // imports IssueTemplate model
+import { TYPES } from "../models/issueModel.js";               // issue types (one or more templates each)
+
+import { validateTemplateInput } from "../utils/issueTemplates.js"; // template field validation
+import { createIssue } from "./issueController.js";                 // create-from-template reuses the normal create
+
+const isValidId = (id) => { // validate id helper function
+  return mongoose.Types.ObjectId.isValid(String(id));
+}
+
+const loadTemplate = async (req, res) => { // template from :templateId that belongs to the loaded project (or sends 404)
+  const { templateId } = req.params;
+
+  if(!isValidId(templateId)){
+    res.status(400).json({error:"Invalid template id."});
+    return null;
+  }
+  const template = await IssueTemplate.findOne({ _id:templateId, projectId:req.project._id });
+  if(!template){
+    res.status(404).json({error:"Template not found."});
+    return null;
+  }
+  return template;
+};
+
+// GET /projects/:id/templates?type=  (project + membership checked in routes)
+export const listTemplates = async (req,res,next)=>{
+
+  try{
+    const find = { projectId:req.project._id };
+
+    if(req.query.type !== undefined){
+      if(!TYPES.includes(req.query.type)){
+          return res.status(400).json({error:"Invalid type."});
+      }
+      find.type = req.query.type;
+    }
+
+    const templates = await IssueTemplate.find(find).sort({ type:1, name:1 }).lean();
+    return res.json({templates});
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// GET /projects/:id/templates/:templateId  (members)
+export const getTemplate = async (req,res,next)=>{
+
+  try{
+    const template = await loadTemplate(req, res);
+    if(!template){ return; }
+
+    return res.json({template:template.toObject()});
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// POST /projects/:id/templates  (lead/admin)
+export const createTemplate = async (req,res,next)=>{
+
+  try{
+    const checked = validateTemplateInput(req.body, req.project);
+    if(checked.error){
+        return res.status(400).json({error:checked.error});
+    }
+
+    if(await IssueTemplate.exists({ projectId:req.project._id, name:checked.values.name })){
+        return res.status(409).json({error:`A template named '${checked.values.name}' already exists.`});
+    }
+
+    const template = await IssueTemplate.create({
+      ...checked.values,
+      projectId: req.project._id,
+      createdBy: req.authUser._id
+    });
+
+    return res.status(201).json({template});
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// PATCH /projects/:id/templates/:templateId  (lead/admin)
+export const updateTemplate = async (req,res,next)=>{
+
+  try{
+    const template = await loadTemplate(req, res);
+    if(!template){ return; }
+
+    const checked = validateTemplateInput(req.body, req.project, template);
+    if(checked.error){
+        return res.status(400).json({error:checked.error});
+    }
+
+    const { name } = checked.values;
+    if(name !== undefined && name !== template.name &&
+       await IssueTemplate.exists({ projectId:req.project._id, name, _id:{ $ne:template._id } })){
+        return res.status(409).json({error:`A template named '${name}' already exists.`});
+    }
+
+    template.set(checked.values);
+    const saved = await template.save();
+
+    return res.json({template:saved.toObject()});
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// DELETE /projects/:id/templates/:templateId  (lead/admin) — issues created from it are unaffected
+export const deleteTemplate = async (req,res,next)=>{
+
+  try{
+    const template = await loadTemplate(req, res);
+    if(!template){ return; }
+
+    await IssueTemplate.deleteOne({ _id:template._id });
+    return res.status(204).send();
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// POST /projects/:pid/templates/:templateId/issues  (members) — same as POST /projects/:pid/issues with templateId
+export const createIssueFromTemplate = async (req,res,next)=>{
+  req.body = { ...(req.body || {}), templateId:req.params.templateId };
+  return createIssue(req,res,next);
+};
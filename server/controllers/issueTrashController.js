@@ -0,0 +1,154 @@
+// server/controllers/issueTrashController.js
+
+import Issue from "../models/issueModel.js"; // imports Issue model
+
+import { userCanEditIssue } from "../middleware/rbac.js"; // issue edit rule
+import { parseLimit } from "../utils/pagination.js";      // page size helper
+import { purgeDueAt,
+         countIssueComments,
+         purgeIssue } from "../utils/trash.js";           // trash helpers
+import { recordIssueHistory } from "../models/issueHistoryModel.js"; // field-level change log
+
+const TRASH_FIELDS = "_id key title type status priority assigneeId reporterId commentCount archivedAt archivedBy";
+
+// DELETE /issues/:id  (loader + membership checked in routes) — moves the issue to the project trash
+export const trashIssue = async (req,res,next)=>{
+
+  try{
+    const issue = req.issue;
+    const user  = req.authUser;
+
+    if(!userCanEditIssue(user, req.project, issue)){
+        return res.status(403).json({error:"Not allowed to delete this issue."});
+    }
+    if(issue.archivedAt){ // already trashed → nothing to do
+        return res.json({ issue, purgeAt:purgeDueAt(issue.archivedAt) });
+    }
+
+    const children = await Issue.find({ parentId:issue._id, archivedAt:null }).select("key").lean();
+    if(children.length){
+        return res.status(409).json({
+          error:"Issue has child issues. Delete or re-parent them first.",
+          children: children.map(c => c.key)
+        });
+    }
+
+    const trashed = await Issue.findOneAndUpdate(
+      { _id:issue._id, archivedAt:null },
+      { $set: { archivedAt:new Date(), archivedBy:user._id } },
+      { new:true }
+    ).lean();
+
+    if(!trashed){ // trashed by someone else in the meantime
+        return res.status(409).json({error:"Issue is already in the trash."});
+    }
+
+    await recordIssueHistory({
+      issue: trashed,
+      actorId: user._id,
+      action: "archived",
+      changes: [ { field:"archivedAt", from:null, to:trashed.archivedAt } ]
+    });
+
+    return res.json({ issue:trashed, purgeAt:purgeDueAt(trashed.archivedAt) });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// POST /issues/:id/restore  (loader + membership checked in routes)
+export const restoreIssue = async (req,res,next)=>{
+
+  try{
+    const issue = req.issue;
+    const user  = req.authUser;
+
+    if(!userCanEditIssue(user, req.project, issue)){
+        return res.status(403).json({error:"Not allowed to restore this issue."});
+    }
+    if(!issue.archivedAt){
+        return res.status(409).json({error:"Issue is not in the trash."});
+    }
+
+    if(issue.parentId){
+      const parent = await Issue.findById(issue.parentId).select("key archivedAt").lean();
+      if(parent?.archivedAt){
+          return res.status(409).json({error:`Parent issue ${parent.key} is in the trash. Restore it first.`});
+      }
+    }
+
+    const restored = await Issue.findOneAndUpdate(
+      { _id:issue._id, archivedAt: { $ne:null } },
+      { $set: { 
+          archivedAt:null, 
+          archivedBy:null, 
+          commentCount: await countIssueComments(issue._id) // comments came back with the issue
+      } },
+      { new:true }
+    ).lean();
+
+    if(!restored){ // restored (or purged) in the meantime
+        return res.status(409).json({error:"Issue is not in the trash."});
+    }
+
+    await recordIssueHistory({
+      issue: restored,
+      actorId: user._id,
+      action: "restored",
+      changes: [ { field:"archivedAt", from:issue.archivedAt, to:null } ]
+    });
+
+    return res.json({issue:restored});
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// DELETE /issues/:id/purge  (lead/admin) — permanent; only for issues already in the trash
+export const purgeTrashedIssue = async (req,res,next)=>{
+
+  try{
+    const issue = req.issue;
+
+    if(!issue.archivedAt){
+        return res.status(409).json({error:"Move the issue to the trash before purging it."});
+    }
+    if(await Issue.exists({ parentId:issue._id })){
+        return res.status(409).json({error:"Issue still has child issues (purge them first)."});
+    }
+
+    const purged = await purgeIssue(issue);
+
+    return res.json({ purged:{ issueId:issue._id, key:issue.key, ...purged } });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// GET /projects/:id/trash?limit=&skip=  (project + membership checked in routes) — newest first
+export const listTrash = async (req,res,next)=>{
+
+  try{
+    const limit = parseLimit(req.query.limit, 50, 200);
+    const skip  = Math.max(parseInt(req.query.skip || "0", 10) || 0, 0);
+
+    const find = { projectId:req.project._id, archivedAt: { $ne:null } };
+
+    const [issues, total] = await Promise.all([
+      Issue.find(find).sort({ archivedAt:-1, _id:-1 }).skip(skip).limit(limit).select(TRASH_FIELDS).lean(),
+      Issue.countDocuments(find)
+    ]);
+
+    return res.json({
+      issues: issues.map(i => ({ ...i, purgeAt:purgeDueAt(i.archivedAt) })),
+      total,
+      page: { skip, limit }
+    });
+  }
+  catch(err){
+    next(err);
+  }
+};
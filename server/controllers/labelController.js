@@ -0,0 +1,187 @@
+// server/controllers/labelController.js
+
+import Project from "../models/projectModel.js"; // imports Project model
+import Issue from "../models/issueModel.js";     // imports Issue model
+import { validateCatalogLabel } from "../utils/labels.js"; // catalog entry validation
+
+const findLabel = (project, name) => { // catalog entry by name (case-insensitive)
+  return (project.labels || []).find(l => l.name.toLowerCase() === String(name).toLowerCase());
+};
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/* Rewrites labels on every issue of a project in ONE update:
+ * any label in 'from' is removed and 'to' is added (no duplicates). Names match
+ * case-insensitively, like the catalog ("UI" on an issue is the catalog's "ui").
+ * Label names are user input, so they go into the pipeline as $literal
+ * (a name like "$title" would otherwise be read as a field path).
+ */
+const rewriteIssueLabels = async (projectId, from, to) => {
+  const lower = from.map(l => l.toLowerCase());
+  const result = await Issue.updateMany(
+    { projectId, labels: { $in: from.map(l => new RegExp(`^${escapeRegex(l)}$`, "i")) } },
+    [ { $set: { labels: { $concatArrays: [
+        { $filter: { input:"$labels", cond: { $and: [
+          { $not: [ { $in: [ { $toLower:"$$this" }, { $literal: lower } ] } ] },
+          { $ne: [ { $toLower:"$$this" }, { $literal: to.toLowerCase() } ] }
+        ] } } },
+        { $literal: [ to ] }                         // keep order of other labels, append target once
+    ] } } } ]
+  );
+  return result.modifiedCount;
+};
+
+// GET /projects/:id/labels  (project + membership checked in routes)
+export const listLabels = async (req,res,next)=>{ // Catalog + usage counts (incl. labels used but not in catalog)
+
+  try{
+    const project = req.project;
+
+    const usage = await Issue.aggregate([ // count issues per label
+      { $match: { projectId: project._id, archivedAt: null } }, // trashed issues don't count
+      { $unwind: "$labels" },
+      { $group: { _id:"$labels", count: { $sum:1 } } }
+    ]);
+    const counts = new Map(usage.map(u => [u._id, u.count]));
+
+    const catalog = (project.labels || []).map(l => ({ ...l, inCatalog:true, issueCount: counts.get(l.name) || 0 }));
+    const known   = new Set(catalog.map(l => l.name));
+    const extra   = usage
+      .filter(u => !known.has(u._id))
+      .map(u => ({ name:u._id, color:null, description:"", inCatalog:false, issueCount:u.count }));
+
+    const labels = [...catalog, ...extra].sort((a, b) => a.name.localeCompare(b.name));
+    return res.json({ labels, restrictLabels: !!project.restrictLabels });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// POST /projects/:id/labels  (lead/admin)
+export const createLabel = async (req,res,next)=>{
+
+  try{
+    const { label, error } = validateCatalogLabel(req.body);
+    if(error){
+        return res.status(400).json({error});
+    }
+    if(findLabel(req.project, label.name)){
+        return res.status(409).json({error:`Label '${label.name}' already exists.`});
+    }
+
+    await Project.updateOne({ _id:req.project._id }, { $push: { labels: label } });
+    return res.status(201).json({ label });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// PATCH /projects/:id/labels/:name  (lead/admin) — rename/recolor; renaming rewrites issues
+export const updateLabel = async (req,res,next)=>{
+
+  try{
+    const project = req.project;
+    const current = findLabel(project, req.params.name);
+
+    if(!current){
+        return res.status(404).json({error:"Label not found."});
+    }
+
+    const { label, error } = validateCatalogLabel({ ...current, ...(req.body || {}) });
+    if(error){
+        return res.status(400).json({error});
+    }
+
+    const renamed = label.name !== current.name;
+    if(renamed && label.name.toLowerCase() !== current.name.toLowerCase() && findLabel(project, label.name)){
+        return res.status(409).json({error:`Label '${label.name}' already exists (use merge instead).`});
+    }
+
+    await Project.updateOne(
+      { _id:project._id, "labels.name":current.name },
+      { $set: { "labels.$": label } }
+    );
+
+    const updatedIssues = renamed ? await rewriteIssueLabels(project._id, [current.name], label.name) : 0;
+
+    return res.json({ label, updatedIssues });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// DELETE /projects/:id/labels/:name?removeFromIssues=true  (lead/admin)
+export const deleteLabel = async (req,res,next)=>{
+
+  try{
+    const project = req.project;
+    const current = findLabel(project, req.params.name);
+
+    if(!current){
+        return res.status(404).json({error:"Label not found."});
+    }
+
+    await Project.updateOne({ _id:project._id }, { $pull: { labels: { name:current.name } } });
+
+    if(req.query.removeFromIssues === "true"){ // optionally strip it from issues too
+      await Issue.updateMany({ projectId:project._id, labels:current.name }, { $pull: { labels:current.name } });
+    }
+
+    return res.status(204).send();
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// POST /projects/:id/labels/merge  (lead/admin) — fold several labels into one
+export const mergeLabels = async (req,res,next)=>{
+
+  try{
+    const project = req.project;
+    const { sources, target } = req.body || {};
+
+    if(!Array.isArray(sources) || !sources.length || sources.some(s => typeof s !== "string" || !s.trim())){
+        return res.status(400).json({error:"sources must be a non-empty array of label names."});
+    }
+    if(typeof target !== "string" || !target.trim()){
+        return res.status(400).json({error:"target is required."});
+    }
+
+    const targetEntry = findLabel(project, target);
+    const targetName  = targetEntry ? targetEntry.name : target.trim();
+
+    const unknown = sources.find(s => !findLabel(project, s.trim()));
+    if(unknown){
+        return res.status(400).json({error:`Label '${unknown.trim()}' is not in the catalog.`});
+    }
+    const from = [...new Set(sources.map(s => findLabel(project, s.trim()).name))] // catalog spelling
+      .filter(s => s.toLowerCase() !== targetName.toLowerCase());
+    if(!from.length){
+        return res.status(400).json({error:"sources must contain labels other than the target."});
+    }
+
+    if(!targetEntry){ // merging into a new name: add it to the catalog (only once the request is known to be valid)
+      const { label, error } = validateCatalogLabel({ name:targetName });
+      if(error){
+          return res.status(400).json({error});
+      }
+      await Project.updateOne({ _id:project._id }, { $push: { labels: label } });
+    }
+
+    const updatedIssues = await rewriteIssueLabels(project._id, from, targetName);
+
+    await Project.updateOne( // merged labels leave the catalog
+      { _id:project._id },
+      { $pull: { labels: { name: { $in: from } } } }
+    );
+
+    return res.json({ target:targetName, merged:from, updatedIssues });
+  }
+  catch(err){
+    next(err);
+  }
+};
@@ -4,6 +4,22 @@ import { ObjectId } from "mongodb";               // needed for ObjectId() in up
 
 import Project from "../models/projectModel.js";  // Import Project model
 import User from "../models/user.js";             // Import User model to validate IDs
+import Issue from "../models/issueModel.js";      // Import Issue model (custom field cleanup)
+import { validateFieldDefinition } from "../utils/customFields.js"; // Custom field definition checks
+import { projectAccessFilter } from "../middleware/rbac.js"; // Shared "which projects can user see" rule
+
+import { getProjectWorkflow, 
+         validateWorkflow, 
+         DEFAULT_WORKFLOW } from "../utils/workflow.js"; // Issue workflow helpers
+import { validateSlaPolicies } from "../utils/sla.js";   // SLA policy validation
+import { DUPLICATE_POLICIES } from "../utils/duplicates.js"; // duplicate detection modes
+import { parseIfMatch,
+         matchesIfMatch,
+         revisionFilter,
+         setEtag,
+         sendPreconditionFailed } from "../utils/revision.js"; // optimistic concurrency (ETag / If-Match)
+
+const MAX_ATTACHMENT_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES) || 100 * 1024 * 1024; // server-wide cap per file
 
 const isValidId = (id) => { // Helper to validate ObjectId strings
     return mongoose.Types.ObjectId.isValid(id);  
@@ -71,19 +87,7 @@ export const listProjects = async (req, res, next) => {   // Controller: list pr
 
     const user = req.authUser;    // Read current user from 'req'
     
-    if (user.role === "admin") {  // If user's role is admin...
-      const projects = await Project.find().sort({ createdAt: -1 }).lean();  // Fetch all projects
-      return res.json({ projects });                                         // Respond with list
-    }                                                                               
-
-    const uid = user._id; // Current user's id
-    
-    const projects = await Project.find({   // Find projects accessible by user
-      $or: [                       // Match any of these:
-        { leadUserId: uid },          // Lead
-        { members: uid },             // Member
-      ],                           // End OR list
-    })                             // End find
+    const projects = await Project.find(projectAccessFilter(user)) // Find projects accessible by user (admin: all, others: lead/member)
       .sort({ createdAt: -1 })     // Sort newest first
       .lean();                     // Return plain objects
 
@@ -95,6 +99,7 @@ export const listProjects = async (req, res, next) => {   // Controller: list pr
 };                                                                                          
 
 export const getProject = async (req, res) => {   // Controller: get single project (project already loaded)
+  setEtag(res, req.project);                      // revision (send back as If-Match when updating)
   return res.json({ project: req.project });      // Respond with attached project
 };                                                                                           
 
@@ -103,7 +108,15 @@ export const updateProject = async (req, res, next) => {  // Controller: update
 
   try {                          
 
-    const { name, description, leadUserId } = req.body || {};  // Extract updatable fields
+    const ifMatch = parseIfMatch(req); // optional If-Match: only update the revision the client has seen
+    if (ifMatch?.error) {
+      return res.status(400).json({ error: ifMatch.error });
+    }
+    if (!matchesIfMatch(ifMatch, req.project)) {
+      return sendPreconditionFailed(res, "project", req.project);
+    }
+
+    const { name, description, leadUserId, enforceBlockers, restrictLabels, duplicatePolicy, attachmentPolicy } = req.body || {};  // Extract updatable fields
     const updates = {};                                        // Prepare updates object
     
     if (name !== undefined) {  // If name provided
@@ -117,6 +130,44 @@ export const updateProject = async (req, res, next) => {  // Controller: update
       updates.description = String(description);  // Set description to string and set
     }                                                                                      
     
+    if (enforceBlockers !== undefined) {  // If blocker policy provided
+      if (typeof enforceBlockers !== "boolean") {
+        return res.status(400).json({ error: "enforceBlockers must be boolean." });
+      }
+      updates.enforceBlockers = enforceBlockers;
+    }
+
+    if (restrictLabels !== undefined) {  // If label policy provided
+      if (typeof restrictLabels !== "boolean") {
+        return res.status(400).json({ error: "restrictLabels must be boolean." });
+      }
+      updates.restrictLabels = restrictLabels;
+    }
+
+    if (duplicatePolicy !== undefined) {  // If duplicate-detection policy provided
+      if (!DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+        return res.status(400).json({ error: `duplicatePolicy must be one of: ${DUPLICATE_POLICIES.join(", ")}.` });
+      }
+      updates.duplicatePolicy = duplicatePolicy;
+    }
+
+    if (attachmentPolicy !== undefined) {  // If upload limits provided
+      const { maxFileSize, allowedMimeTypes } = attachmentPolicy || {};
+
+      if (maxFileSize !== undefined) {
+        if (!Number.isInteger(maxFileSize) || maxFileSize < 1 || maxFileSize > MAX_ATTACHMENT_BYTES) {
+          return res.status(400).json({ error: `attachmentPolicy.maxFileSize must be 1-${MAX_ATTACHMENT_BYTES} bytes.` });
+        }
+        updates["attachmentPolicy.maxFileSize"] = maxFileSize;
+      }
+      if (allowedMimeTypes !== undefined) {
+        if (!Array.isArray(allowedMimeTypes) || allowedMimeTypes.some((m) => !/^[\w.+-]+\/([\w.+-]+|\*)$|^\*\/\*$/.test(m))) {
+          return res.status(400).json({ error: "attachmentPolicy.allowedMimeTypes must be MIME types (e.g. image/png, image/*)." });
+        }
+        updates["attachmentPolicy.allowedMimeTypes"] = [...new Set(allowedMimeTypes.map((m) => m.toLowerCase()))];
+      }
+    }
+
     if (leadUserId !== undefined) {   // If lead change requested
 
       if (!isValidId(leadUserId)) { // Validate id
@@ -131,22 +182,24 @@ export const updateProject = async (req, res, next) => {  // Controller: update
       updates.leadUserId = leadUserId;  // Otheriwse, update lead user Id
     }                                                                                        
 
-    const updated = await Project.findByIdAndUpdate(  // Apply updates
-      req.project._id,                                // Target id
-      { $set: updates },                              // Fields to set
+    const updated = await Project.findOneAndUpdate(   // Apply updates
+      { _id: req.project._id, ...(ifMatch ? revisionFilter(req.project) : {}) }, // Target id (+ still at the If-Match revision)
+      { 
+        $set: updates,                                // Fields to set
+        ...(leadUserId !== undefined ? { $addToSet: { members: leadUserId } } : {}) // Ensures lead is a member if lead is changed
+      },
       { new: true, runValidators: true }              // Return updated doc; validate
     ).lean();                                         // As plain object
 
-    // Ensures lead is a member if lead is changed                                               
-    if (leadUserId !== undefined) {// After lead changed...
-      await Project.updateOne(                 // Update membership if needed
-        { _id: req.project._id },              // Target project
-        { $addToSet: { members: leadUserId } } // Ensure lead is in project's members
-      );                                                                                     
-    }                                                                                        
-
-
+    if (!updated) { // changed (or deleted) by someone else between loading and writing
+      const current = await Project.findById(req.project._id).lean();
+      if (!current) {
+        return res.status(404).json({ error: "Project not found." });
+      }
+      return sendPreconditionFailed(res, "project", current);
+    }
 
+    setEtag(res, updated);
     return res.json({ project: updated }); // Respond with updated project
   } 
   catch (err) {                                                                           
@@ -217,6 +270,176 @@ export const updateMembers = async (req, res, next) => {   // Controller: add/re
   }                                                                                           
 };                                                                                            
 
+export const getWorkflow = async (req, res) => {  // Controller: get the project's issue workflow (project already loaded)
+  const custom = Array.isArray(req.project.workflow) && req.project.workflow.length > 0; // has project defined its own?
+  return res.json({ workflow: getProjectWorkflow(req.project), isDefault: !custom }); 
+};
+
+export const updateWorkflow = async (req, res, next) => {  // Controller: replace (or reset) the project's issue workflow
+
+  try {
+
+    const { transitions } = req.body || {};  // Full list of transitions (null = reset to default)
+
+    if (transitions === null) {  // Reset to default workflow
+      await Project.updateOne({ _id: req.project._id }, { $unset: { workflow: 1 } });
+      return res.json({ workflow: DEFAULT_WORKFLOW, isDefault: true });
+    }
+
+    const invalid = validateWorkflow(transitions);  // Validate statuses/roles/fields of each transition
+
+    if (invalid) {  // Respond with 'bad' request on invalid definition
+      return res.status(400).json({ error: invalid });
+    }
+
+    const workflow = transitions.map((t) => ({  // Keep only known keys, de-duplicated
+      name: t.name.trim(),
+      from: [...new Set(t.from)],
+      to: t.to,
+      roles: [...new Set(t.roles)],
+      requiredFields: [...new Set(t.requiredFields || [])],
+    }));
+
+    const updated = await Project.findByIdAndUpdate(  // Save new workflow
+      req.project._id,
+      { $set: { workflow } },
+      { new: true, runValidators: true }
+    ).lean();
+
+    return res.json({ workflow: updated.workflow, isDefault: false });  // Respond with saved workflow
+  }
+  catch (err) {
+    next(err);
+  }
+};
+
+export const getSlaPolicies = async (req, res) => {  // Controller: get the project's SLA policies (project already loaded)
+  return res.json({ policies: req.project.slaPolicies || [] });
+};
+
+export const updateSlaPolicies = async (req, res, next) => {  // Controller: replace the project's SLA policies ([] removes them)
+
+  try {
+
+    const { policies } = req.body || {};  // Full ordered list (first match wins)
+
+    const invalid = validateSlaPolicies(policies);  // Validate priorities/severities/hours of each policy
+
+    if (invalid) {  // Respond with 'bad' request on invalid definition
+      return res.status(400).json({ error: invalid });
+    }
+
+    const slaPolicies = policies.map((p) => ({  // Keep only known keys, de-duplicated
+      name: p.name.trim(),
+      priorities: [...new Set(p.priorities || [])],
+      severities: [...new Set(p.severities || [])],
+      resolveWithinHours: p.resolveWithinHours,
+      atRiskPercent: p.atRiskPercent ?? 75,
+    }));
+
+    const updated = await Project.findByIdAndUpdate(  // Save new policies (issues pick them up on the next SLA check)
+      req.project._id,
+      { $set: { slaPolicies } },
+      { new: true, runValidators: true }
+    ).lean();
+
+    return res.json({ policies: updated.slaPolicies });  // Respond with saved policies
+  }
+  catch (err) {
+    next(err);
+  }
+};
+
+export const listCustomFields = async (req, res) => {  // Controller: list project's custom field definitions
+  return res.json({ fields: req.project.customFields || [] });
+};
+
+export const createCustomField = async (req, res, next) => {  // Controller: add a custom field definition
+
+  try {
+
+    const { def, error } = validateFieldDefinition(req.body, req.project);  // Validate key/type/options/default
+
+    if (error) {  // Respond with 'bad' request on invalid definition
+      return res.status(400).json({ error });
+    }
+
+    const updated = await Project.findOneAndUpdate(  // Append (guarded against concurrent duplicate keys)
+      { _id: req.project._id, "customFields.key": { $ne: def.key } },
+      { $push: { customFields: def } },
+      { new: true }
+    ).lean();
+
+    if (!updated) {  // Someone added the same key meanwhile
+      return res.status(409).json({ error: `Custom field '${def.key}' already exists.` });
+    }
+
+    return res.status(201).json({ field: def });  // Respond with created definition
+  }
+  catch (err) {
+    next(err);
+  }
+};
+
+export const updateCustomField = async (req, res, next) => {  // Controller: update a custom field definition
+
+  try {
+
+    const { key } = req.params;  // Field key from URL
+    const current = (req.project.customFields || []).find((f) => f.key === key);
+
+    if (!current) {  // Respond not found if no such field
+      return res.status(404).json({ error: "Custom field not found." });
+    }
+
+    const merged = { ...current, ...(req.body || {}), key };  // Partial update on top of current definition
+
+    if (req.body?.type !== undefined && req.body.type !== current.type) {  // Changing type would invalidate stored values
+      return res.status(400).json({ error: "A custom field's type cannot be changed; create a new field instead." });
+    }
+
+    const { def, error } = validateFieldDefinition(merged, req.project, { existingKey: key });
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await Project.updateOne(  // Replace definition in place
+      { _id: req.project._id, "customFields.key": key },
+      { $set: { "customFields.$": def } }
+    );
+
+    return res.json({ field: def });  // Respond with updated definition
+  }
+  catch (err) {
+    next(err);
+  }
+};
+
+export const deleteCustomField = async (req, res, next) => {  // Controller: remove a custom field (and its values)
+
+  try {
+
+    const { key } = req.params;  // Field key from URL
+
+    if (!(req.project.customFields || []).some((f) => f.key === key)) {
+      return res.status(404).json({ error: "Custom field not found." });
+    }
+
+    await Project.updateOne({ _id: req.project._id }, { $pull: { customFields: { key } } });  // Drop definition
+
+    await Issue.updateMany(  // Drop stored values from the project's issues
+      { projectId: req.project._id, [`customFields.${key}`]: { $exists: true } },
+      { $unset: { [`customFields.${key}`]: 1 } }
+    );
+
+    return res.status(204).send();  // Respond no content
+  }
+  catch (err) {
+    next(err);
+  }
+};
+
 export const deleteProject = async (req, res, next) => {// Controller: delete a project (admin only)
 
   try {                                                                                   
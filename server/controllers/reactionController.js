@@ -0,0 +1,120 @@
+// server/controllers/reactionController.js
+
+import Issue from "../models/issueModel.js";     // imports Issue model
+import Comment from "../models/commentModel.js"; // imports Comment model
+import { REACTIONS, UPVOTE } from "../models/reactionModel.js"; // allowed emoji + vote kind
+
+import { toggleReaction,
+         listReactions } from "../utils/reactions.js"; // toggle + "who reacted"
+
+const countsOf = (doc) => Object.fromEntries( // denormalized counts without zero entries
+  Object.entries(doc?.reactionCounts || {}).filter(([, n]) => n > 0)
+);
+
+const checkEmoji = (emoji) => REACTIONS.includes(emoji) ? null : `emoji must be one of: ${REACTIONS.join(", ")}.`;
+
+// POST /issues/:id/reactions  (loader + membership checked in routes) — { emoji } toggles the current user's reaction
+export const toggleIssueReaction = async (req,res,next)=>{
+
+  try{
+    const { emoji } = req.body || {};
+    const invalid = checkEmoji(emoji);
+    if(invalid){
+        return res.status(400).json({error:invalid});
+    }
+
+    const { active } = await toggleReaction({
+      target: { type:"issue", id:req.issue._id, issueId:req.issue._id },
+      userId: req.authUser._id,
+      kind: emoji
+    });
+
+    const issue = await Issue.findById(req.issue._id).select("reactionCounts").lean();
+    return res.json({ emoji, reacted:active, reactionCounts:countsOf(issue) });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// GET /issues/:id/reactions  (members) — who reacted with what
+export const listIssueReactions = async (req,res,next)=>{
+
+  try{
+    const reactions = await listReactions({ targetType:"issue", targetId:req.issue._id, userId:req.authUser._id });
+    delete reactions[UPVOTE]; // votes have their own endpoint
+    return res.json({ reactions });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// POST /issues/:id/vote  (members) — toggles the current user's upvote
+export const toggleIssueVote = async (req,res,next)=>{
+
+  try{
+    const { active } = await toggleReaction({
+      target: { type:"issue", id:req.issue._id, issueId:req.issue._id },
+      userId: req.authUser._id,
+      kind: UPVOTE
+    });
+
+    const issue = await Issue.findById(req.issue._id).select("voteCount").lean();
+    return res.json({ voted:active, voteCount:issue?.voteCount || 0 });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// GET /issues/:id/votes  (members) — who upvoted
+export const listIssueVoters = async (req,res,next)=>{
+
+  try{
+    const { [UPVOTE]:votes } = await listReactions({ targetType:"issue", targetId:req.issue._id, userId:req.authUser._id, kind:UPVOTE });
+    return res.json({ voteCount:votes?.count || 0, voters:votes?.users || [], voted:votes?.me || false });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// POST /comments/:id/reactions  (comment loader + membership checked in routes) — { emoji } toggles
+export const toggleCommentReaction = async (req,res,next)=>{
+
+  try{
+    const { emoji } = req.body || {};
+    const invalid = checkEmoji(emoji);
+    if(invalid){
+        return res.status(400).json({error:invalid});
+    }
+    if(req.comment.deleted){
+        return res.status(409).json({error:"Cannot react to a deleted comment."});
+    }
+
+    const { active } = await toggleReaction({
+      target: { type:"comment", id:req.comment._id, issueId:req.comment.issueId },
+      userId: req.authUser._id,
+      kind: emoji
+    });
+
+    const comment = await Comment.findById(req.comment._id).select("reactionCounts").lean();
+    return res.json({ emoji, reacted:active, reactionCounts:countsOf(comment) });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// GET /comments/:id/reactions  (members)
+export const listCommentReactions = async (req,res,next)=>{
+
+  try{
+    const reactions = await listReactions({ targetType:"comment", targetId:req.comment._id, userId:req.authUser._id });
+    return res.json({ reactions });
+  }
+  catch(err){
+    next(err);
+  }
+};
@@ -0,0 +1,342 @@
+// server/controllers/sprintController.js
+
+import mongoose from "mongoose"; // For ObjectId validation
+
+import Issue from "../models/issueModel.js";    // imports Issue model
+import Sprint from "../models/sprintModel.js";  // imports Sprint model
+
+import { computeBurndown } from "../utils/sprints.js";       // burndown from statusHistory
+import { DONE_STATUSES } from "../utils/issueHierarchy.js";   // statuses that count as "done"
+import { recordIssueHistory } from "../models/issueHistoryModel.js"; // field-level change log
+
+const isValidId = (id) => { // validate id helper function
+  return mongoose.Types.ObjectId.isValid(String(id));
+}
+
+const SPRINT_ISSUE_FIELDS = "_id key title type status priority assigneeId storyPoints statusHistory"; // for burndown
+
+const sumPoints = (issues) => issues.reduce((sum, i) => sum + (i.storyPoints || 0), 0);
+
+const loadSprint = async (req, res) => { // sprint from :sprintId that belongs to the loaded project (or sends 404)
+  const { sprintId } = req.params;
+
+  if(!isValidId(sprintId)){
+    res.status(400).json({error:"Invalid sprint id."});
+    return null;
+  }
+  const sprint = await Sprint.findOne({ _id:sprintId, projectId:req.project._id });
+  if(!sprint){
+    res.status(404).json({error:"Sprint not found."});
+    return null;
+  }
+  return sprint;
+};
+
+const parseSprintDates = (startDate, endDate) => { // → { start, end } | { error }
+  const start = new Date(startDate);
+  const end   = new Date(endDate);
+  if(Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())){
+    return { error:"startDate and endDate must be valid dates." };
+  }
+  if(end <= start){
+    return { error:"endDate must be after startDate." };
+  }
+  return { start, end };
+};
+
+// GET /projects/:id/sprints?state=  (project + membership checked in routes)
+export const listSprints = async (req,res,next)=>{
+
+  try{
+    const find = { projectId:req.project._id };
+
+    if(req.query.state !== undefined){
+      if(!["planned","active","closed"].includes(req.query.state)){
+          return res.status(400).json({error:"Invalid state."});
+      }
+      find.state = req.query.state;
+    }
+
+    const sprints = await Sprint.find(find).sort({ startDate:1, _id:1 }).lean();
+
+    const totals = await Issue.aggregate([ // issue count + points per sprint (current members only)
+      { $match: { sprintId: { $in: sprints.map(s => s._id) }, archivedAt: null } },
+      { $group: {
+          _id: "$sprintId",
+          issues: { $sum:1 },
+          points: { $sum: { $ifNull: ["$storyPoints", 0] } },
+          donePoints: { $sum: { $cond: [ { $in: ["$status", DONE_STATUSES] }, { $ifNull: ["$storyPoints", 0] }, 0 ] } }
+      } }
+    ]);
+    const byId = new Map(totals.map(t => [String(t._id), t]));
+
+    return res.json({
+      sprints: sprints.map(s => {
+        const t = byId.get(String(s._id));
+        return { ...s, issueCount: t?.issues || 0, points: t?.points || 0, donePoints: t?.donePoints || 0 };
+      })
+    });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// POST /projects/:id/sprints  (lead/admin)
+export const createSprint = async (req,res,next)=>{
+
+  try{
+    const { name, goal="", startDate, endDate } = req.body || {};
+
+    if(!name?.trim()){
+        return res.status(400).json({error:"name is required."});
+    }
+    const dates = parseSprintDates(startDate, endDate);
+    if(dates.error){
+        return res.status(400).json({error:dates.error});
+    }
+
+    const sprint = await Sprint.create({
+      projectId: req.project._id,
+      name: name.trim(),
+      goal: String(goal),
+      startDate: dates.start,
+      endDate: dates.end
+    });
+
+    return res.status(201).json({sprint});
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// GET /projects/:id/sprints/:sprintId  (members) — sprint + its issues
+export const getSprint = async (req,res,next)=>{
+
+  try{
+    const sprint = await loadSprint(req, res);
+    if(!sprint){ return; }
+
+    const issues = await Issue.find({ sprintId:sprint._id, archivedAt:null }) // trashed issues left out
+      .select("_id key title type status priority assigneeId storyPoints")
+      .sort({ statusRank:1, priorityRank:-1 })
+      .lean();
+
+    return res.json({
+      sprint: sprint.toObject(),
+      issues,
+      points: sumPoints(issues),
+      donePoints: sumPoints(issues.filter(i => DONE_STATUSES.includes(i.status)))
+    });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// PATCH /projects/:id/sprints/:sprintId  (lead/admin) — name/goal/dates (not for closed sprints)
+export const updateSprint = async (req,res,next)=>{
+
+  try{
+    const sprint = await loadSprint(req, res);
+    if(!sprint){ return; }
+
+    if(sprint.state === "closed"){
+        return res.status(409).json({error:"Closed sprints cannot be edited."});
+    }
+
+    const { name, goal, startDate, endDate } = req.body || {};
+
+    if(name !== undefined){
+      if(!String(name).trim()){
+          return res.status(400).json({error:"name cannot be empty."});
+      }
+      sprint.name = String(name).trim();
+    }
+    if(goal !== undefined){
+      sprint.goal = String(goal);
+    }
+    if(startDate !== undefined || endDate !== undefined){
+      const dates = parseSprintDates(startDate ?? sprint.startDate, endDate ?? sprint.endDate);
+      if(dates.error){
+          return res.status(400).json({error:dates.error});
+      }
+      sprint.startDate = dates.start;
+      sprint.endDate   = dates.end;
+    }
+
+    const saved = await sprint.save();
+    return res.json({sprint:saved.toObject()});
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// DELETE /projects/:id/sprints/:sprintId  (lead/admin) — planned sprints only; issues go back to the backlog
+export const deleteSprint = async (req,res,next)=>{
+
+  try{
+    const sprint = await loadSprint(req, res);
+    if(!sprint){ return; }
+
+    if(sprint.state !== "planned"){
+        return res.status(409).json({error:"Only planned sprints can be deleted."});
+    }
+
+    await Issue.updateMany({ sprintId:sprint._id }, { $set: { sprintId:null } });
+    await Sprint.deleteOne({ _id:sprint._id });
+
+    return res.status(204).send();
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// POST /projects/:id/sprints/:sprintId/start  (lead/admin)
+export const startSprint = async (req,res,next)=>{
+
+  try{
+    const sprint = await loadSprint(req, res);
+    if(!sprint){ return; }
+
+    if(sprint.state !== "planned"){
+        return res.status(409).json({error:`Sprint is already ${sprint.state}.`});
+    }
+
+    const active = await Sprint.exists({ projectId:req.project._id, state:"active" });
+    if(active){
+        return res.status(409).json({error:"Another sprint is already active in this project.", activeSprintId:active._id});
+    }
+
+    const issues = await Issue.find({ sprintId:sprint._id, archivedAt:null }).select("storyPoints").lean();
+
+    sprint.state           = "active";
+    sprint.startedAt       = new Date();
+    sprint.committedPoints = sumPoints(issues); // scope at start (for velocity)
+
+    const saved = await sprint.save();
+    return res.json({sprint:saved.toObject()});
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// POST /projects/:id/sprints/:sprintId/close  (lead/admin) — unfinished issues move to the next sprint
+export const closeSprint = async (req,res,next)=>{
+
+  try{
+    const sprint = await loadSprint(req, res);
+    if(!sprint){ return; }
+
+    if(sprint.state !== "active"){
+        return res.status(409).json({error:"Only the active sprint can be closed."});
+    }
+
+    const { carryOverTo } = req.body || {}; // sprint id, null (= backlog) or omitted (= next planned sprint)
+
+    let nextSprint = null;
+    if(carryOverTo === undefined){
+      nextSprint = await Sprint.findOne({ projectId:req.project._id, state:"planned" }).sort({ startDate:1, _id:1 }).lean();
+    }
+    else if(carryOverTo !== null){
+      if(!isValidId(carryOverTo)){
+          return res.status(400).json({error:"Invalid carryOverTo."});
+      }
+      nextSprint = await Sprint.findOne({ _id:carryOverTo, projectId:req.project._id, state:"planned" }).lean();
+      if(!nextSprint){
+          return res.status(400).json({error:"carryOverTo must be a planned sprint of this project."});
+      }
+    }
+
+    const issues     = await Issue.find({ sprintId:sprint._id, archivedAt:null }).select("_id projectId status storyPoints").lean(); // trashed issues stay put
+    const unfinished = issues.filter(i => !DONE_STATUSES.includes(i.status));
+
+    if(unfinished.length){
+      await Issue.updateMany(
+        { _id: { $in: unfinished.map(i => i._id) } },
+        { $set: { sprintId: nextSprint ? nextSprint._id : null }, $addToSet: { pastSprintIds: sprint._id } }
+      );
+      for(const issue of unfinished){
+        await recordIssueHistory({
+          issue,
+          actorId: req.authUser._id,
+          action: "carried_over",
+          changes: [ { field:"sprintId", from:String(sprint._id), to:nextSprint ? String(nextSprint._id) : null } ],
+          note: `Unfinished when '${sprint.name}' closed`
+        });
+      }
+    }
+
+    sprint.state           = "closed";
+    sprint.closedAt        = new Date();
+    sprint.completedPoints = sumPoints(issues.filter(i => DONE_STATUSES.includes(i.status)));
+    sprint.carriedOver     = unfinished.length;
+
+    const saved = await sprint.save();
+
+    return res.json({
+      sprint: saved.toObject(),
+      carriedOverTo: nextSprint ? nextSprint._id : null,
+      carriedOverIssues: unfinished.map(i => i._id)
+    });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// GET /projects/:id/sprints/:sprintId/burndown  (members)
+export const getSprintBurndown = async (req,res,next)=>{
+
+  try{
+    const sprint = await loadSprint(req, res);
+    if(!sprint){ return; }
+
+    if(sprint.state === "planned"){
+        return res.status(409).json({error:"Sprint has not started yet."});
+    }
+
+    const issues = await Issue.find({ // current members + issues carried over from it
+      $or: [ { sprintId:sprint._id }, { pastSprintIds:sprint._id } ],
+      archivedAt: null
+    }).select(SPRINT_ISSUE_FIELDS).lean();
+
+    const burndown = computeBurndown(sprint, issues);
+
+    return res.json({
+      sprint: { _id:sprint._id, name:sprint.name, state:sprint.state, startDate:sprint.startDate, endDate:sprint.endDate },
+      ...burndown
+    });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// GET /projects/:id/velocity?limit=N  (members) — committed vs completed points of the last N closed sprints
+export const getVelocity = async (req,res,next)=>{
+
+  try{
+    const limit = Math.min(Math.max(parseInt(req.query.limit ?? "6", 10) || 6, 1), 50);
+
+    const sprints = await Sprint.find({ projectId:req.project._id, state:"closed" })
+      .sort({ closedAt:-1, _id:-1 })
+      .limit(limit)
+      .select("name startDate endDate closedAt committedPoints completedPoints carriedOver")
+      .lean();
+
+    const rows = sprints.reverse(); // oldest first (chart order)
+    const average = rows.length
+      ? Math.round(rows.reduce((sum, s) => sum + (s.completedPoints || 0), 0) / rows.length * 100) / 100
+      : 0;
+
+    return res.json({ sprints:rows, averageVelocity:average });
+  }
+  catch(err){
+    next(err);
+  }
+};
@@ -0,0 +1,105 @@
+// server/controllers/watchController.js
+
+import Issue, { PRIORITIES } from "../models/issueModel.js"; // imports Issue model + priorities
+import Project from "../models/projectModel.js";             // imports Project model
+
+import { projectAccessFilter } from "../middleware/rbac.js";  // which projects a user can see
+import { DONE_STATUSES } from "../utils/issueHierarchy.js";    // statuses that count as "done"
+
+const WORK_FIELDS = "_id key title type status priority severity projectId assigneeId reporterId dueDate sla.state updatedAt";
+
+const WORK_SECTIONS = { // section → which issues (each backed by an index: assigneeId+status, reporterId, watchers)
+  assigned: (userId) => ({ assigneeId:userId }),
+  reported: (userId) => ({ reporterId:userId }),
+  watching: (userId) => ({ watchers:userId })
+};
+
+// POST /issues/:id/watch  (loader + membership checked in routes) — current user starts watching
+export const watchIssue = async (req,res,next)=>{
+
+  try{
+    const updated = await Issue.findByIdAndUpdate(
+      req.issue._id,
+      { $addToSet: { watchers:req.authUser._id } },
+      { new:true }
+    ).select("_id key watchers").lean();
+
+    if(!updated){
+        return res.status(404).json({error:"Issue not found."});
+    }
+    return res.json({ issueId:updated._id, key:updated.key, watching:true, watcherCount:updated.watchers.length });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// DELETE /issues/:id/watch  (loader + membership checked in routes) — current user stops watching
+export const unwatchIssue = async (req,res,next)=>{
+
+  try{
+    const updated = await Issue.findByIdAndUpdate(
+      req.issue._id,
+      { $pull: { watchers:req.authUser._id } },
+      { new:true }
+    ).select("_id key watchers").lean();
+
+    if(!updated){
+        return res.status(404).json({error:"Issue not found."});
+    }
+    return res.json({ issueId:updated._id, key:updated.key, watching:false, watcherCount:updated.watchers.length });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// GET /me/work?include=assigned,reported,watching&includeDone=true&limit=  — across every project the user can see
+export const getMyWork = async (req,res,next)=>{
+
+  try{
+    const user  = req.authUser;
+    const limit = Math.min(Math.max(parseInt(req.query.limit ?? "50", 10) || 50, 1), 200); // issues per section
+
+    const sections = req.query.include ? String(req.query.include).split(",").map(s => s.trim()) : Object.keys(WORK_SECTIONS);
+    const unknown  = sections.find(s => !WORK_SECTIONS[s]);
+    if(unknown){
+        return res.status(400).json({error:`Unknown section '${unknown}'. Use: ${Object.keys(WORK_SECTIONS).join(", ")}.`});
+    }
+
+    const base = { archivedAt:null };
+    if(req.query.includeDone !== "true"){ // open work only by default
+      base.status = { $nin:DONE_STATUSES };
+    }
+    if(user.role !== "admin"){ // only projects the user still has access to
+      const projects = await Project.find(projectAccessFilter(user)).select("_id").lean();
+      base.projectId = { $in:projects.map(p => p._id) };
+    }
+
+    const result = {};
+    for(const name of sections){
+      const find = { ...WORK_SECTIONS[name](user._id), ...base };
+
+      const [issues, total] = await Promise.all([
+        Issue.find(find)
+          .sort({ priorityRank:-1, updatedAt:-1, _id:1 }) // most urgent first, then most recently touched
+          .limit(limit)
+          .select(WORK_FIELDS)
+          .lean(),
+        Issue.countDocuments(find)
+      ]);
+
+      result[name] = {
+        total,
+        byPriority: [...PRIORITIES].reverse() // critical → low
+          .map(priority => ({ priority, issues:issues.filter(i => i.priority === priority) }))
+          .filter(group => group.issues.length)
+      };
+    }
+
+    return res.json(result);
+  }
+  catch(err){
+    next(err);
+  }
+};
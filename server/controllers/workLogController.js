@@ -0,0 +1,355 @@
+// server/controllers/workLogController.js
+
+import mongoose from "mongoose"; // For ObjectId validation/casting
+
+import Issue from "../models/issueModel.js";     // imports Issue model
+import Project from "../models/projectModel.js"; // imports Project model
+import WorkLog from "../models/workLogModel.js"; // imports WorkLog model
+import User from "../models/user.js";             // imports User model
+
+import { projectAccessFilter } from "../middleware/rbac.js"; // which projects a user can see
+import { parseDuration,
+         formatDuration } from "../utils/duration.js";      // "2h 30m" ↔ minutes
+import { recordIssueHistory } from "../models/issueHistoryModel.js"; // field-level change log
+
+const isValidId = (id) => { // validate id helper function
+  return mongoose.Types.ObjectId.isValid(String(id));
+}
+
+const REPORT_GROUPS = ["issue","assignee","user","project"]; // ?groupBy= options for time reports
+
+const parseDay = (raw, endOfDay = false) => { // "2025-01-31" or ISO → Date (date-only 'to' covers the whole day)
+  const d = new Date(raw);
+  if (Number.isNaN(d.getTime())) {
+    return null;
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(raw))) {
+    d.setUTCDate(d.getUTCDate() + 1);
+    d.setUTCMilliseconds(-1);
+  }
+  return d;
+};
+
+const canManageLog = (user, project, log) => { // author, project lead or admin
+  return user.role === "admin" ||
+    String(project.leadUserId) === String(user._id) ||
+    String(log.userId) === String(user._id);
+};
+
+const presentLog = (log) => ({ ...log, duration: formatDuration(log.minutes) }); // adds a readable duration
+
+/* Applies a change of logged time to the issue and records it in the history.
+ * Both totals are worked out inside ONE update, so parallel log/edit/delete requests can't lose
+ * each other's change: the remaining estimate shrinks/grows by the logged difference (never below
+ * zero, unset stays unset) unless the client re-estimates. Returns the updated issue.
+ */
+const applyLoggedTime = async ({ issueId, delta, remainingEstimate, actorId, action, note = "" }) => {
+
+  const remaining = remainingEstimate !== undefined
+    ? { $literal: remainingEstimate }
+    : { $cond: [ { $eq: [ { $ifNull: ["$remainingEstimate", null] }, null ] }, null,
+                 { $max: [0, { $subtract: ["$remainingEstimate", delta] }] } ] };
+
+  const before = await Issue.findByIdAndUpdate(
+    issueId,
+    [ { $set: { // never below zero (e.g. legacy data)
+      timeSpent: { $max: [0, { $add: [ { $ifNull: ["$timeSpent", 0] }, delta ] }] },
+      remainingEstimate: remaining
+    } } ],
+    { new:false } // pre-image: the values this update started from
+  ).lean();
+
+  const updated = { // post-image of THIS update (same arithmetic as above; a later read could include others' changes)
+    ...before,
+    timeSpent: Math.max(0, (before.timeSpent || 0) + delta),
+    remainingEstimate: remainingEstimate !== undefined ? remainingEstimate
+      : (before.remainingEstimate ?? null) === null ? null : Math.max(0, before.remainingEstimate - delta)
+  };
+
+  const changes = [];
+  if((before.timeSpent || 0) !== (updated.timeSpent || 0)){
+    changes.push({ field:"timeSpent", from:before.timeSpent || 0, to:updated.timeSpent || 0 });
+  }
+  if((before.remainingEstimate ?? null) !== (updated.remainingEstimate ?? null)){
+    changes.push({ field:"remainingEstimate", from:before.remainingEstimate ?? null, to:updated.remainingEstimate ?? null });
+  }
+  await recordIssueHistory({ issue:updated, actorId, action, changes, note });
+
+  return updated;
+};
+
+// GET /issues/:id/worklogs  (loader + membership checked in routes)
+export const listWorkLogs = async (req,res,next)=>{
+
+  try{
+    const issue = req.issue;
+
+    const logs = await WorkLog.find({ issueId:issue._id })
+      .sort({ workedAt:-1, _id:-1 })
+      .populate({ path:"userId", select:"username", model:User }) // refs say "Users", model is "User"
+      .lean();
+
+    return res.json({
+      worklogs: logs.map(presentLog),
+      timeSpent: issue.timeSpent || 0,
+      originalEstimate: issue.originalEstimate ?? null,
+      remainingEstimate: issue.remainingEstimate ?? null
+    });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// POST /issues/:id/worklogs  (loader + membership checked in routes)
+export const createWorkLog = async (req,res,next)=>{
+
+  try{
+    const issue = req.issue;
+    const user  = req.authUser;
+
+    const { duration, minutes, workedAt, note="", remainingEstimate } = req.body || {};
+
+    const parsed = parseDuration(duration ?? minutes); // time spent
+    if(parsed.error){
+        return res.status(400).json({error:parsed.error});
+    }
+    if(parsed.minutes < 1){
+        return res.status(400).json({error:"Logged time must be at least 1 minute."});
+    }
+
+    const day = workedAt === undefined ? new Date() : parseDay(workedAt);
+    if(!day){
+        return res.status(400).json({error:"Invalid workedAt date."});
+    }
+    if(day > new Date(Date.now() + 24*60*60*1000)){ // allow timezone slack, not future work
+        return res.status(400).json({error:"workedAt cannot be in the future."});
+    }
+
+    let remaining; // undefined: auto-reduce what's left (see applyLoggedTime)
+    if(remainingEstimate !== undefined){
+      const r = parseDuration(remainingEstimate, { allowNull:true });
+      if(r.error){
+          return res.status(400).json({error:`remainingEstimate: ${r.error}`});
+      }
+      remaining = r.minutes;
+    }
+
+    const log = await WorkLog.create({
+      issueId: issue._id,
+      projectId: issue.projectId,
+      userId: user._id,
+      minutes: parsed.minutes,
+      workedAt: day,
+      note: String(note)
+    });
+
+    const updated = await applyLoggedTime({
+      issueId: issue._id,
+      delta: parsed.minutes,
+      remainingEstimate: remaining,
+      actorId: user._id,
+      action: "work_logged",
+      note: String(note)
+    });
+
+    return res.status(201).json({ worklog: presentLog(log.toObject()), timeSpent:updated.timeSpent, remainingEstimate:updated.remainingEstimate });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// PATCH /issues/:id/worklogs/:logId  (loader + membership checked in routes; author or lead only)
+export const updateWorkLog = async (req,res,next)=>{
+
+  try{
+    const { logId } = req.params;
+
+    if(!isValidId(logId)){
+        return res.status(400).json({error:"Invalid work log id."});
+    }
+
+    const log = await WorkLog.findOne({ _id:logId, issueId:req.issue._id });
+    if(!log){
+        return res.status(404).json({error:"Work log not found."});
+    }
+    if(!canManageLog(req.authUser, req.project, log)){
+        return res.status(403).json({error:"Only the author or the project lead can edit this work log."});
+    }
+
+    const { duration, minutes, workedAt, note } = req.body || {};
+    const previous = log.minutes;
+
+    if(duration !== undefined || minutes !== undefined){
+      const parsed = parseDuration(duration ?? minutes);
+      if(parsed.error){
+          return res.status(400).json({error:parsed.error});
+      }
+      if(parsed.minutes < 1){
+          return res.status(400).json({error:"Logged time must be at least 1 minute."});
+      }
+      log.minutes = parsed.minutes;
+    }
+    if(workedAt !== undefined){
+      const day = parseDay(workedAt);
+      if(!day){
+          return res.status(400).json({error:"Invalid workedAt date."});
+      }
+      log.workedAt = day;
+    }
+    if(note !== undefined){
+      log.note = String(note);
+    }
+
+    const saved = await log.save();
+
+    let issue = null;
+    if(saved.minutes !== previous){ // keep the issue's total + remaining estimate in sync
+      issue = await applyLoggedTime({
+        issueId: log.issueId,
+        delta: saved.minutes - previous,
+        actorId: req.authUser._id,
+        action: "work_log_updated",
+        note: `Work log changed from ${formatDuration(previous)} to ${formatDuration(saved.minutes)}`
+      });
+    }
+
+    return res.json({
+      worklog: presentLog(saved.toObject()),
+      ...(issue ? { timeSpent:issue.timeSpent, remainingEstimate:issue.remainingEstimate ?? null } : {})
+    });
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// DELETE /issues/:id/worklogs/:logId  (loader + membership checked in routes; author or lead only)
+export const deleteWorkLog = async (req,res,next)=>{
+
+  try{
+    const { logId } = req.params;
+
+    if(!isValidId(logId)){
+        return res.status(400).json({error:"Invalid work log id."});
+    }
+
+    const log = await WorkLog.findOne({ _id:logId, issueId:req.issue._id }).lean();
+    if(!log){
+        return res.status(404).json({error:"Work log not found."});
+    }
+    if(!canManageLog(req.authUser, req.project, log)){
+        return res.status(403).json({error:"Only the author or the project lead can delete this work log."});
+    }
+
+    await WorkLog.deleteOne({ _id:log._id });
+    await applyLoggedTime({
+      issueId: log.issueId,
+      delta: -log.minutes,
+      actorId: req.authUser._id,
+      action: "work_log_deleted",
+      note: `Removed ${formatDuration(log.minutes)} logged`
+    });
+
+    return res.status(204).send();
+  }
+  catch(err){
+    next(err);
+  }
+};
+
+// GET /reports/time?from=&to=&groupBy=issue|assignee|user|project&projectId=
+export const getTimeReport = async (req,res,next)=>{
+
+  try{
+    const user = req.authUser;
+    const { from, to, groupBy="issue", projectId } = req.query;
+
+    if(!REPORT_GROUPS.includes(groupBy)){
+        return res.status(400).json({error:`groupBy must be one of: ${REPORT_GROUPS.join(", ")}.`});
+    }
+
+    const range = {};
+    if(from !== undefined){
+      const d = parseDay(from);
+      if(!d){
+          return res.status(400).json({error:"Invalid from date."});
+      }
+      range.$gte = d;
+    }
+    if(to !== undefined){
+      const d = parseDay(to, true);
+      if(!d){
+          return res.status(400).json({error:"Invalid to date."});
+      }
+      range.$lte = d;
+    }
+
+    const projectFilter = { ...projectAccessFilter(user) }; // only projects the user can see
+    if(projectId !== undefined){
+      if(!isValidId(projectId)){
+          return res.status(400).json({error:"Invalid projectId."});
+      }
+      projectFilter._id = projectId;
+    }
+    const projects = await Project.find(projectFilter).select("_id key name").lean();
+
+    const match = { projectId: { $in: projects.map(p => p._id) } };
+    if(Object.keys(range).length){
+      match.workedAt = range;
+    }
+
+    const pipeline = [ { $match: match } ];
+
+    if(groupBy === "assignee"){ // attribute time to the issue's (current) assignee
+      pipeline.push(
+        { $lookup: { from:"issues", localField:"issueId", foreignField:"_id", as:"issue", pipeline:[ { $project:{ assigneeId:1 } } ] } },
+        { $set: { assigneeId: { $ifNull: [ { $first:"$issue.assigneeId" }, null ] } } }
+      );
+    }
+
+    const groupKey = { issue:"$issueId", assignee:"$assigneeId", user:"$userId", project:"$projectId" }[groupBy];
+    pipeline.push(
+      { $group: { _id:groupKey, minutes: { $sum:"$minutes" }, entries: { $sum:1 } } },
+      { $sort: { minutes:-1, _id:1 } }
+    );
+
+    const rows = await WorkLog.aggregate(pipeline);
+
+    // attach readable labels for each group
+    const ids = rows.map(r => r._id).filter(Boolean);
+    let labels = new Map();
+    if(groupBy === "issue"){
+      const issues = await Issue.find({ _id:{ $in:ids } }).select("key title").lean();
+      labels = new Map(issues.map(i => [String(i._id), { key:i.key, title:i.title }]));
+    }
+    else if(groupBy === "project"){
+      labels = new Map(projects.map(p => [String(p._id), { key:p.key, name:p.name }]));
+    }
+    else {
+      const users = await User.find({ _id:{ $in:ids } }).select("username").lean();
+      labels = new Map(users.map(u => [String(u._id), { username:u.username }]));
+    }
+
+    const total = rows.reduce((sum, r) => sum + r.minutes, 0);
+
+    return res.json({
+      from: range.$gte || null,
+      to: range.$lte || null,
+      groupBy,
+      total,
+      totalDuration: formatDuration(total),
+      rows: rows.map(r => ({
+        id: r._id,
+        ...(labels.get(String(r._id)) || {}),
+        minutes: r.minutes,
+        duration: formatDuration(r.minutes),
+        entries: r.entries
+      }))
+    });
+  }
+  catch(err){
+    next(err);
+  }
+};
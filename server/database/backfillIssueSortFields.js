@@ -0,0 +1,32 @@
+// server/database/backfillIssueSortFields.js
+
+/* NOTE: priorityRank, statusRank and seq (numeric sort helpers for GET /projects/:pid/issues) are
+ *       set by the Issue model's pre("validate") hooks, so issues saved before those fields existed
+ *       have them missing/null and would sort in the wrong place. This fills them in once at
+ *       startup; afterwards it only matches issues that still lack a value (normally none).
+ *       It writes through the raw collection: filling in derived fields isn't an edit, so it must
+ *       not touch updatedAt or the revision (ETag).
+ */
+
+import Issue, { PRIORITIES, STATUSES } from "../models/issueModel.js"; // Issue model + enums (rank order)
+
+export const backfillIssueSortFields = async () => {
+
+  const result = await Issue.collection.updateMany(
+    { $or: [ { priorityRank:null }, { statusRank:null }, { seq:null, key:{ $type:"string" } } ] }, // null also matches a missing field
+    [
+      { $set: {
+          priorityRank: { $ifNull: [ "$priorityRank", { $indexOfArray: [ PRIORITIES, "$priority" ] } ] },
+          statusRank:   { $ifNull: [ "$statusRank",   { $indexOfArray: [ STATUSES, "$status" ] } ] },
+          seq:          { $ifNull: [ "$seq", {         // numeric part of "PROJ-<n>" (null if not a number)
+            $convert: { input: { $arrayElemAt: [ { $split: [ { $ifNull: [ "$key", "" ] }, "-" ] }, -1 ] }, to:"int", onError:null, onNull:null }
+          } ] }
+      } }
+    ]
+  );
+
+  if (result.modifiedCount) {
+    console.log(`[Backfill] issue sort fields set on ${result.modifiedCount} issue(s)`);
+  }
+  return result.modifiedCount;
+};
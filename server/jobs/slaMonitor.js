@@ -0,0 +1,101 @@
+// server/jobs/slaMonitor.js
+
+/* NOTE: In-process job that re-evaluates SLA state (utils/sla.js) on a timer, so issues become
+ *       'at_risk' / 'breached' as time passes even when nobody touches them.
+ *       Interval: SLA_CHECK_INTERVAL_MS (default 5 minutes; 0 disables the job).
+ */
+
+import Issue from "../models/issueModel.js";     // imports Issue model
+import Project from "../models/projectModel.js"; // imports Project model
+import { evaluateSla } from "../utils/sla.js";   // SLA evaluation
+import { DONE_STATUSES } from "../utils/issueHierarchy.js"; // statuses that stop the clock
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+
+const sameSla = (a = {}, b = {}) => { // only write when state/target changed (elapsed time is computed on read)
+  return a.state === b.state &&
+    a.policy === b.policy &&
+    String(a.deadline ?? "") === String(b.deadline ?? "");
+};
+
+// One pass over every issue whose SLA can still change. Returns counters.
+export const runSlaCheck = async (now = new Date()) => {
+
+  const stats = { checked:0, updated:0, breached:0, atRisk:0 };
+  const projects = await Project.find({}).select("_id slaPolicies").lean();
+
+  for (const project of projects) {
+
+    const cursor = Issue.find({
+      projectId: project._id,
+      archivedAt: null,                                // trashed issues are frozen
+      $or: [
+        { status: { $nin: DONE_STATUSES } },          // clock may still be running
+        { "sla.state": { $in: ["ok","at_risk"] } }    // done since last check → becomes met/breached
+      ]
+    })
+      .select("_id status priority severity createdAt closedAt dueDate statusHistory sla")
+      .lean()
+      .cursor();
+
+    let ops = [];
+
+    for await (const issue of cursor) {
+      stats.checked++;
+      const sla = evaluateSla(issue, project, now);
+
+      if (sla.state === "breached" && issue.sla?.state !== "breached") { stats.breached++; }
+      if (sla.state === "at_risk"  && issue.sla?.state !== "at_risk")  { stats.atRisk++; }
+
+      if (!sameSla(issue.sla, sla)) {
+        ops.push({ updateOne: { filter: { _id:issue._id }, update: { $set: { sla } }, timestamps:false } });
+      }
+      if (ops.length >= 500) { // write in batches
+        stats.updated += (await Issue.bulkWrite(ops, { ordered:false })).modifiedCount;
+        ops = [];
+      }
+    }
+
+    if (ops.length) {
+      stats.updated += (await Issue.bulkWrite(ops, { ordered:false })).modifiedCount;
+    }
+  }
+
+  return stats;
+};
+
+// Starts the timer (returns a stop function). Runs never overlap.
+export const startSlaMonitor = ({ intervalMs = Number(process.env.SLA_CHECK_INTERVAL_MS ?? DEFAULT_INTERVAL_MS) } = {}) => {
+
+  if (!intervalMs || intervalMs < 0) {
+    console.log("[SLA] monitor disabled");
+    return () => {};
+  }
+
+  let running = false;
+
+  const tick = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const stats = await runSlaCheck();
+      if (stats.breached || stats.atRisk) {
+        console.log(`[SLA] ${stats.breached} newly breached, ${stats.atRisk} newly at risk (${stats.checked} checked)`);
+      }
+    }
+    catch (err) {
+      console.error("[SLA] check failed:", err.message);
+    }
+    finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref(); // don't keep the process alive just for this
+  setTimeout(tick, 0).unref();
+
+  return () => clearInterval(timer);
+};
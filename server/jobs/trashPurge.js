@@ -0,0 +1,80 @@
+// server/jobs/trashPurge.js
+
+/* NOTE: In-process job that permanently deletes issues that have been in the trash longer than
+ *       TRASH_RETENTION_DAYS (see utils/trash.js). Issues that still have ANY child issue (trashed or
+ *       live) are skipped. Children are trashed before their parent, so they go first and the parent
+ *       follows on a later run; a live child (only possible in data from before trashed parents were
+ *       refused) keeps its parent in the trash until it is re-parented or trashed itself.
+ *       Interval: TRASH_PURGE_INTERVAL_MS (default 1 hour; 0 disables the job).
+ */
+
+import Issue from "../models/issueModel.js"; // imports Issue model
+import { trashRetentionDays,
+         purgeIssue,
+         TRASH_DAY_MS } from "../utils/trash.js"; // trash helpers
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+// One pass over expired trash. Returns counters.
+export const runTrashPurge = async (now = new Date()) => {
+
+  const stats = { purged:0, skipped:0 };
+  const days  = trashRetentionDays();
+
+  if (!days) { // retention 0 → keep trash until purged by hand
+    return stats;
+  }
+
+  const cursor = Issue.find({ archivedAt: { $ne:null, $lte: new Date(now.getTime() - days * TRASH_DAY_MS) } })
+    .sort({ archivedAt:1 })
+    .select("_id projectId attachments")
+    .lean()
+    .cursor();
+
+  for await (const issue of cursor) {
+    if (await Issue.exists({ parentId:issue._id })) {
+      stats.skipped++;
+      continue;
+    }
+    await purgeIssue(issue);
+    stats.purged++;
+  }
+
+  return stats;
+};
+
+// Starts the timer (returns a stop function). Runs never overlap.
+export const startTrashPurge = ({ intervalMs = Number(process.env.TRASH_PURGE_INTERVAL_MS ?? DEFAULT_INTERVAL_MS) } = {}) => {
+
+  if (!intervalMs || intervalMs < 0) {
+    console.log("[Trash] purge disabled");
+    return () => {};
+  }
+
+  let running = false;
+
+  const tick = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const stats = await runTrashPurge();
+      if (stats.purged) {
+        console.log(`[Trash] purged ${stats.purged} issue(s) past retention`);
+      }
+    }
+    catch (err) {
+      console.error("[Trash] purge failed:", err.message);
+    }
+    finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref(); // don't keep the process alive just for this
+  setTimeout(tick, 0).unref();
+
+  return () => clearInterval(timer);
+};
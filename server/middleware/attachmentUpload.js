@@ -0,0 +1,35 @@
+// server/middleware/attachmentUpload.js
+
+import os from "os";          // temp directory for incoming uploads
+import multer from "multer";  // multipart/form-data parser
+
+/* Receives a single multipart file (field "file") into a temp file, enforcing the
+ * project's size limit. Must run AFTER loadIssue (needs req.project).
+ * Sets req.file = { path, originalname, mimetype, size, ... }.
+ */
+export const receiveAttachment = (req,res,next)=>{
+
+  const maxFileSize = req.project?.attachmentPolicy?.maxFileSize || 10 * 1024 * 1024; // per-project limit (default 10 MB)
+
+  const upload = multer({
+    dest: os.tmpdir(),                        // stream to disk, not memory
+    limits: { fileSize: maxFileSize, files: 1 } // one file per request
+  }).single("file");
+
+  upload(req, res, (err) => {
+
+    if (err instanceof multer.MulterError) { // size/count/field problems → client errors
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({ error: `File exceeds this project's limit of ${maxFileSize} bytes.` });
+      }
+      return res.status(400).json({ error: `Upload error: ${err.message}` });
+    }
+    if (err) { // anything else → error handler
+      return next(err);
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: "A file is required (multipart field 'file')." });
+    }
+    next();
+  });
+};
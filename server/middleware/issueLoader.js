@@ -35,3 +35,10 @@ export const loadIssue = async (req,res,next)=>{ // Load issue by ':id' and its
     next(err); 
   }
 };
+
+export const rejectArchivedIssue = (req,res,next)=>{ // Gate: trashed issues are read-only (run after loadIssue/loadComment)
+  if(req.issue?.archivedAt){
+      return res.status(409).json({error:"Issue is in the trash. Restore it first."});
+  }
+  next();
+};
@@ -33,6 +33,48 @@ export const loadCurrentUser = async (req, res, next) => {      // Middleware to
   }                                                                                          
 };                                                                                           
 
+export const projectAccessFilter = (user) => { // Mongo filter for projects a user can see (admin sees all)
+
+  if (user.role === "admin") { // Admin has access to every project
+    return {};
+  }
+  return {
+    $or: [                        // Match any of these:
+      { leadUserId: user._id },      // Lead
+      { members: user._id },         // Member
+    ],
+  };
+};
+
+export const isProjectMemberOrAdmin = (user, project) => { // Same rule as requireProjectMemberOrAdmin, for use in controllers
+
+  if (!user || !project) { // no access if anything is missing
+    return false;
+  }
+  return user.role === "admin" ||                                   // Admin
+    String(project.leadUserId) === String(user._id) ||               // Lead
+    (project.members || []).some((m) => String(m) === String(user._id)); // Member
+};
+
+export const userCanEditIssue = (user, project, issue) => { // Checks if user is allowed to edit issue for project
+
+  if (!user || !project || !issue) { // end function if any inputs missing
+    return false;
+  }              
+  if(user.role==="admin") { // If user is Admin, grant full access
+    return true;                   
+  }
+
+  // Check user's other role(s)
+  const uid      = String(user._id);                         // Get current user's id
+  const isLead   = String(project.leadUserId)===uid;         // Check's if user is project lead
+  const isMember = project.members.some(m=>String(m)===uid); // Check is user is a project team member
+
+  // Check is user is a Reporter (One who reports the issue) OR assignee (one who fixes the issue).
+  const isReporterOrAssignee = String(issue.reporterId)===uid ||(issue.assigneeId && String(issue.assigneeId)===uid); 
+  return isLead || (isMember && isReporterOrAssignee);   // Allowed if user is a lead OR a (member + reporter/assignee)
+};
+
 export const requireRole = (roles) => async (req, res, next) => {  // Factory to require one of several global roles
 
   try {
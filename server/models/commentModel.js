@@ -23,7 +23,7 @@ const CommentSchema = new Schema( // Comment document schema
         required:function(){        // only require 'body' if this comment is NOT deleted (see boolean 'deleted' field at bottom)
             return !this.deleted; 
         },        
-        maxlength:5000              // max comment text length
+        maxlength:5000              // max comment text length (Markdown source; HTML is rendered on read)
     }, 
     parentId:{                      // immediate parent comment's id (NULL if no parent and comment is at top-level)
         type:Schema.Types.ObjectId, // object field type
@@ -35,6 +35,11 @@ const CommentSchema = new Schema( // Comment document schema
         type:Schema.Types.ObjectId, // object field type
         ref:"Comments"              // foreign key to 'comments' collection (since that's where ancesotor comments lie)
     }], 
+    mentions:[{                     // project members @mentioned in the body (resolved on create/edit; see utils/markdown.js)
+        type:Schema.Types.ObjectId, // object field type
+        ref:"Users",                // foreign key to 'users' collection
+        index:true                  // "where was I mentioned" lookups
+    }],
     edited:{                        // tracks if commented was edited after its creation
         type:Boolean,
         default:false
@@ -43,6 +48,11 @@ const CommentSchema = new Schema( // Comment document schema
         type:Boolean,
         default:false,
         index:true
+    },
+    reactionCounts:{                // emoji name → count (denormalized from reactions; see utils/reactions.js)
+        type:Map,
+        of:Number,
+        default:{}
     } 
   },
   { // timestamps + target collection name
@@ -55,5 +65,6 @@ const CommentSchema = new Schema( // Comment document schema
 // CommentSchema.index({issueId:1,parentId:1,createdAt:1}); // thread paging
 // CommentSchema.index({issueId:1,createdAt:1});            // flat recent
 // CommentSchema.index({body:"text"});                      // text search (optional)
+CommentSchema.index({ancestors:1});                         // subtree fetch (comment tree)
 
 export default mongoose.model("Comments", CommentSchema); // Compile model
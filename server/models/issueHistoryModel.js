@@ -0,0 +1,136 @@
+// server/models/issueHistoryModel.js
+
+/* NOTE: Field-level change log for issues. Every change to an issue (edit, status transition,
+ *       re-parenting, ...) adds ONE entry listing which fields changed, from what, to what.
+ *       Long descriptions are stored as a line diff (see utils/textDiff.js) instead of full copies.
+ */
+
+import mongoose from "mongoose";                 // Mongoose for MongoDB schema/model
+import { diffLines } from "../utils/textDiff.js"; // line diff for long text fields
+const { Schema } = mongoose;                     // Extract Schema helper
+
+const DIFF_MIN_LENGTH = 500; // text fields longer than this (old or new) are stored as a diff
+
+const FieldChangeSchema = new Schema( // One changed field
+    {
+        field:{ // changed field's name (e.g. "priority")
+            type:String,
+            required:true
+        },
+        from:{ // previous value (omitted for diffed text)
+            type:Schema.Types.Mixed,
+            default:null
+        },
+        to:{ // new value (omitted for diffed text)
+            type:Schema.Types.Mixed,
+            default:null
+        },
+        added:{ // array fields: values added
+            type:[Schema.Types.Mixed],
+            default:undefined
+        },
+        removed:{ // array fields: values removed
+            type:[Schema.Types.Mixed],
+            default:undefined
+        },
+        diff:{ // text fields: line diff from old → new value
+            type:[Schema.Types.Mixed],
+            default:undefined
+        }
+    },
+    {_id:false} // No id for sub-document
+);
+
+const IssueHistorySchema = new Schema( // One change event on an issue
+    {
+        issueId:{ // changed issue
+            type:Schema.Types.ObjectId,
+            ref:"Issues",
+            required:true
+        },
+        projectId:{ // issue's project at the time of change
+            type:Schema.Types.ObjectId,
+            ref:"Projects",
+            required:true
+        },
+        actorId:{ // user who made the change
+            type:Schema.Types.ObjectId,
+            ref:"Users",
+            required:true
+        },
+        action:{ // what happened (created, updated, transitioned, reparented, ...)
+            type:String,
+            required:true
+        },
+        changes:{ // changed fields
+            type:[FieldChangeSchema],
+            default:[]
+        },
+        note:{ // optional free-text context (e.g. transition comment)
+            type:String,
+            default:""
+        }
+    },
+    {
+        timestamps:{ createdAt:true, updatedAt:false }, // entries are never edited
+        versionKey:false,                               // no version key
+        collection:"issueHistory"                       // collection='issueHistory'
+    }
+);
+
+IssueHistorySchema.index({issueId:1,createdAt:-1,_id:-1}); // newest-first paging per issue
+
+const IssueHistory = mongoose.model("IssueHistory", IssueHistorySchema); // Model compilation
+
+const normalize = (value) => { // ObjectIds/dates → plain comparable values
+  if (Array.isArray(value)) { return value.map(normalize); }
+  if (value instanceof Map) { return Object.fromEntries([...value].map(([k, v]) => [k, normalize(v)])); }
+  if (value instanceof mongoose.Types.ObjectId) { return String(value); }
+  if (value instanceof Date) { return value.toISOString(); }
+  return value ?? null;
+};
+
+// Compares two snapshots of an issue and returns field changes (only for 'fields')
+export const diffIssueFields = (before, after, fields) => {
+
+  const changes = [];
+
+  for (const field of fields) {
+
+    const from = normalize(before?.[field]);
+    const to   = normalize(after?.[field]);
+
+    if (JSON.stringify(from) === JSON.stringify(to)) { continue; } // unchanged
+
+    if (Array.isArray(from) || Array.isArray(to)) { // arrays: record what was added/removed
+      const oldSet = new Set((from || []).map(String));
+      const newSet = new Set((to || []).map(String));
+      changes.push({
+        field, from, to,
+        added:   (to || []).filter(v => !oldSet.has(String(v))),
+        removed: (from || []).filter(v => !newSet.has(String(v)))
+      });
+    }
+    else if (typeof (from ?? to) === "string" && Math.max(String(from ?? "").length, String(to ?? "").length) > DIFF_MIN_LENGTH) {
+      changes.push({ field, from:null, to:null, diff:diffLines(from ?? "", to ?? "") }); // long text → diff only
+    }
+    else {
+      changes.push({ field, from, to });
+    }
+  }
+  return changes;
+};
+
+// Adds one history entry (skipped when nothing changed, unless the action itself matters)
+export const recordIssueHistory = async ({ issue, actorId, action, changes = [], note = "", session = null }) => {
+  if (!changes.length && action === "updated") {
+    return null;
+  }
+  const [entry] = await IssueHistory.create(
+    [{ issueId:issue._id, projectId:issue.projectId, actorId, action, changes, note }],
+    session ? { session } : {}
+  );
+  return entry;
+};
+
+export default IssueHistory;
@@ -0,0 +1,103 @@
+// server/models/issueLinkModel.js
+
+/* NOTE: A link is stored ONCE, in its canonical direction (e.g. "A blocks B").
+ *       Reading it from the other end gives the inverse type (e.g. "B blocked_by A"),
+ *       so links are bidirectional without keeping two documents in sync.
+ */
+
+import mongoose from "mongoose";      // Mongoose for MongoDB schema/model
+import Issue from "./issueModel.js";  // Issue model (to check blockers' status)
+const { Schema } = mongoose;          // Extract Schema helper
+
+const LINK_TYPES = ["blocks","duplicates","relates_to","causes"]; // Canonical (stored) link types
+
+const INVERSE_TYPES = {  // How a stored link reads from its target's side
+  blocks:     "blocked_by",
+  duplicates: "duplicated_by",
+  relates_to: "relates_to",
+  causes:     "caused_by"
+};
+
+const IssueLinkSchema = new Schema( // Typed relation between two issues
+  {
+    sourceId:{ // issue the link points FROM (e.g. the blocker)
+        type:Schema.Types.ObjectId,
+        ref:"Issues",
+        required:true,
+        index:true
+    },
+    targetId:{ // issue the link points TO (e.g. the blocked issue)
+        type:Schema.Types.ObjectId,
+        ref:"Issues",
+        required:true,
+        index:true
+    },
+    type:{ // canonical link type
+        type:String,
+        enum:LINK_TYPES,
+        required:true
+    },
+    createdBy:{ // user who created the link
+        type:Schema.Types.ObjectId,
+        ref:"Users",
+        required:true
+    }
+  },
+  {
+    timestamps:true,         // createdAt/updatedAt time
+    versionKey:false,        // no version key
+    collection:"issueLinks"  // collection='issueLinks'
+  }
+);
+
+IssueLinkSchema.index({sourceId:1,targetId:1,type:1},{unique:true}); // one link of each type per pair
+IssueLinkSchema.index({targetId:1,type:1});                          // "blocked by" lookups
+
+const IssueLink = mongoose.model("IssueLinks", IssueLinkSchema); // Model compilation
+
+// Turns any user-facing link type (incl. inverse names) into { type, reversed }
+export const normalizeLinkType = (type) => {
+  if (LINK_TYPES.includes(type)) {
+    return { type, reversed:false };
+  }
+  const canonical = Object.keys(INVERSE_TYPES).find(k => INVERSE_TYPES[k] === type && k !== type);
+  return canonical ? { type:canonical, reversed:true } : null;
+};
+
+// Would adding "sourceId blocks targetId" close a loop? (i.e. does target already block source, transitively)
+export const wouldCreateBlockCycle = async (sourceId, targetId, maxDepth = 500) => {
+
+  const goal    = String(sourceId);
+  const seen    = new Set([String(targetId)]);
+  let frontier  = [targetId];
+
+  for (let depth = 0; frontier.length && depth < maxDepth; depth++) { // breadth-first walk along "blocks" edges
+    const next = await IssueLink.find({ sourceId:{ $in:frontier }, type:"blocks" }).select("targetId").lean();
+    frontier = [];
+    for (const link of next) {
+      const id = String(link.targetId);
+      if (id === goal) {
+        return true;
+      }
+      if (!seen.has(id)) {
+        seen.add(id);
+        frontier.push(link.targetId);
+      }
+    }
+  }
+  return false;
+};
+
+// Ids of issues that block the given issue and are not yet resolved/closed (trashed blockers don't count)
+export const findOpenBlockers = async (issueId) => {
+  const links = await IssueLink.find({ targetId:issueId, type:"blocks" }).select("sourceId").lean();
+  if (!links.length) {
+    return [];
+  }
+  return Issue.find({ _id:{ $in:links.map(l => l.sourceId) }, status:{ $nin:["resolved","closed"] }, archivedAt:null })
+    .select("_id key title status")
+    .lean();
+};
+
+export default IssueLink;
+export { LINK_TYPES, INVERSE_TYPES }; // Export enums
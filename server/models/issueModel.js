@@ -2,12 +2,22 @@
 
 import mongoose from "mongoose";         // Mongoose for MongoDB schema/model
 import Project from "./projectModel.js"; // import Project model
+import { revisionPlugin } from "../utils/revision.js"; // optimistic concurrency (revision → ETag)
 const { Schema } = mongoose;             // Extract Schema helper
 
-const TYPES      = ["bug","task","story"];                               // Allowed issues' types
+const TYPES      = ["bug","task","story","epic","subtask"];              // Allowed issues' types
 const STATUSES   = ["open","in_progress","blocked","resolved","closed"]; // Allowed issues' statuses
 const PRIORITIES = ["low","medium","high","critical"];                   // Allowed issues' priority level
 const SEVERITIES = ["minor","major","critical"];                         // Allowed issues' severity-level
+const SLA_STATES = ["none","ok","at_risk","breached","met"];              // SLA tracking states (see utils/sla.js)
+
+const CHILD_TYPES = { // Which issue types may sit directly under each type (parent → children)
+    epic:    ["story","task","bug"],
+    story:   ["subtask"],
+    task:    ["subtask"],
+    bug:     ["subtask"],
+    subtask: []
+};
 
 const AttachmentSchema = new Schema(  // File metadata subdoc
     { 
@@ -28,7 +38,16 @@ const AttachmentSchema = new Schema(  // File metadata subdoc
         },          
         contentType:{ // Optional MIME
             type:String,default:""
-        }             
+        },
+        uploadedBy:{ // user who uploaded the file
+            type:Schema.Types.ObjectId,
+            ref:"Users",
+            default:null
+        },
+        uploadedAt:{ // upload time
+            type:Date,
+            default:Date.now
+        }
     },
     {_id:false} // No id for sub-document
 );                                     
@@ -52,11 +71,58 @@ const StatusHopSchema = new Schema( // Status audit entry
         }, 
         at:{ // time stamp of issue
             type:Date,
-            default:Date.now}                  
+            default:Date.now},
+        transition:{ // workflow transition used (e.g. "resolve")
+            type:String,
+            default:null
+        },
+        comment:{ // optional note supplied with the transition
+            type:String,
+            default:""
+        }
     },
     {_id:false} // No id for attachment sub-document
 );                                     
 
+const SlaSchema = new Schema( // SLA tracking snapshot (kept current by jobs/slaMonitor.js + issue updates)
+    {
+        state:{ // none (no policy/due date) | ok | at_risk | breached | met
+            type:String,
+            enum:SLA_STATES,
+            default:"none"
+        },
+        policy:{ // name of the matching project SLA policy
+            type:String,
+            default:null
+        },
+        limitMinutes:{ // allowed time to resolve (policy)
+            type:Number,
+            default:null
+        },
+        elapsedMinutes:{ // time counted as of checkedAt (blocked time excluded; responses show the current value)
+            type:Number,
+            default:null
+        },
+        deadline:{ // projected deadline (earliest of policy deadline and due date; null while paused)
+            type:Date,
+            default:null
+        },
+        breachedBy:{ // "policy" | "due_date" (when breached)
+            type:String,
+            default:null
+        },
+        breachedAt:{ // when the breach was first detected
+            type:Date,
+            default:null
+        },
+        checkedAt:{ // last evaluation time
+            type:Date,
+            default:null
+        }
+    },
+    {_id:false} // No id for sub-document
+);
+
 const IssueSchema = new Schema(  // Main Issue schema
     {                  
         projectId:{ // Project (Id) with the issue
@@ -70,6 +136,27 @@ const IssueSchema = new Schema(  // Main Issue schema
             unique:true,
             index:true
         },       
+        previousKeys:{ // keys the issue had before being moved to another project (still resolvable)
+            type:[String],
+            default:[],
+            index:true
+        },
+        clonedFromId:{ // issue this one was cloned from (null = not a clone)
+            type:Schema.Types.ObjectId,
+            ref:"Issues",
+            default:null,
+            index:true
+        },
+        mergedIntoId:{ // canonical issue this duplicate was merged into (null = not merged)
+            type:Schema.Types.ObjectId,
+            ref:"Issues",
+            default:null,
+            index:true
+        },
+        seq:{ // Numeric part of key (e.g. 123), used to sort by key numerically
+            type:Number,
+            default:null
+        },
         title:{ // Short title of issue
             type:String,
             required:true,
@@ -97,11 +184,30 @@ const IssueSchema = new Schema(  // Main Issue schema
             default:"medium",
             index:true
         }, 
+        priorityRank:{ // numeric priority (index in PRIORITIES) so sorting follows low → critical, not A–Z
+            type:Number,
+            default:null
+        },
+        statusRank:{ // numeric status (index in STATUSES) so sorting follows the workflow order
+            type:Number,
+            default:null
+        },
         severity:{  // issue severity
             type:String,
             enum:SEVERITIES,
             default:"major"
         },    
+        parentId:{ // parent issue (epic → story → subtask); null = top level
+            type:Schema.Types.ObjectId,
+            ref:"Issues",
+            default:null,
+            index:true
+        },
+        ancestors:[{ // full chain of parent ids (root first) for subtree queries + loop checks
+            type:Schema.Types.ObjectId,
+            ref:"Issues",
+            index:true
+        }],
         reporterId:{ // Issue reporter's Id
             type:Schema.Types.ObjectId,
             ref:"Users",
@@ -132,14 +238,88 @@ const IssueSchema = new Schema(  // Main Issue schema
             type:[StatusHopSchema],
             default:[]
         }, 
+        resolution:{ // why the issue was resolved/closed (set by workflow transitions)
+            type:String,
+            default:"",
+            trim:true,
+            maxlength:500
+        },
+        customFields:{ // values of the project's custom fields (field key → value)
+            type:Map,
+            of:Schema.Types.Mixed,
+            default:{}
+        },
+        boardRank:{ // manual position within its board column (fractional; see utils/boardRank.js)
+            type:Number,
+            default:null
+        },
+        sprintId:{ // sprint the issue is planned in (null = backlog)
+            type:Schema.Types.ObjectId,
+            ref:"Sprints",
+            default:null,
+            index:true
+        },
+        pastSprintIds:[{ // earlier sprints the issue was carried over from (keeps their burndown intact)
+            type:Schema.Types.ObjectId,
+            ref:"Sprints",
+            index:true
+        }],
+        storyPoints:{ // relative size estimate (null = not estimated)
+            type:Number,
+            default:null,
+            min:0
+        },
+        dueDate:{ // deadline set by the team (optional)
+            type:Date,
+            default:null
+        },
+        sla:{ // SLA state (see utils/sla.js)
+            type:SlaSchema,
+            default:() => ({})
+        },
+        originalEstimate:{ // planned effort in minutes (null = not estimated)
+            type:Number,
+            default:null,
+            min:0
+        },
+        remainingEstimate:{ // effort still left in minutes (reduced as work is logged)
+            type:Number,
+            default:null,
+            min:0
+        },
+        timeSpent:{ // total minutes logged (sum of the issue's work logs)
+            type:Number,
+            default:0,
+            min:0
+        },
         commentCount:{ // tracks comment 
             type:Number,
             default:0,
             min:0
+        },
+        voteCount:{ // upvotes (denormalized from reactions; see utils/reactions.js)
+            type:Number,
+            default:0,
+            min:0
+        },
+        reactionCounts:{ // emoji name → count (denormalized from reactions)
+            type:Map,
+            of:Number,
+            default:{}
         },      
         closedAt:{ // when issue is closed (optional)
             type:Date
-        }                            
+        },
+        archivedAt:{ // when the issue was moved to the project trash (null = live; see utils/trash.js)
+            type:Date,
+            default:null,
+            index:true
+        },
+        archivedBy:{ // who moved it to the trash
+            type:Schema.Types.ObjectId,
+            ref:"Users",
+            default:null
+        }
     },
     {
         timestamps:true,    // createdAt/updatedAt time;
@@ -151,6 +331,22 @@ const IssueSchema = new Schema(  // Main Issue schema
 IssueSchema.index({projectId:1,status:1,priority:1,createdAt:-1});   // Lists/boards
 IssueSchema.index({assigneeId:1,status:1});                          // My work
 IssueSchema.index({title:"text",description:"text"});                // Search
+IssueSchema.index({projectId:1,createdAt:-1,_id:-1});                // Paged list (default sort)
+IssueSchema.index({projectId:1,updatedAt:-1,_id:-1});                // Paged list by last update
+IssueSchema.index({projectId:1,priorityRank:-1,_id:-1});             // Paged list by priority
+IssueSchema.index({projectId:1,statusRank:1,_id:1});                 // Paged list by status
+IssueSchema.index({projectId:1,seq:1,_id:1});                        // Paged list by key
+IssueSchema.index({projectId:1,dueDate:1,_id:1});                    // Paged list by due date
+IssueSchema.index({"sla.state":1,projectId:1});                      // SLA filters / breach list
+IssueSchema.index({projectId:1,status:1,boardRank:1});               // Board columns
+IssueSchema.index({projectId:1,voteCount:-1,_id:-1});                // Paged list by votes
+
+// Keep numeric sort helpers in sync with priority/status (runs on create + save)
+IssueSchema.pre("validate", function(next){
+    this.priorityRank = PRIORITIES.indexOf(this.priority);
+    this.statusRank   = STATUSES.indexOf(this.status);
+    return next();
+});
 
 // Generate key (PROJ-SEQ) atomically per project on first save
 IssueSchema.pre( // Registers a Mongoose middleware (hook) on the Issue schema
@@ -158,6 +354,10 @@ IssueSchema.pre( // Registers a Mongoose middleware (hook) on the Issue schema
     async function(next){ // Use function() so `this` is the current issue doc; call `next(err?)` to continue/fail
         try{
             if(this.key){  // If a key was already provided (e.g., data import), skip generation 
+                if(this.seq===null || this.seq===undefined){ // still derive numeric seq from "PROJ-<n>"
+                    const n = parseInt(String(this.key).split("-").pop(), 10);
+                    this.seq = Number.isFinite(n) ? n : null;
+                }
                 return next(); 
             }       
 
@@ -171,6 +371,7 @@ IssueSchema.pre( // Registers a Mongoose middleware (hook) on the Issue schema
                 return next(new Error("Project not found for issue key generation."));
             }
             this.key = `${project.key}-${project.nextIssueSeq}`;  // Build human key (e.g., "BT-42") using project.key + old seq value
+            this.seq = project.nextIssueSeq;                      // Keep numeric part for sorting by key
 
             return next(); // Continue to validation now that `key` exists (unique/index checks will include it)
         }
@@ -180,5 +381,7 @@ IssueSchema.pre( // Registers a Mongoose middleware (hook) on the Issue schema
     }
 );
 
+IssueSchema.plugin(revisionPlugin, { ignore:["boardRank","commentCount","sla","voteCount","reactionCounts"] }); // board order, counters and SLA re-checks aren't edits
+
 export default mongoose.model("Issues", IssueSchema); // Model compilation
-export { TYPES, STATUSES, PRIORITIES, SEVERITIES };   // Export enums
+export { TYPES, STATUSES, PRIORITIES, SEVERITIES, CHILD_TYPES, SLA_STATES };   // Export enums
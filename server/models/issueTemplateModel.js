@@ -0,0 +1,68 @@
+// server/models/issueTemplateModel.js
+
+import mongoose from "mongoose";                                    // Mongoose for MongoDB schema/model
+import { TYPES, PRIORITIES, SEVERITIES } from "./issueModel.js";    // issue enums
+const { Schema } = mongoose;                                        // Extract Schema helper
+
+const IssueTemplateSchema = new Schema( // Pre-filled starting point for new issues of one type
+  {
+    projectId:{ // project the template belongs to
+        type:Schema.Types.ObjectId,
+        ref:"Projects",
+        required:true,
+        index:true
+    },
+    name:{ // e.g. "Crash report" (unique per project)
+        type:String,
+        required:true,
+        trim:true,
+        maxlength:80
+    },
+    type:{ // issue type the template creates
+        type:String,
+        enum:TYPES,
+        required:true
+    },
+    title:{ // default/prefix title (e.g. "Crash: ")
+        type:String,
+        default:"",
+        maxlength:200
+    },
+    description:{ // description skeleton (markdown)
+        type:String,
+        default:""
+    },
+    priority:{ // default priority
+        type:String,
+        enum:PRIORITIES,
+        default:"medium"
+    },
+    severity:{ // default severity
+        type:String,
+        enum:SEVERITIES,
+        default:"major"
+    },
+    labels:{ // default labels
+        type:[String],
+        default:[]
+    },
+    watchers:[{ // default watchers
+        type:Schema.Types.ObjectId,
+        ref:"Users"
+    }],
+    createdBy:{ // user who created the template
+        type:Schema.Types.ObjectId,
+        ref:"Users",
+        required:true
+    }
+  },
+  {
+    timestamps:true,             // createdAt/updatedAt time
+    versionKey:false,            // no version key
+    collection:"issueTemplates"  // collection='issueTemplates'
+  }
+);
+
+IssueTemplateSchema.index({projectId:1,name:1},{unique:true}); // one name per project
+
+export default mongoose.model("IssueTemplates", IssueTemplateSchema); // Model compilation
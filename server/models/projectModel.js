@@ -6,9 +6,123 @@
  */
 
 import mongoose from "mongoose";   // Import Mongoose to define schemas and models
+import { revisionPlugin } from "../utils/revision.js"; // optimistic concurrency (revision → ETag)
 
 const { Schema } = mongoose;  // Extract Schema helper
 
+const WorkflowTransitionSchema = new Schema( // One allowed edge of the project's issue workflow
+  {
+    name: {             // Transition name (e.g., "resolve")
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 40,
+    },
+    from: {             // Statuses the transition may start from
+      type: [String],
+      required: true,
+    },
+    to: {               // Status the transition moves to
+      type: String,
+      required: true,
+    },
+    roles: {            // Roles allowed to perform it (admin/lead/assignee/reporter/member)
+      type: [String],
+      default: [],
+    },
+    requiredFields: {   // Fields the client must send (e.g., "resolution")
+      type: [String],
+      default: [],
+    },
+  },
+  { _id: false }        // No id for sub-document
+);
+
+const CustomFieldSchema = new Schema( // Definition of a per-project custom issue field
+  {
+    key: {              // Stable key used in issue.customFields (e.g., "storyPoints")
+      type: String,
+      required: true,
+      trim: true,
+    },
+    name: {             // Display name (e.g., "Story points")
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 80,
+    },
+    type: {             // text | number | date | single_select | multi_select | user
+      type: String,
+      required: true,
+    },
+    options: {          // Choices for select types
+      type: [String],
+      default: [],
+    },
+    requiredFor: {      // Issue types that must have a value
+      type: [String],
+      default: [],
+    },
+    defaultValue: {     // Value given to new issues when none is sent
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { _id: false }        // No id for sub-document
+);
+
+const LabelSchema = new Schema( // Entry of the project's label catalog
+  {
+    name: {             // Label name (unique per project, case-insensitive)
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    color: {            // Display color (hex)
+      type: String,
+      default: "#888888",
+    },
+    description: {      // What the label is for
+      type: String,
+      default: "",
+      maxlength: 200,
+    },
+  },
+  { _id: false }        // No id for sub-document
+);
+
+const SlaPolicySchema = new Schema( // Time-to-resolve target for issues matching priority/severity
+  {
+    name: {             // Policy name (e.g., "Critical 24h")
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 80,
+    },
+    priorities: {       // Matching priorities (empty = any)
+      type: [String],
+      default: [],
+    },
+    severities: {       // Matching severities (empty = any)
+      type: [String],
+      default: [],
+    },
+    resolveWithinHours: { // Time allowed until resolved (blocked time doesn't count)
+      type: Number,
+      required: true,
+      min: 0.25,
+    },
+    atRiskPercent: {    // Flag as at-risk once this share of the time is used
+      type: Number,
+      default: 75,
+      min: 1,
+      max: 99,
+    },
+  },
+  { _id: false }        // No id for sub-document
+);
+
 const ProjectSchema = new Schema( // Define the Project schema
   {                               // Open fields object
     key: {                  // Short unique project key (e.g., "BT")
@@ -50,6 +164,51 @@ const ProjectSchema = new Schema( // Define the Project schema
       default: 1,                   // Start at 1
       min: 1,                       // Safety floor
     },
+    enforceBlockers: {              // If true, issues can't be resolved while "blocked_by" issues are still open
+      type: Boolean,
+      default: false,
+    },
+    attachmentPolicy: {             // Upload limits for this project's issue attachments
+      maxFileSize: {                // Max bytes per file (default 10 MB)
+        type: Number,
+        default: 10 * 1024 * 1024,
+        min: 1,
+      },
+      allowedMimeTypes: {           // Allowed (sniffed) content types, wildcards like "image/*" allowed
+        type: [String],             // Empty/unset = DEFAULT_ALLOWED_MIME_TYPES (utils/sniffMime.js)
+        default: undefined,
+      },
+    },
+    labels: {                       // Label catalog (see utils/labels.js)
+      type: [LabelSchema],
+      default: [],
+    },
+    restrictLabels: {               // If true, issues may only use catalog labels
+      type: Boolean,
+      default: false,
+    },
+    duplicatePolicy: {              // On issue create: "off" | "warn" (report matches) | "block" (refuse unless overridden)
+      type: String,
+      enum: ["off","warn","block"],
+      default: "warn",
+    },
+    wipLimits: {                    // Board column (status) → max issues in it, e.g. { in_progress: 5 }
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    slaPolicies: {                  // SLA policies, first match wins (see utils/sla.js)
+      type: [SlaPolicySchema],
+      default: [],
+    },
+    customFields: {                 // Custom issue field definitions (see utils/customFields.js)
+      type: [CustomFieldSchema],
+      default: [],
+    },
+    workflow: {                     // Custom issue workflow (statuses validated in utils/workflow.js)
+      type: [WorkflowTransitionSchema], // Array of allowed transitions
+      default: undefined,           // Unset = use DEFAULT_WORKFLOW
+    },
   },
   { timestamps: true, versionKey: false }// Add createdAt/updatedAt timestamps; hide version key
 );// End schema
@@ -58,4 +217,6 @@ const ProjectSchema = new Schema( // Define the Project schema
 //ProjectSchema.index({ leadUserId: 1 });           // Index for lead-based queries
 //ProjectSchema.index({ members: 1 });              // Index for membership queries
 
+ProjectSchema.plugin(revisionPlugin, { ignore:["nextIssueSeq"] }); // issue key counter isn't a project edit
+
 export default mongoose.model("Project", ProjectSchema, "projects");// Compile and export the Project model
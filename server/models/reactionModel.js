@@ -0,0 +1,56 @@
+// server/models/reactionModel.js
+
+/* NOTE: One user's reaction to an issue or a comment. 'kind' is an emoji name (see REACTIONS) or
+ *       "upvote" (issues only). The unique index allows one reaction of each kind per user and target.
+ *       Counts are denormalized onto the target (issue.voteCount / issue.reactionCounts /
+ *       comment.reactionCounts) by utils/reactions.js.
+ */
+
+import mongoose from "mongoose"; // Mongoose for MongoDB schema/model
+const { Schema } = mongoose;     // Extract Schema helper
+
+const REACTIONS = ["thumbs_up","thumbs_down","laugh","hooray","confused","heart","rocket","eyes"]; // allowed emoji
+const UPVOTE    = "upvote";                                                                         // issue votes
+const TARGET_TYPES = ["issue","comment"];
+
+const ReactionSchema = new Schema(
+  {
+    targetType:{ // what was reacted to
+        type:String,
+        enum:TARGET_TYPES,
+        required:true
+    },
+    targetId:{ // issue or comment id
+        type:Schema.Types.ObjectId,
+        required:true
+    },
+    issueId:{ // the issue (itself, or the comment's) — for cleanup when issues are purged/merged
+        type:Schema.Types.ObjectId,
+        ref:"Issues",
+        required:true,
+        index:true
+    },
+    userId:{ // who reacted
+        type:Schema.Types.ObjectId,
+        ref:"Users",
+        required:true
+    },
+    kind:{ // emoji name or "upvote"
+        type:String,
+        enum:[UPVOTE, ...REACTIONS],
+        required:true
+    }
+  },
+  {
+    timestamps:{ createdAt:true, updatedAt:false }, // reactions are toggled, never edited
+    versionKey:false,                               // no version key
+    collection:"reactions"                          // collection='reactions'
+  }
+);
+
+ReactionSchema.index({targetType:1,targetId:1,userId:1,kind:1},{unique:true}); // one of each kind per user
+ReactionSchema.index({targetType:1,targetId:1,kind:1,createdAt:1});            // "who reacted" lists
+
+export default mongoose.model("Reactions", ReactionSchema); // Model compilation
+
+export { REACTIONS, UPVOTE, TARGET_TYPES };
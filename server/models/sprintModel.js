@@ -0,0 +1,73 @@
+// server/models/sprintModel.js
+
+import mongoose from "mongoose"; // Mongoose for MongoDB schema/model
+const { Schema } = mongoose;     // Extract Schema helper
+
+const SPRINT_STATES = ["planned","active","closed"]; // Sprint lifecycle (only one active sprint per project)
+
+const SprintSchema = new Schema( // Time-boxed iteration of a project
+  {
+    projectId:{ // project the sprint belongs to
+        type:Schema.Types.ObjectId,
+        ref:"Projects",
+        required:true,
+        index:true
+    },
+    name:{ // e.g. "Sprint 14"
+        type:String,
+        required:true,
+        trim:true,
+        maxlength:80
+    },
+    goal:{ // what the sprint should achieve
+        type:String,
+        default:"",
+        trim:true,
+        maxlength:500
+    },
+    startDate:{ // when the sprint starts
+        type:Date,
+        required:true
+    },
+    endDate:{ // when the sprint ends (e.g. midnight after its last day)
+        type:Date,
+        required:true
+    },
+    state:{ // planned → active → closed
+        type:String,
+        enum:SPRINT_STATES,
+        default:"planned",
+        index:true
+    },
+    startedAt:{ // when the sprint was actually started
+        type:Date,
+        default:null
+    },
+    closedAt:{ // when the sprint was actually closed
+        type:Date,
+        default:null
+    },
+    committedPoints:{ // story points in the sprint when it started
+        type:Number,
+        default:null
+    },
+    completedPoints:{ // story points done when it closed (for velocity)
+        type:Number,
+        default:null
+    },
+    carriedOver:{ // number of unfinished issues moved on at close
+        type:Number,
+        default:null
+    }
+  },
+  {
+    timestamps:true,      // createdAt/updatedAt time
+    versionKey:false,     // no version key
+    collection:"sprints"  // collection='sprints'
+  }
+);
+
+SprintSchema.index({projectId:1,state:1,startDate:1}); // next planned sprint / past sprints
+
+export default mongoose.model("Sprints", SprintSchema); // Model compilation
+export { SPRINT_STATES }; // Export enum
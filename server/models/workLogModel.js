@@ -0,0 +1,51 @@
+// server/models/workLogModel.js
+
+import mongoose from "mongoose"; // Mongoose for MongoDB schema/model
+const { Schema } = mongoose;     // Extract Schema helper
+
+const WorkLogSchema = new Schema( // Time someone spent on an issue
+  {
+    issueId:{ // issue the work was done on
+        type:Schema.Types.ObjectId,
+        ref:"Issues",
+        required:true,
+        index:true
+    },
+    projectId:{ // issue's project (denormalized for project reports)
+        type:Schema.Types.ObjectId,
+        ref:"Projects",
+        required:true
+    },
+    userId:{ // who did the work (and authored the entry)
+        type:Schema.Types.ObjectId,
+        ref:"Users",
+        required:true,
+        index:true
+    },
+    minutes:{ // time spent, in minutes
+        type:Number,
+        required:true,
+        min:1
+    },
+    workedAt:{ // day the work was done
+        type:Date,
+        required:true
+    },
+    note:{ // what was done
+        type:String,
+        default:"",
+        trim:true,
+        maxlength:1000
+    }
+  },
+  {
+    timestamps:true,       // createdAt/updatedAt time
+    versionKey:false,      // no version key
+    collection:"workLogs"  // collection='workLogs'
+  }
+);
+
+WorkLogSchema.index({projectId:1,workedAt:1}); // project reports by date range
+WorkLogSchema.index({issueId:1,workedAt:-1});  // an issue's log, newest first
+
+export default mongoose.model("WorkLogs", WorkLogSchema); // Model compilation
@@ -0,0 +1,130 @@
+// server/routes/attachmentRoutes.js
+
+import express from "express";                       // import Express router
+import verifyJWT from "../middleware/verifyJWT.js";  // middleware for verifying JWT token
+
+import { 
+    loadCurrentUser,                // Attaches current user's doc to req.authUser
+    requireProjectMemberOrAdmin     // Checks if user is member of issue's project
+    } from "../middleware/rbac.js"; // Role-base-access-controller helper methods
+
+import { loadIssue, rejectArchivedIssue } from "../middleware/issueLoader.js";              // Loads issue → req.issue & req.project
+import { receiveAttachment } from "../middleware/attachmentUpload.js"; // Multipart upload (per-project size limit)
+
+import { 
+    uploadAttachment,   // upload a file to an issue
+    listAttachments,    // list an issue's attachments
+    downloadAttachment, // stream an attachment
+    deleteAttachment    // delete an attachment
+    } from "../controllers/attachmentController.js"; // attachment controller methods
+
+const router = express.Router(); // New express router
+
+/**
+ * @swagger
+ * tags:
+ *   name: Attachments
+ *   description: Issue file attachments (stored on local disk or S3-compatible storage)
+ */
+
+// Upload attachment
+/**
+ * @swagger
+ * /issues/{id}/attachments:
+ *   post:
+ *     summary: Upload a file to an issue (size + type limited per project; type is sniffed from content)
+ *     tags: [Attachments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file: { type: string, format: binary }
+ *     responses:
+ *       201: { description: Attachment metadata }
+ *       400: { description: Missing or invalid upload }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ *       413: { description: File too large }
+ *       415: { description: File type not allowed }
+ */
+router.post("/issues/:id/attachments", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, rejectArchivedIssue, receiveAttachment, uploadAttachment);
+
+// List attachments
+/**
+ * @swagger
+ * /issues/{id}/attachments:
+ *   get:
+ *     summary: List an issue's attachments
+ *     tags: [Attachments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: Array of attachment metadata }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.get("/issues/:id/attachments", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, listAttachments);
+
+// Download attachment
+/**
+ * @swagger
+ * /issues/{id}/attachments/{fileId}:
+ *   get:
+ *     summary: Download an attachment (streamed)
+ *     tags: [Attachments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: fileId
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: File contents }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.get("/issues/:id/attachments/:fileId", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, downloadAttachment);
+
+// Delete attachment
+/**
+ * @swagger
+ * /issues/{id}/attachments/{fileId}:
+ *   delete:
+ *     summary: Delete an attachment (uploader, or anyone who can edit the issue)
+ *     tags: [Attachments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: fileId
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       204: { description: Deleted }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.delete("/issues/:id/attachments/:fileId", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, rejectArchivedIssue, deleteAttachment);
+
+export default router; // Export router
@@ -0,0 +1,148 @@
+// server/routes/boardRoutes.js
+
+import express from "express";                       // import Express router
+import verifyJWT from "../middleware/verifyJWT.js";  // middleware for verifying JWT token
+
+import { 
+    loadCurrentUser,                // Attaches current user's doc to req.authUser
+    loadProject,                    // Loads project by :id param
+    requireProjectMemberOrAdmin,    // Checks if user is member of project
+    requireProjectLeadOrAdmin       // Checks if user is project lead (or admin)
+    } from "../middleware/rbac.js"; // Role-base-access-controller helper methods
+
+import { loadIssue, rejectArchivedIssue } from "../middleware/issueLoader.js"; // Loads issue → req.issue & req.project
+
+import { 
+    getBoard,         // issues grouped into status columns (manual order)
+    moveBoardIssue,   // change column (via workflow) and/or position
+    getWipLimits,     // column WIP limits
+    updateWipLimits   // set/remove column WIP limits
+    } from "../controllers/boardController.js"; // board controller methods
+
+const router = express.Router(); // New express router
+
+/**
+ * @swagger
+ * tags:
+ *   name: Board
+ *   description: Kanban board (one column per status) with persistent manual ordering and WIP limits
+ */
+
+// Get board
+/**
+ * @swagger
+ * /projects/{id}/board:
+ *   get:
+ *     summary: Get the project's issues grouped into status columns, in manual order
+ *     tags: [Board]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: query
+ *         name: sprintId
+ *         description: Sprint id, 'active' or 'none' (backlog)
+ *         schema: { type: string }
+ *       - in: query
+ *         name: assigneeId
+ *         description: User id or 'none'
+ *         schema: { type: string }
+ *       - in: query
+ *         name: limit
+ *         description: Max cards per column (default 200)
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: "{ columns: [{ status, wipLimit, count, issues }] }" }
+ *       400: { description: Invalid filter }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.get("/projects/:id/board", verifyJWT, loadCurrentUser, loadProject, requireProjectMemberOrAdmin, getBoard);
+
+// Get WIP limits
+/**
+ * @swagger
+ * /projects/{id}/board/wip-limits:
+ *   get:
+ *     summary: Get the board's column WIP limits (null = no limit)
+ *     tags: [Board]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: "{ wipLimits: { status: limit|null } }" }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ */
+router.get("/projects/:id/board/wip-limits", verifyJWT, loadCurrentUser, loadProject, requireProjectMemberOrAdmin, getWipLimits);
+
+// Set WIP limits
+/**
+ * @swagger
+ * /projects/{id}/board/wip-limits:
+ *   put:
+ *     summary: Set or remove (null) column WIP limits (lead/admin); enforced on every move into the column
+ *     tags: [Board]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [wipLimits]
+ *             properties:
+ *               wipLimits: { type: object, example: { in_progress: 5, blocked: null } }
+ *     responses:
+ *       200: { description: Saved WIP limits }
+ *       400: { description: Invalid limits }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ */
+router.put("/projects/:id/board/wip-limits", verifyJWT, loadCurrentUser, loadProject, requireProjectLeadOrAdmin, updateWipLimits);
+
+// Move card
+/**
+ * @swagger
+ * /issues/{id}/board-move:
+ *   post:
+ *     summary: Move a card to a position (and optionally another column, following the workflow and WIP limits)
+ *     tags: [Board]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status: { type: string, description: "Target column (default: current status)" }
+ *               afterId: { type: string, description: "Card that should end up directly above" }
+ *               beforeId: { type: string, description: "Card that should end up directly below" }
+ *               transition: { type: string }
+ *               resolution: { type: string }
+ *               comment: { type: string }
+ *               force: { type: boolean }
+ *     responses:
+ *       200: { description: "{ issue, transition }" }
+ *       400: { description: Invalid move or position }
+ *       401: { description: Unauthorized }
+ *       403: { description: Role may not make this transition }
+ *       404: { description: Not found }
+ *       409: { description: WIP limit reached, open blockers or open children }
+ */
+router.post("/issues/:id/board-move", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, rejectArchivedIssue, moveBoardIssue);
+
+export default router; // Export router
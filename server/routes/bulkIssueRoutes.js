@@ -0,0 +1,61 @@
+// server/routes/bulkIssueRoutes.js
+
+import express from "express";                       // import Express router
+import verifyJWT from "../middleware/verifyJWT.js";  // middleware for verifying JWT token
+
+import { loadCurrentUser } from "../middleware/rbac.js"; // Attaches current user's doc to req.authUser
+
+import { bulkUpdateIssues } from "../controllers/bulkIssueController.js"; // bulk issue operations
+
+const router = express.Router(); // New express router
+
+/**
+ * @swagger
+ * tags:
+ *   name: Bulk
+ *   description: Apply one operation to many issues at once (per-issue permission checks and results)
+ */
+
+// Bulk update
+/**
+ * @swagger
+ * /issues/bulk:
+ *   post:
+ *     summary: Apply one operation to a list of issues or to the issues matching a query
+ *     description: |
+ *       Operations (operation.type):
+ *         transition { to?, transition?, resolution?, comment?, force? },
+ *         assign { assigneeId | null }, priority { priority },
+ *         addLabels / removeLabels { labels }, addWatchers / removeWatchers { userIds }.
+ *       Every issue is checked on its own (edit rights, workflow, label catalog, membership); failures
+ *       don't stop the batch. dryRun=true saves nothing and reports the changes that would be made.
+ *     tags: [Bulk]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [operation]
+ *             properties:
+ *               ids: { type: array, items: { type: string }, description: "Issue ids (max 500); or use filter" }
+ *               filter:
+ *                 type: object
+ *                 properties:
+ *                   ql: { type: string, example: "status = open AND label:triage" }
+ *                   projectId: { type: string }
+ *               operation:
+ *                 type: object
+ *                 required: [type]
+ *                 properties:
+ *                   type: { type: string, enum: [transition, assign, priority, addLabels, removeLabels, addWatchers, removeWatchers] }
+ *                 example: { type: "priority", priority: "high" }
+ *               dryRun: { type: boolean, default: false }
+ *     responses:
+ *       200: { description: "{ dryRun, operation, total, succeeded, changed, failed, results: [{ id, key, ok, changed?, changes?, status?, error? }] }" }
+ *       400: { description: Invalid operation, ids or filter (or filter matches too many issues) }
+ *       401: { description: Unauthorized }
+ */
+router.post("/issues/bulk", verifyJWT, loadCurrentUser, bulkUpdateIssues);
+
+export default router; // Export router
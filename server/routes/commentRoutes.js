@@ -8,7 +8,8 @@ import {
   requireProjectMemberOrAdmin   // Checks if user is project-member/lead/admin and has access rights to project
 } from "../middleware/rbac.js"; // Role-based-access-control helper methods
 
-import { loadIssue }   from "../middleware/issueLoader.js";   // Loads issue by project id → stores issue in 'req.issue'
+import { loadIssue,
+         rejectArchivedIssue } from "../middleware/issueLoader.js"; // Loads issue by project id → stores issue in 'req.issue' (+ trashed-issue gate)
 import { loadComment } from "../middleware/commentLoader.js"; // Loads comment (+issue +project) →  then stores in req.comment/req.issue/req.project
 
 
@@ -16,6 +17,8 @@ import {
   createComment,       // POST /issues/:id/comments (top-level comment or reply comment via parentId)
   listIssueComments,   // GET  /issues/:id/comments  (all top-level comments, paginated)
   listReplies,         // GET  /comments/:id/replies (all children comments for a top-level coment, paginated)
+  getIssueCommentTree, // GET /issues/:id/comments/tree (nested threads, top level paginated)
+  getCommentTree,      // GET  /comments/:id/tree    (nested subtree of one comment)
   updateComment,       // PATCH /comments/:id  (update existing comment)
   deleteComment        // DELETE /comments/:id (soft delete)
 } from "../controllers/commentController.js";
@@ -26,7 +29,7 @@ const router = express.Router(); // New router for Express app
  * @swagger
  * tags:
  *   name: Comments
- *   description: Issue comments (top-level & threaded replies)
+ *   description: Issue comments (top-level & threaded replies). Bodies are Markdown; responses add bodyHtml (sanitized) with @mentions of project members and PROJ-123 issue links resolved
  */
 
 // Create a comment on an issue (top-level or reply via optional parentId)
@@ -49,10 +52,10 @@ const router = express.Router(); // New router for Express app
  *             type: object
  *             required: [body]
  *             properties:
- *               body: { type: string, example: "I can reproduce this on Chrome 126." }
+ *               body: { type: string, description: "Markdown", example: "@alice I can reproduce this on Chrome 126, same as BT-12." }
  *               parentId: { type: string, nullable: true, example: "64f1a2b3c4d5e6f7a8b9c0d2" }
  *     responses:
- *       201: { description: Comment created }
+ *       201: { description: "Comment created (body + bodyHtml; mentions = resolved project members)" }
  *       400: { description: Invalid input }
  *       401: { description: Unauthorized }
  *       403: { description: Forbidden }
@@ -64,6 +67,7 @@ router.post(
   loadCurrentUser,             // attach req.authUser
   loadIssue,                   // attach req.issue & req.project
   requireProjectMemberOrAdmin, // must belong to the project (or admin)
+  rejectArchivedIssue,         // no new comments on trashed issues
   createComment                // controller
 );
 
@@ -86,7 +90,7 @@ router.post(
  *         name: skip
  *         schema: { type: integer, example: 0 }
  *     responses:
- *       200: { description: Array of top-level comments }
+ *       200: { description: "Array of top-level comments; each has body (Markdown) and bodyHtml (sanitized HTML)" }
  *       401: { description: Unauthorized }
  *       403: { description: Forbidden }
  *       404: { description: Not found }
@@ -100,6 +104,44 @@ router.get(
   listIssueComments
 );
 
+// Full comment tree for an issue (top level paginated)
+/**
+ * @swagger
+ * /issues/{id}/comments/tree:
+ *   get:
+ *     summary: Nested comment threads of an issue in one call (top level paginated, replies nested up to 'depth' levels)
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: query
+ *         name: depth
+ *         schema: { type: integer, minimum: 0, maximum: 100, default: 10 }
+ *         description: Reply levels below the top level; deeper replies are cut off (hasMoreReplies=true on the node)
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 20 }
+ *       - in: query
+ *         name: skip
+ *         schema: { type: integer, example: 0 }
+ *     responses:
+ *       200: { description: "{ comments: [node], page: { skip, limit, hasMore }, depth }; node = comment + bodyHtml, depth, replies, hasMoreReplies. Deleted comments collapse (dropped, or a bodiless placeholder if replies remain)" }
+ *       400: { description: Invalid depth }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.get(
+  "/issues/:id/comments/tree",
+  verifyJWT,
+  loadCurrentUser,
+  loadIssue,
+  requireProjectMemberOrAdmin,
+  getIssueCommentTree
+);
+
 // List direct replies under a specific parent comment (paginated)
 /**
  * @swagger
@@ -119,7 +161,7 @@ router.get(
  *         name: skip
  *         schema: { type: integer, example: 0 }
  *     responses:
- *       200: { description: Array of replies }
+ *       200: { description: "Array of replies (body + bodyHtml)" }
  *       401: { description: Unauthorized }
  *       403: { description: Forbidden }
  *       404: { description: Not found }
@@ -133,6 +175,44 @@ router.get(
   listReplies
 );
 
+// Subtree below one comment (direct replies paginated)
+/**
+ * @swagger
+ * /comments/{id}/tree:
+ *   get:
+ *     summary: A comment with its nested replies in one call (direct replies paginated, nested up to 'depth' levels)
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: query
+ *         name: depth
+ *         schema: { type: integer, minimum: 0, maximum: 100, default: 10 }
+ *         description: Reply levels below this comment
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50 }
+ *       - in: query
+ *         name: skip
+ *         schema: { type: integer, example: 0 }
+ *     responses:
+ *       200: { description: "{ comment: node, page: { skip, limit, hasMore }, depth } (same node shape as the issue tree)" }
+ *       400: { description: Invalid depth }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.get(
+  "/comments/:id/tree",
+  verifyJWT,
+  loadCurrentUser,
+  loadComment,                 // attach req.comment, req.issue, req.project
+  requireProjectMemberOrAdmin,
+  getCommentTree
+);
+
 // Edit a comment
 /**
  * @swagger
@@ -155,7 +235,7 @@ router.get(
  *             properties:
  *               body: { type: string }
  *     responses:
- *       200: { description: Updated comment }
+ *       200: { description: "Updated comment (body + bodyHtml, mentions re-resolved)" }
  *       400: { description: Invalid input }
  *       401: { description: Unauthorized }
  *       403: { description: Forbidden }
@@ -167,6 +247,7 @@ router.patch(
   loadCurrentUser,
   loadComment,
   requireProjectMemberOrAdmin, // controller enforces author/lead/admin
+  rejectArchivedIssue,         // comments of trashed issues are frozen
   updateComment
 );
 
@@ -194,6 +275,7 @@ router.delete(
   loadCurrentUser,
   loadComment,
   requireProjectMemberOrAdmin, // controller enforces author/lead/admin
+  rejectArchivedIssue,         // comments of trashed issues are frozen
   deleteComment
 );
 
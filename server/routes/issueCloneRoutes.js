@@ -0,0 +1,60 @@
+// server/routes/issueCloneRoutes.js
+
+import express from "express";                       // import Express router
+import verifyJWT from "../middleware/verifyJWT.js";  // middleware for verifying JWT token
+
+import { 
+    loadCurrentUser,                // Attaches current user's doc to req.authUser
+    requireProjectMemberOrAdmin     // Checks if user is member of issue's project
+    } from "../middleware/rbac.js"; // Role-base-access-controller helper methods
+
+import { loadIssue, rejectArchivedIssue } from "../middleware/issueLoader.js"; // Loads issue → req.issue & req.project
+
+import { cloneIssue } from "../controllers/issueCloneController.js"; // copy an issue (same or other project)
+
+const router = express.Router(); // New express router
+
+/**
+ * @swagger
+ * tags:
+ *   name: Issue Clones
+ *   description: Copying an issue into the same or another project; the copy keeps a clonedFromId back-reference
+ */
+
+// Clone issue
+/**
+ * @swagger
+ * /issues/{id}/clone:
+ *   post:
+ *     summary: Create a copy of an issue (new key, status open); optionally with its labels, watchers, attachments and comment thread
+ *     tags: [Issue Clones]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               projectId: { type: string, description: "Target project (default - the issue's own project)" }
+ *               projectKey: { type: string, example: "OPS" }
+ *               title: { type: string, description: "Title of the copy (default - same title)" }
+ *               labels: { type: boolean, default: true, description: "Copy labels (mapped to the target's label catalog)" }
+ *               watchers: { type: boolean, default: false, description: "Copy watchers who are members of the target project" }
+ *               attachments: { type: boolean, default: false, description: "Copy attachment files (types the target project allows)" }
+ *               comments: { type: boolean, default: false, description: "Copy the comment thread, keeping replies threaded" }
+ *               customFields: { type: object, description: "Values for the target project's custom fields" }
+ *     responses:
+ *       201: { description: "Created copy: { issue, clonedFrom, skippedAttachments? }" }
+ *       400: { description: Invalid input }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Issue or target project not found }
+ *       409: { description: Issue is in the trash }
+ */
+router.post("/issues/:id/clone", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, rejectArchivedIssue, cloneIssue);
+
+export default router; // Export router
@@ -0,0 +1,103 @@
+// server/routes/issueHierarchyRoutes.js
+
+import express from "express";                       // import Express router
+import verifyJWT from "../middleware/verifyJWT.js";  // middleware for verifying JWT token
+
+import { 
+    loadCurrentUser,                // Attaches current user's doc to req.authUser
+    requireProjectMemberOrAdmin     // Checks if user is member of issue's project
+    } from "../middleware/rbac.js"; // Role-base-access-controller helper methods
+
+import { loadIssue, rejectArchivedIssue } from "../middleware/issueLoader.js"; // Loads issue → req.issue & req.project
+
+import { 
+    setParent,         // set/remove an issue's parent
+    getIssueChildren,  // nested child tree of an issue
+    getIssueProgress   // progress rollup of an issue's children
+    } from "../controllers/issueHierarchyController.js"; // issue hierarchy controller methods
+
+const router = express.Router(); // New express router
+
+/**
+ * @swagger
+ * tags:
+ *   name: Issue Hierarchy
+ *   description: Parent/child issues (epic → story/task/bug → subtask) and progress rollups
+ */
+
+// Set or remove parent
+/**
+ * @swagger
+ * /issues/{id}/parent:
+ *   put:
+ *     summary: Set (or remove with null) an issue's parent; loops are rejected
+ *     tags: [Issue Hierarchy]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [parentId]
+ *             properties:
+ *               parentId: { type: string, nullable: true }
+ *     responses:
+ *       200: { description: Updated issue }
+ *       400: { description: Invalid parent (other project, wrong type or loop) }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.put("/issues/:id/parent", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, rejectArchivedIssue, setParent);
+
+// Child tree
+/**
+ * @swagger
+ * /issues/{id}/children:
+ *   get:
+ *     summary: Get an issue's child tree (nested)
+ *     tags: [Issue Hierarchy]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: query
+ *         name: depth
+ *         description: Levels to include (default all)
+ *         schema: { type: integer, example: 2 }
+ *     responses:
+ *       200: { description: Nested children }
+ *       400: { description: Invalid depth }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.get("/issues/:id/children", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, getIssueChildren);
+
+// Progress rollup
+/**
+ * @swagger
+ * /issues/{id}/progress:
+ *   get:
+ *     summary: Rollup of child progress (counts by status and percent done)
+ *     tags: [Issue Hierarchy]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: "Rollups for direct children and all descendants: { total, done, byStatus, percentDone }" }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.get("/issues/:id/progress", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, getIssueProgress);
+
+export default router; // Export router
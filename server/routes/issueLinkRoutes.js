@@ -0,0 +1,105 @@
+// server/routes/issueLinkRoutes.js
+
+import express from "express";                       // import Express router
+import verifyJWT from "../middleware/verifyJWT.js";  // middleware for verifying JWT token
+
+import { 
+    loadCurrentUser,                // Attaches current user's doc to req.authUser
+    requireProjectMemberOrAdmin     // Checks if user is member of issue's project
+    } from "../middleware/rbac.js"; // Role-base-access-controller helper methods
+
+import { loadIssue, rejectArchivedIssue } from "../middleware/issueLoader.js"; // Loads issue → req.issue & req.project
+
+import { 
+    addIssueLink,    // link an issue to another (blocks, duplicates, relates_to, causes, ...)
+    listIssueLinks,  // list an issue's links (both directions)
+    removeIssueLink  // remove a link
+    } from "../controllers/issueLinkController.js"; // issue link controller methods
+
+const router = express.Router(); // New express router
+
+/**
+ * @swagger
+ * tags:
+ *   name: Issue Links
+ *   description: Typed links between issues (blocks/blocked_by, duplicates/duplicated_by, relates_to, causes/caused_by)
+ */
+
+// Link issue to another issue
+/**
+ * @swagger
+ * /issues/{id}/links:
+ *   post:
+ *     summary: Link this issue to another issue (cycles in 'blocks' chains are rejected)
+ *     tags: [Issue Links]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type]
+ *             properties:
+ *               type: { type: string, example: "blocks", enum: [blocks, blocked_by, duplicates, duplicated_by, relates_to, causes, caused_by] }
+ *               targetId: { type: string }
+ *               targetKey: { type: string, example: "BT-40" }
+ *     responses:
+ *       201: { description: Link created }
+ *       400: { description: Invalid input }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden (either project) }
+ *       404: { description: Not found }
+ *       409: { description: Duplicate link or blocking cycle }
+ */
+router.post("/issues/:id/links", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, rejectArchivedIssue, addIssueLink);
+
+// List issue links
+/**
+ * @swagger
+ * /issues/{id}/links:
+ *   get:
+ *     summary: List an issue's links (from this issue's point of view)
+ *     tags: [Issue Links]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: Array of links with linked issue summary }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.get("/issues/:id/links", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, listIssueLinks);
+
+// Remove issue link
+/**
+ * @swagger
+ * /issues/{id}/links/{linkId}:
+ *   delete:
+ *     summary: Remove a link from an issue
+ *     tags: [Issue Links]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: linkId
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       204: { description: Deleted }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden (either project) }
+ *       404: { description: Not found }
+ */
+router.delete("/issues/:id/links/:linkId", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, rejectArchivedIssue, removeIssueLink);
+
+export default router; // Export router
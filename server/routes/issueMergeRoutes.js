@@ -0,0 +1,56 @@
+// server/routes/issueMergeRoutes.js
+
+import express from "express";                       // import Express router
+import verifyJWT from "../middleware/verifyJWT.js";  // middleware for verifying JWT token
+
+import { 
+    loadCurrentUser,                // Attaches current user's doc to req.authUser
+    requireProjectMemberOrAdmin     // Checks if user is member of issue's project
+    } from "../middleware/rbac.js"; // Role-base-access-controller helper methods
+
+import { loadIssue, rejectArchivedIssue } from "../middleware/issueLoader.js"; // Loads issue → req.issue & req.project
+
+import { mergeIssue } from "../controllers/issueMergeController.js"; // fold a duplicate into a canonical issue
+
+const router = express.Router(); // New express router
+
+/**
+ * @swagger
+ * tags:
+ *   name: Issue Merges
+ *   description: Merging a duplicate issue into a canonical one (watchers, labels, attachments and comments move over; the duplicate is closed)
+ */
+
+// Merge issue
+/**
+ * @swagger
+ * /issues/{id}/merge:
+ *   post:
+ *     summary: Merge this issue (the duplicate) into a target issue, atomically; requires edit rights on both
+ *     tags: [Issue Merges]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *         description: The duplicate
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               targetId: { type: string, description: "Canonical issue that survives" }
+ *               targetKey: { type: string, example: "BT-42" }
+ *     responses:
+ *       200: { description: "{ duplicate, target } after the merge (duplicate closed, mergedIntoId set)" }
+ *       400: { description: Invalid input }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not allowed to edit both issues }
+ *       404: { description: Issue or target not found }
+ *       409: { description: Already merged, issue has children, or one of the issues is in the trash }
+ */
+router.post("/issues/:id/merge", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, rejectArchivedIssue, mergeIssue);
+
+export default router; // Export router
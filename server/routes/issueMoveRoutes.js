@@ -0,0 +1,79 @@
+// server/routes/issueMoveRoutes.js
+
+import express from "express";                       // import Express router
+import verifyJWT from "../middleware/verifyJWT.js";  // middleware for verifying JWT token
+
+import { 
+    loadCurrentUser,                // Attaches current user's doc to req.authUser
+    requireProjectMemberOrAdmin     // Checks if user is member of issue's project
+    } from "../middleware/rbac.js"; // Role-base-access-controller helper methods
+
+import { loadIssue, rejectArchivedIssue } from "../middleware/issueLoader.js"; // Loads issue → req.issue & req.project
+
+import { 
+    moveIssue,     // move an issue to another project (new key)
+    getIssueByKey  // resolve current/previous key → redirect
+    } from "../controllers/issueMoveController.js"; // issue move controller methods
+
+const router = express.Router(); // New express router
+
+/**
+ * @swagger
+ * tags:
+ *   name: Issue Moves
+ *   description: Moving issues between projects (key reallocation) and key lookups that follow old keys
+ */
+
+// Look up by key
+/**
+ * @swagger
+ * /issues/by-key/{key}:
+ *   get:
+ *     summary: Resolve an issue key (current or from before a move) and redirect to the issue
+ *     tags: [Issue Moves]
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         schema: { type: string, example: "BT-42" }
+ *         required: true
+ *     responses:
+ *       302: { description: "Redirect to /issues/{id}" }
+ *       401: { description: Unauthorized }
+ *       404: { description: Not found }
+ */
+router.get("/issues/by-key/:key", verifyJWT, loadCurrentUser, getIssueByKey);
+
+// Move issue
+/**
+ * @swagger
+ * /issues/{id}/move:
+ *   post:
+ *     summary: Move an issue to another project; it gets a new key and the old one keeps resolving
+ *     tags: [Issue Moves]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               projectId: { type: string }
+ *               projectKey: { type: string, example: "OPS" }
+ *               unassign: { type: boolean, description: "Allow the move when the assignee isn't in the target project" }
+ *               customFields: { type: object, description: "Values for the target project's custom fields" }
+ *     responses:
+ *       200: { description: "Moved issue: { issue, previousKey }" }
+ *       400: { description: Invalid input }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Issue or target project not found }
+ *       409: { description: Issue has children, or assignee not allowed in target project }
+ */
+router.post("/issues/:id/move", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, rejectArchivedIssue, moveIssue);
+
+export default router; // Export router
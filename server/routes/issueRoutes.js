@@ -9,14 +9,19 @@ import {
     requireProjectMemberOrAdmin     // Checks if user is member of project
     } from "../middleware/rbac.js"; // Role-base-access-controller helper methods
 
-import { loadIssue } from "../middleware/issueLoader.js";// Issue loader helper method
+import { loadIssue, rejectArchivedIssue } from "../middleware/issueLoader.js";// Issue loader helper method
 
 import { 
     createIssue,   // create issue for a project
     listIssues,    // lists existing issues for a project
+    findSimilar,   // likely duplicates of a draft issue
+    searchIssues,  // structured search across all projects visible to the user
     getIssue,      // fetch issue for a parent project
     updateIssue,   // update an existing project's issue
-    transitionStatus  // checks transition status of an issue (for logging purposes)
+    transitionStatus,     // moves an issue's status along the project's workflow (with audit trail)
+    listIssueTransitions, // lists next statuses the current user may move an issue to
+    getIssueHistory,      // field-level change log of an issue
+    listBreachingIssues   // issues breaching (or at risk of breaching) their SLA
     } from "../controllers/issueController.js"; // issue Controller methods
 
 const router = express.Router(); // New express router
@@ -56,12 +61,20 @@ const router = express.Router(); // New express router
  *               assigneeId: { type: string }
  *               labels: { type: array, items: { type: string } }
  *               watchers: { type: array, items: { type: string } }
+ *               parentId: { type: string, description: "Parent issue (epic → story/task/bug → subtask)" }
+ *               customFields: { type: object, example: { browser: "Chrome", storyPoints: 3 } }
+ *               dueDate: { type: string, format: date-time }
+ *               sprintId: { type: string, description: "Sprint to plan the issue into (default backlog)" }
+ *               storyPoints: { type: number, example: 3 }
+ *               allowDuplicate: { type: boolean, description: "Create even if the project's duplicatePolicy is 'block' and a near-exact open duplicate exists" }
+ *               templateId: { type: string, description: "Issue template to pre-fill from (sent fields override it; labels and watchers are added)" }
  *     responses:
- *       201: { description: Issue created }
+ *       201: { description: "Issue created: { issue, possibleDuplicates? }" }
  *       400: { description: Invalid input }
  *       401: { description: Unauthorized }
  *       403: { description: Forbidden }
  *       404: { description: Not found }
+ *       409: { description: "Near-exact duplicate of an open issue (duplicatePolicy 'block'): { error, duplicates }" }
  */
 router.post("/projects/:pid/issues", // POST method used to create issue in a project 
             verifyJWT, 
@@ -70,12 +83,44 @@ router.post("/projects/:pid/issues", // POST method used to create issue in a pr
             requireProjectMemberOrAdmin, 
             createIssue);
 
+// Find similar issues (possible duplicates)
+/**
+ * @swagger
+ * /projects/{pid}/issues/similar:
+ *   post:
+ *     summary: Find likely duplicates of a draft issue, with a 0..1 similarity score
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: pid
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title: { type: string, example: "App crashes on login" }
+ *               description: { type: string }
+ *               limit: { type: integer, example: 5 }
+ *               excludeId: { type: string, description: "Issue to leave out (e.g. the one being edited)" }
+ *     responses:
+ *       200: { description: "{ similar: [{ _id, key, title, status, similarity, likelyDuplicate }] }" }
+ *       400: { description: Invalid input }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.post("/projects/:pid/issues/similar", verifyJWT, loadCurrentUser, loadProject, requireProjectMemberOrAdmin, findSimilar);
+
 // List issues in a project
 /**
  * @swagger
  * /projects/{pid}/issues:
  *   get:
- *     summary: List issues within a project (filterable)
+ *     summary: List issues within a project (filterable, sortable, cursor-paginated)
  *     tags: [Issues]
  *     parameters:
  *       - in: path
@@ -94,8 +139,46 @@ router.post("/projects/:pid/issues", // POST method used to create issue in a pr
  *       - in: query
  *         name: q
  *         schema: { type: string }
+ *       - in: query
+ *         name: sprintId
+ *         description: Sprint id, or 'none' for backlog issues
+ *         schema: { type: string }
+ *       - in: query
+ *         name: sla
+ *         description: SLA state(s), comma separated (none, ok, at_risk, breached, met)
+ *         schema: { type: string, example: "breached,at_risk" }
+ *       - in: query
+ *         name: cf.{key}
+ *         description: Custom field filter, e.g. cf.browser=Chrome or cf.browser=Chrome,Safari (any of) or cf.browser=none
+ *         schema: { type: string }
+ *       - in: query
+ *         name: ql
+ *         description: Structured query (see GET /issues/search)
+ *         schema: { type: string, example: "status in (open, blocked) AND priority >= high" }
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, enum: [createdAt, updatedAt, priority, status, key, dueDate, votes, score], example: createdAt }
+ *       - in: query
+ *         name: order
+ *         schema: { type: string, enum: [asc, desc] }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50 }
+ *       - in: query
+ *         name: cursor
+ *         description: Opaque 'page.nextCursor' value from the previous response
+ *         schema: { type: string }
+ *       - in: query
+ *         name: counts
+ *         description: Set to true to include total + per status/priority counts
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: includeArchived
+ *         description: Set to true to include issues in the trash
+ *         schema: { type: boolean }
  *     responses:
- *       200: { description: Array of issues }
+ *       200: { description: "Page of issues: { issues, page: { limit, sort, order, hasMore, nextCursor }, counts? }" }
+ *       400: { description: Invalid sort, order, cursor or query (with error position) }
  *       401: { description: Unauthorized }
  *       403: { description: Forbidden }
  *       404: { description: Not found }
@@ -104,6 +187,81 @@ router.post("/projects/:pid/issues", // POST method used to create issue in a pr
 // Lists for a current project (via project Id)
 router.get("/projects/:pid/issues", verifyJWT, loadCurrentUser, loadProject, requireProjectMemberOrAdmin, listIssues);
 
+// Search issues across projects
+/**
+ * @swagger
+ * /issues/search:
+ *   get:
+ *     summary: Search issues across all projects the user can access, using a structured query
+ *     description: |
+ *       Fields: status, priority, severity, type, label, key, assignee, reporter, watcher, project,
+ *       created, updated, closed, due, sla, points, title (~ contains), text (~ full-text).
+ *       Operators: = (or :), !=, >, >=, <, <=, in (...), not in (...), ~. Combine with AND, OR, NOT and parentheses.
+ *       Values: words, "quoted strings", me, none, relative dates (-7d, -12h, -2w, +2d), today, YYYY-MM-DD.
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: query
+ *         name: ql
+ *         required: true
+ *         schema: { type: string, example: "status in (open, blocked) AND priority >= high AND label:backend AND assignee:me AND created > -7d" }
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, enum: [createdAt, updatedAt, priority, status, key, dueDate, votes, score] }
+ *       - in: query
+ *         name: order
+ *         schema: { type: string, enum: [asc, desc] }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50 }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *       - in: query
+ *         name: counts
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: includeArchived
+ *         description: Set to true to include issues in the trash
+ *         schema: { type: boolean }
+ *     responses:
+ *       200: { description: "Page of issues: { issues, page, counts? }" }
+ *       400: { description: "Invalid query: { error, position }" }
+ *       401: { description: Unauthorized }
+ */
+// Structured search (registered before '/issues/:id' so 'search' isn't taken as an id)
+router.get("/issues/search", verifyJWT, loadCurrentUser, searchIssues);
+
+// SLA breaches across projects
+/**
+ * @swagger
+ * /issues/sla/breaching:
+ *   get:
+ *     summary: List open issues breaching their SLA or due date (optionally also those at risk)
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         description: Limit to one project (default all projects visible to the user)
+ *         schema: { type: string }
+ *       - in: query
+ *         name: includeAtRisk
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, enum: [createdAt, updatedAt, priority, status, key, dueDate], example: priority }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50 }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: "Page of issues (each with its 'sla' snapshot): { issues, page }" }
+ *       400: { description: Invalid input }
+ *       401: { description: Unauthorized }
+ */
+router.get("/issues/sla/breaching", verifyJWT, loadCurrentUser, listBreachingIssues);
+
 // Get a single issue
 /**
  * @swagger
@@ -117,7 +275,7 @@ router.get("/projects/:pid/issues", verifyJWT, loadCurrentUser, loadProject, req
  *         schema: { type: string }
  *         required: true
  *     responses:
- *       200: { description: Issue object }
+ *       200: { description: "Issue object with descriptionHtml (Markdown description rendered as sanitized HTML; ETag header = revision)" }
  *       401: { description: Unauthorized }
  *       403: { description: Forbidden }
  *       404: { description: Not found }
@@ -138,6 +296,10 @@ router.get("/issues/:id", verifyJWT, loadCurrentUser, loadIssue, requireProjectM
  *         name: id
  *         schema: { type: string }
  *         required: true
+ *       - in: header
+ *         name: If-Match
+ *         description: ETag from a previous GET/PATCH (e.g. "3"); the update is refused with 412 if the issue changed since
+ *         schema: { type: string }
  *     requestBody:
  *       required: true
  *       content:
@@ -153,22 +315,29 @@ router.get("/issues/:id", verifyJWT, loadCurrentUser, loadIssue, requireProjectM
  *               assigneeId: { type: string }
  *               labels: { type: array, items: { type: string } }
  *               watchers: { type: array, items: { type: string } }
+ *               customFields: { type: object, description: "Changed custom field values (null clears a value)" }
+ *               originalEstimate: { type: string, example: "2d 4h", description: "Minutes or a duration string; null clears it" }
+ *               remainingEstimate: { type: string, example: "6h", description: "Minutes or a duration string; null clears it" }
+ *               dueDate: { type: string, format: date-time, nullable: true }
+ *               sprintId: { type: string, nullable: true, description: "Sprint (null = backlog)" }
+ *               storyPoints: { type: number, nullable: true }
  *     responses:
- *       200: { description: Updated issue }
+ *       200: { description: "Updated issue (new ETag header)" }
  *       400: { description: Invalid input }
  *       401: { description: Unauthorized }
  *       403: { description: Forbidden }
  *       404: { description: Not found }
+ *       412: { description: "If-Match is stale: { error, issue } with the current state (and its ETag)" }
  */
 // Update the data of an existing issue
-router.patch("/issues/:id", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, updateIssue);
+router.patch("/issues/:id", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, rejectArchivedIssue, updateIssue);
 
 // Transition status
 /**
  * @swagger
  * /issues/{id}/transition:
  *   post:
- *     summary: Transition issue status and append audit trail
+ *     summary: Transition issue status along the project's workflow and append audit trail
  *     tags: [Issues]
  *     parameters:
  *       - in: path
@@ -181,17 +350,71 @@ router.patch("/issues/:id", verifyJWT, loadCurrentUser, loadIssue, requireProjec
  *         application/json:
  *           schema:
  *             type: object
- *             required: [to]
  *             properties:
- *               to: { type: string, example: "in_progress" }
+ *               to: { type: string, example: "resolved" }
+ *               transition: { type: string, example: "resolve", description: "Named workflow transition (optional if 'to' is given)" }
+ *               resolution: { type: string, example: "Fixed in v1.2.3" }
+ *               comment: { type: string }
+ *               force: { type: boolean, description: "Close even though child issues are still open" }
  *     responses:
  *       200: { description: Updated issue }
- *       400: { description: Invalid input }
+ *       400: { description: Invalid input, transition not in workflow, or required fields missing }
  *       401: { description: Unauthorized }
  *       403: { description: Forbidden }
  *       404: { description: Not found }
+ *       409: { description: Open blockers, open child issues or WIP limit reached }
  */
 // Track transition of issue's status (for an audit trail)
-router.post("/issues/:id/transition", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, transitionStatus);
+router.post("/issues/:id/transition", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, rejectArchivedIssue, transitionStatus);
+
+// Allowed next states
+/**
+ * @swagger
+ * /issues/{id}/transitions:
+ *   get:
+ *     summary: List the transitions the current user may apply to an issue
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: Current status and allowed transitions (name, to, requiredFields) }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+// Lists allowed next statuses for the issue (based on project's workflow + user's role)
+router.get("/issues/:id/transitions", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, listIssueTransitions);
+
+// Change history
+/**
+ * @swagger
+ * /issues/{id}/history:
+ *   get:
+ *     summary: Field-level change log of an issue (newest first, cursor-paginated)
+ *     description: Each entry lists changed fields with old/new values; long descriptions are stored as a line diff ('diff').
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, example: 50 }
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: "{ history, page: { limit, hasMore, nextCursor } }" }
+ *       400: { description: Invalid cursor }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+// Lists who changed which fields of an issue, and when
+router.get("/issues/:id/history", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, getIssueHistory);
 
 export default router;                                          // Export router
@@ -0,0 +1,217 @@
+// server/routes/issueTemplateRoutes.js
+
+import express from "express";                       // import Express router
+import verifyJWT from "../middleware/verifyJWT.js";  // middleware for verifying JWT token
+
+import { 
+    loadCurrentUser,                // Attaches current user's doc to req.authUser
+    loadProject,                    // Loads project by :id / :pid param
+    requireProjectMemberOrAdmin,    // Checks if user is member of project
+    requireProjectLeadOrAdmin       // Checks if user is project lead (or admin)
+    } from "../middleware/rbac.js"; // Role-base-access-controller helper methods
+
+import { 
+    listTemplates,           // project's templates (optionally one type)
+    getTemplate,             // one template
+    createTemplate,          // define a template
+    updateTemplate,          // edit a template
+    deleteTemplate,          // remove a template
+    createIssueFromTemplate  // new issue pre-filled from a template
+    } from "../controllers/issueTemplateController.js"; // issue template controller methods
+
+const router = express.Router(); // New express router
+
+/**
+ * @swagger
+ * tags:
+ *   name: Issue Templates
+ *   description: Per-project templates (per issue type) that pre-fill new issues. Use them via POST /projects/{pid}/templates/{templateId}/issues or POST /projects/{pid}/issues { templateId }
+ */
+
+// List templates
+/**
+ * @swagger
+ * /projects/{id}/templates:
+ *   get:
+ *     summary: List a project's issue templates
+ *     tags: [Issue Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: query
+ *         name: type
+ *         schema: { type: string, enum: [bug, task, story, epic, subtask] }
+ *     responses:
+ *       200: { description: Templates }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.get("/projects/:id/templates", verifyJWT, loadCurrentUser, loadProject, requireProjectMemberOrAdmin, listTemplates);
+
+// Create template
+/**
+ * @swagger
+ * /projects/{id}/templates:
+ *   post:
+ *     summary: Define an issue template (lead/admin)
+ *     tags: [Issue Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, type]
+ *             properties:
+ *               name: { type: string, example: "Bug report" }
+ *               type: { type: string, example: "bug" }
+ *               title: { type: string, description: "Default title (used when the reporter sends none)" }
+ *               description: { type: string, example: "## Steps to reproduce\n1. \n\n## Expected\n\n## Actual\n" }
+ *               priority: { type: string, example: "medium" }
+ *               severity: { type: string, example: "major" }
+ *               labels: { type: array, items: { type: string } }
+ *               watchers: { type: array, items: { type: string }, description: "Project members added as watchers" }
+ *     responses:
+ *       201: { description: Created template }
+ *       400: { description: Invalid input }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ *       409: { description: Name already used in this project }
+ */
+router.post("/projects/:id/templates", verifyJWT, loadCurrentUser, loadProject, requireProjectLeadOrAdmin, createTemplate);
+
+// Get template
+/**
+ * @swagger
+ * /projects/{id}/templates/{templateId}:
+ *   get:
+ *     summary: Get an issue template
+ *     tags: [Issue Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: templateId
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: Template }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.get("/projects/:id/templates/:templateId", verifyJWT, loadCurrentUser, loadProject, requireProjectMemberOrAdmin, getTemplate);
+
+// Update template
+/**
+ * @swagger
+ * /projects/{id}/templates/{templateId}:
+ *   patch:
+ *     summary: Edit an issue template (lead/admin)
+ *     tags: [Issue Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: templateId
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               type: { type: string }
+ *               title: { type: string }
+ *               description: { type: string }
+ *               priority: { type: string }
+ *               severity: { type: string }
+ *               labels: { type: array, items: { type: string } }
+ *               watchers: { type: array, items: { type: string } }
+ *     responses:
+ *       200: { description: Updated template }
+ *       400: { description: Invalid input }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ *       409: { description: Name already used in this project }
+ */
+router.patch("/projects/:id/templates/:templateId", verifyJWT, loadCurrentUser, loadProject, requireProjectLeadOrAdmin, updateTemplate);
+
+// Delete template
+/**
+ * @swagger
+ * /projects/{id}/templates/{templateId}:
+ *   delete:
+ *     summary: Delete an issue template (lead/admin)
+ *     tags: [Issue Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: templateId
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       204: { description: Deleted }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.delete("/projects/:id/templates/:templateId", verifyJWT, loadCurrentUser, loadProject, requireProjectLeadOrAdmin, deleteTemplate);
+
+// Create issue from template
+/**
+ * @swagger
+ * /projects/{pid}/templates/{templateId}/issues:
+ *   post:
+ *     summary: Create an issue pre-filled from a template (sent fields override it; labels and watchers are added)
+ *     tags: [Issue Templates]
+ *     parameters:
+ *       - in: path
+ *         name: pid
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: templateId
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Same fields as POST /projects/{pid}/issues
+ *             properties:
+ *               title: { type: string, example: "Crash when saving profile" }
+ *               description: { type: string }
+ *               assigneeId: { type: string }
+ *               labels: { type: array, items: { type: string } }
+ *     responses:
+ *       201: { description: "Issue created: { issue, possibleDuplicates? }" }
+ *       400: { description: Invalid input }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Project or template not found }
+ *       409: { description: Near-exact duplicate (duplicatePolicy 'block') }
+ */
+router.post("/projects/:pid/templates/:templateId/issues", verifyJWT, loadCurrentUser, loadProject, requireProjectMemberOrAdmin, createIssueFromTemplate);
+
+export default router; // Export router
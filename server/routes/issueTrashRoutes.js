@@ -0,0 +1,120 @@
+// server/routes/issueTrashRoutes.js
+
+import express from "express";                       // import Express router
+import verifyJWT from "../middleware/verifyJWT.js";  // middleware for verifying JWT token
+
+import { 
+    loadCurrentUser,                // Attaches current user's doc to req.authUser
+    loadProject,                    // Loads project by :id param
+    requireProjectMemberOrAdmin,    // Checks if user is member of project
+    requireProjectLeadOrAdmin       // Checks if user is project lead (or admin)
+    } from "../middleware/rbac.js"; // Role-base-access-controller helper methods
+
+import { loadIssue } from "../middleware/issueLoader.js"; // Loads issue → req.issue & req.project
+
+import { 
+    trashIssue,         // soft delete (→ project trash)
+    restoreIssue,       // back from the trash
+    purgeTrashedIssue,  // permanent delete (lead/admin)
+    listTrash           // project's trashed issues
+    } from "../controllers/issueTrashController.js"; // issue trash controller methods
+
+const router = express.Router(); // New express router
+
+/**
+ * @swagger
+ * tags:
+ *   name: Trash
+ *   description: Deleted issues go to the project trash (with their comments, work logs, links and attachments) and can be restored. Trashed issues are read-only, hidden from lists unless includeArchived=true, and purged after TRASH_RETENTION_DAYS
+ */
+
+// Delete (trash) issue
+/**
+ * @swagger
+ * /issues/{id}:
+ *   delete:
+ *     summary: Move an issue to the project trash
+ *     tags: [Trash]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: "Trashed issue: { issue, purgeAt }" }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ *       409: { description: Issue has child issues }
+ */
+router.delete("/issues/:id", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, trashIssue);
+
+// Restore issue
+/**
+ * @swagger
+ * /issues/{id}/restore:
+ *   post:
+ *     summary: Restore an issue from the trash
+ *     tags: [Trash]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: Restored issue }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ *       409: { description: Not in the trash, or its parent is }
+ */
+router.post("/issues/:id/restore", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, restoreIssue);
+
+// Purge issue
+/**
+ * @swagger
+ * /issues/{id}/purge:
+ *   delete:
+ *     summary: Permanently delete a trashed issue and its comments, work logs, links, history and files (lead/admin)
+ *     tags: [Trash]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: "Counts of what was deleted: { purged }" }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ *       409: { description: Not in the trash, or still has child issues }
+ */
+router.delete("/issues/:id/purge", verifyJWT, loadCurrentUser, loadIssue, requireProjectLeadOrAdmin, purgeTrashedIssue);
+
+// List trash
+/**
+ * @swagger
+ * /projects/{id}/trash:
+ *   get:
+ *     summary: List a project's trashed issues (newest first) with their purge date
+ *     tags: [Trash]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 50 }
+ *       - in: query
+ *         name: skip
+ *         schema: { type: integer, default: 0 }
+ *     responses:
+ *       200: { description: "{ issues, total, page }" }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.get("/projects/:id/trash", verifyJWT, loadCurrentUser, loadProject, requireProjectMemberOrAdmin, listTrash);
+
+export default router; // Export router
@@ -0,0 +1,175 @@
+// server/routes/labelRoutes.js
+
+import express from "express";                       // import Express router
+import verifyJWT from "../middleware/verifyJWT.js";  // middleware for verifying JWT token
+
+import { 
+    loadCurrentUser,                // Attaches current user's doc to req.authUser
+    loadProject,                    // Loads project by :id param
+    requireProjectMemberOrAdmin,    // Checks if user is member of project
+    requireProjectLeadOrAdmin       // Checks if user is project lead (or admin)
+    } from "../middleware/rbac.js"; // Role-base-access-controller helper methods
+
+import { 
+    listLabels,   // catalog + usage counts
+    createLabel,  // add catalog label
+    updateLabel,  // rename/recolor label (rewrites issues on rename)
+    deleteLabel,  // remove catalog label
+    mergeLabels   // merge several labels into one (rewrites issues)
+    } from "../controllers/labelController.js"; // label controller methods
+
+const router = express.Router(); // New express router
+
+/**
+ * @swagger
+ * tags:
+ *   name: Labels
+ *   description: Per-project label catalog (name, color, description) with rename, merge and usage counts
+ */
+
+// List labels
+/**
+ * @swagger
+ * /projects/{id}/labels:
+ *   get:
+ *     summary: List catalog labels (and labels in use outside the catalog) with issue counts
+ *     tags: [Labels]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: "Labels: { name, color, description, inCatalog, issueCount }" }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.get("/projects/:id/labels", verifyJWT, loadCurrentUser, loadProject, requireProjectMemberOrAdmin, listLabels);
+
+// Create label
+/**
+ * @swagger
+ * /projects/{id}/labels:
+ *   post:
+ *     summary: Add a label to the catalog (lead/admin)
+ *     tags: [Labels]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name: { type: string, example: "frontend" }
+ *               color: { type: string, example: "#1d76db" }
+ *               description: { type: string }
+ *     responses:
+ *       201: { description: Created label }
+ *       400: { description: Invalid input }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       409: { description: Duplicate label }
+ */
+router.post("/projects/:id/labels", verifyJWT, loadCurrentUser, loadProject, requireProjectLeadOrAdmin, createLabel);
+
+// Merge labels (registered before '/:name' routes)
+/**
+ * @swagger
+ * /projects/{id}/labels/merge:
+ *   post:
+ *     summary: Merge several labels into one, rewriting every affected issue (lead/admin)
+ *     tags: [Labels]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [sources, target]
+ *             properties:
+ *               sources: { type: array, items: { type: string }, example: ["ui", "UI", "frontend-ui"] }
+ *               target: { type: string, example: "frontend" }
+ *     responses:
+ *       200: { description: "Merge result: { target, merged, updatedIssues }" }
+ *       400: { description: "Invalid input, or a source label that isn't in the catalog" }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ */
+router.post("/projects/:id/labels/merge", verifyJWT, loadCurrentUser, loadProject, requireProjectLeadOrAdmin, mergeLabels);
+
+// Update label
+/**
+ * @swagger
+ * /projects/{id}/labels/{name}:
+ *   patch:
+ *     summary: Rename or recolor a label; renaming rewrites every affected issue (lead/admin)
+ *     tags: [Labels]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: name
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               color: { type: string }
+ *               description: { type: string }
+ *     responses:
+ *       200: { description: "Updated label: { label, updatedIssues }" }
+ *       400: { description: Invalid input }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ *       409: { description: New name already exists }
+ */
+router.patch("/projects/:id/labels/:name", verifyJWT, loadCurrentUser, loadProject, requireProjectLeadOrAdmin, updateLabel);
+
+// Delete label
+/**
+ * @swagger
+ * /projects/{id}/labels/{name}:
+ *   delete:
+ *     summary: Remove a label from the catalog (optionally from all issues too) (lead/admin)
+ *     tags: [Labels]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: name
+ *         schema: { type: string }
+ *         required: true
+ *       - in: query
+ *         name: removeFromIssues
+ *         schema: { type: boolean }
+ *     responses:
+ *       204: { description: Deleted }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.delete("/projects/:id/labels/:name", verifyJWT, loadCurrentUser, loadProject, requireProjectLeadOrAdmin, deleteLabel);
+
+export default router; // Export router
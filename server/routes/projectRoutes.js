@@ -14,6 +14,14 @@ import { createProject,
          getProject, 
          updateProject, 
          updateMembers, 
+         getWorkflow,
+         updateWorkflow,
+         getSlaPolicies,
+         updateSlaPolicies,
+         listCustomFields,
+         createCustomField,
+         updateCustomField,
+         deleteCustomField,
          deleteProject } from "../controllers/projectController.js"; // Import functions from project controller
 
 
@@ -95,7 +103,7 @@ router.get(     // Define GET /projects
  *         schema: { type: string }
  *         required: true
  *     responses:
- *       200: { description: Project object }
+ *       200: { description: "Project object (ETag header = revision)" }
  *       401: { description: Unauthorized }
  *       403: { description: Forbidden }
  *       404: { description: Not found }
@@ -114,13 +122,17 @@ router.get(                    // Define GET /projects/:id
  * @swagger
  * /projects/{id}:
  *   patch:
- *     summary: Update project name/description/lead
+ *     summary: Update project name/description/lead/settings
  *     tags: [Projects]
  *     parameters:
  *       - in: path
  *         name: id
  *         schema: { type: string }
  *         required: true
+ *       - in: header
+ *         name: If-Match
+ *         description: ETag from a previous GET/PATCH (e.g. "3"); the update is refused with 412 if the project changed since
+ *         schema: { type: string }
  *     requestBody:
  *       required: true
  *       content:
@@ -131,12 +143,21 @@ router.get(                    // Define GET /projects/:id
  *               name: { type: string }
  *               description: { type: string }
  *               leadUserId: { type: string }
+ *               enforceBlockers: { type: boolean, description: "Refuse resolving issues with open blockers" }
+ *               restrictLabels: { type: boolean, description: "Only allow labels from the project's label catalog" }
+ *               duplicatePolicy: { type: string, enum: [off, warn, block], description: "On issue create: ignore, report or refuse near-exact duplicates" }
+ *               attachmentPolicy:
+ *                 type: object
+ *                 properties:
+ *                   maxFileSize: { type: integer, example: 10485760 }
+ *                   allowedMimeTypes: { type: array, items: { type: string }, example: ["image/*", "application/pdf"] }
  *     responses:
- *       200: { description: Updated project }
+ *       200: { description: "Updated project (new ETag header)" }
  *       400: { description: Invalid input }
  *       401: { description: Unauthorized }
  *       403: { description: Forbidden }
  *       404: { description: Not found }
+ *       412: { description: "If-Match is stale: { error, project } with the current state (and its ETag)" }
  */
 router.patch(         // Define PATCH /projects/:id
   "/projects/:id",    // Route with :id param
@@ -188,6 +209,297 @@ router.post(               // Define POST /projects/:id/members
   updateMembers              // projectController function: add/remove users
 );                                                                                          
 
+// Get project's issue workflow
+/**
+ * @swagger
+ * /projects/{id}/workflow:
+ *   get:
+ *     summary: Get the project's issue workflow (allowed status transitions)
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: Workflow transitions (default workflow if none defined) }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.get(
+  "/projects/:id/workflow",    // Route path
+  verifyJWT,                   // Require JWT
+  loadCurrentUser,             // rbac.js middleware: load current user
+  loadProject,                 // rbac.js middleware: load project
+  requireProjectMemberOrAdmin, // rbac.js middleware: any member can read workflow
+  getWorkflow                  // projectController function: returns workflow
+);
+
+// Replace or reset project's issue workflow
+/**
+ * @swagger
+ * /projects/{id}/workflow:
+ *   put:
+ *     summary: Replace the project's issue workflow (send transitions=null to reset to default)
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [transitions]
+ *             properties:
+ *               transitions:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name: { type: string, example: "resolve" }
+ *                     from: { type: array, items: { type: string }, example: ["open", "in_progress"] }
+ *                     to: { type: string, example: "resolved" }
+ *                     roles: { type: array, items: { type: string }, example: ["lead", "assignee"] }
+ *                     requiredFields: { type: array, items: { type: string }, example: ["resolution"] }
+ *     responses:
+ *       200: { description: Saved workflow }
+ *       400: { description: Invalid workflow }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.put(
+  "/projects/:id/workflow",  // Route path
+  verifyJWT,                 // Require JWT
+  loadCurrentUser,           // rbac.js middleware: load current user
+  loadProject,               // rbac.js middleware: load project
+  requireProjectLeadOrAdmin, // rbac.js middleware: only lead/admin can change workflow
+  updateWorkflow             // projectController function: validates and saves workflow
+);
+
+// Get project's SLA policies
+/**
+ * @swagger
+ * /projects/{id}/sla:
+ *   get:
+ *     summary: Get the project's SLA policies (time-to-resolve targets by priority/severity)
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: SLA policies (first match wins) }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.get(
+  "/projects/:id/sla",         // Route path
+  verifyJWT,                   // Require JWT
+  loadCurrentUser,             // rbac.js middleware: load current user
+  loadProject,                 // rbac.js middleware: load project
+  requireProjectMemberOrAdmin, // rbac.js middleware: any member can read SLA policies
+  getSlaPolicies               // projectController function: returns policies
+);
+
+// Replace project's SLA policies
+/**
+ * @swagger
+ * /projects/{id}/sla:
+ *   put:
+ *     summary: Replace the project's SLA policies (blocked time doesn't count; send [] to remove all)
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [policies]
+ *             properties:
+ *               policies:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name: { type: string, example: "Critical 24h" }
+ *                     priorities: { type: array, items: { type: string }, example: ["critical"] }
+ *                     severities: { type: array, items: { type: string }, example: [] }
+ *                     resolveWithinHours: { type: number, example: 24 }
+ *                     atRiskPercent: { type: number, example: 75 }
+ *     responses:
+ *       200: { description: Saved policies }
+ *       400: { description: Invalid policies }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.put(
+  "/projects/:id/sla",       // Route path
+  verifyJWT,                 // Require JWT
+  loadCurrentUser,           // rbac.js middleware: load current user
+  loadProject,               // rbac.js middleware: load project
+  requireProjectLeadOrAdmin, // rbac.js middleware: only lead/admin can change SLA policies
+  updateSlaPolicies          // projectController function: validates and saves policies
+);
+
+// List custom fields
+/**
+ * @swagger
+ * /projects/{id}/fields:
+ *   get:
+ *     summary: List the project's custom issue fields
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: Array of field definitions }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.get(
+  "/projects/:id/fields",      // Route path
+  verifyJWT,                   // Require JWT
+  loadCurrentUser,             // rbac.js middleware: load current user
+  loadProject,                 // rbac.js middleware: load project
+  requireProjectMemberOrAdmin, // rbac.js middleware: any member can read definitions
+  listCustomFields             // projectController function: returns definitions
+);
+
+// Create custom field
+/**
+ * @swagger
+ * /projects/{id}/fields:
+ *   post:
+ *     summary: Define a custom issue field (lead/admin)
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [key, name, type]
+ *             properties:
+ *               key: { type: string, example: "storyPoints" }
+ *               name: { type: string, example: "Story points" }
+ *               type: { type: string, enum: [text, number, date, single_select, multi_select, user] }
+ *               options: { type: array, items: { type: string }, example: ["Chrome", "Firefox", "Safari"] }
+ *               requiredFor: { type: array, items: { type: string }, example: ["story"] }
+ *               defaultValue: {}
+ *     responses:
+ *       201: { description: Created field definition }
+ *       400: { description: Invalid definition }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ *       409: { description: Duplicate key }
+ */
+router.post(
+  "/projects/:id/fields",    // Route path
+  verifyJWT,                 // Require JWT
+  loadCurrentUser,           // rbac.js middleware: load current user
+  loadProject,               // rbac.js middleware: load project
+  requireProjectLeadOrAdmin, // rbac.js middleware: only lead/admin can define fields
+  createCustomField          // projectController function: validates and saves definition
+);
+
+// Update custom field
+/**
+ * @swagger
+ * /projects/{id}/fields/{key}:
+ *   patch:
+ *     summary: Update a custom field's name, options, requiredFor or defaultValue (lead/admin)
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: key
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               options: { type: array, items: { type: string } }
+ *               requiredFor: { type: array, items: { type: string } }
+ *               defaultValue: {}
+ *     responses:
+ *       200: { description: Updated field definition }
+ *       400: { description: Invalid definition }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.patch(
+  "/projects/:id/fields/:key", // Route path
+  verifyJWT,                   // Require JWT
+  loadCurrentUser,             // rbac.js middleware: load current user
+  loadProject,                 // rbac.js middleware: load project
+  requireProjectLeadOrAdmin,   // rbac.js middleware: only lead/admin can change fields
+  updateCustomField            // projectController function: validates and saves definition
+);
+
+// Delete custom field
+/**
+ * @swagger
+ * /projects/{id}/fields/{key}:
+ *   delete:
+ *     summary: Delete a custom field and its values on all issues (lead/admin)
+ *     tags: [Projects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: key
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       204: { description: Deleted }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.delete(
+  "/projects/:id/fields/:key", // Route path
+  verifyJWT,                   // Require JWT
+  loadCurrentUser,             // rbac.js middleware: load current user
+  loadProject,                 // rbac.js middleware: load project
+  requireProjectLeadOrAdmin,   // rbac.js middleware: only lead/admin can remove fields
+  deleteCustomField            // projectController function: removes definition + values
+);
+
 // Delete project
 /**
  * @swagger
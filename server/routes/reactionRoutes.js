@@ -0,0 +1,175 @@
+// server/routes/reactionRoutes.js
+
+import express from "express";                       // import Express router
+import verifyJWT from "../middleware/verifyJWT.js";  // middleware for verifying JWT token
+
+import { 
+    loadCurrentUser,                // Attaches current user's doc to req.authUser
+    requireProjectMemberOrAdmin     // Checks if user is member of project
+    } from "../middleware/rbac.js"; // Role-base-access-controller helper methods
+
+import { loadIssue, rejectArchivedIssue } from "../middleware/issueLoader.js"; // Loads issue → req.issue & req.project
+import { loadComment } from "../middleware/commentLoader.js";                  // Loads comment (+issue +project)
+
+import { 
+    toggleIssueReaction,    // add/remove an emoji on an issue
+    listIssueReactions,     // who reacted to an issue
+    toggleIssueVote,        // add/remove an upvote
+    listIssueVoters,        // who upvoted
+    toggleCommentReaction,  // add/remove an emoji on a comment
+    listCommentReactions    // who reacted to a comment
+    } from "../controllers/reactionController.js"; // reaction controller methods
+
+const router = express.Router(); // New express router
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reactions
+ *   description: Upvotes on issues and emoji reactions on issues and comments (one of each kind per user; POST toggles). Emoji - thumbs_up, thumbs_down, laugh, hooray, confused, heart, rocket, eyes. Sort issues by votes with GET /projects/{pid}/issues?sort=votes
+ */
+
+// Toggle issue reaction
+/**
+ * @swagger
+ * /issues/{id}/reactions:
+ *   post:
+ *     summary: Add the current user's emoji reaction to an issue, or remove it if already there
+ *     tags: [Reactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [emoji]
+ *             properties:
+ *               emoji: { type: string, example: "heart" }
+ *     responses:
+ *       200: { description: "{ emoji, reacted, reactionCounts }" }
+ *       400: { description: Unknown emoji }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ *       409: { description: Issue is in the trash }
+ */
+router.post("/issues/:id/reactions", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, rejectArchivedIssue, toggleIssueReaction);
+
+// List issue reactions
+/**
+ * @swagger
+ * /issues/{id}/reactions:
+ *   get:
+ *     summary: List who reacted to an issue, per emoji
+ *     tags: [Reactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: "{ reactions: { <emoji>: { count, users: [{ _id, username }], me } } }" }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.get("/issues/:id/reactions", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, listIssueReactions);
+
+// Toggle vote
+/**
+ * @swagger
+ * /issues/{id}/vote:
+ *   post:
+ *     summary: Upvote an issue, or take the upvote back if already given
+ *     tags: [Reactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: "{ voted, voteCount }" }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ *       409: { description: Issue is in the trash }
+ */
+router.post("/issues/:id/vote", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, rejectArchivedIssue, toggleIssueVote);
+
+// List voters
+/**
+ * @swagger
+ * /issues/{id}/votes:
+ *   get:
+ *     summary: List who upvoted an issue
+ *     tags: [Reactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: "{ voteCount, voters: [{ _id, username }], voted }" }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.get("/issues/:id/votes", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, listIssueVoters);
+
+// Toggle comment reaction
+/**
+ * @swagger
+ * /comments/{id}/reactions:
+ *   post:
+ *     summary: Add the current user's emoji reaction to a comment, or remove it if already there
+ *     tags: [Reactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [emoji]
+ *             properties:
+ *               emoji: { type: string, example: "thumbs_up" }
+ *     responses:
+ *       200: { description: "{ emoji, reacted, reactionCounts }" }
+ *       400: { description: Unknown emoji }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ *       409: { description: Comment deleted, or its issue is in the trash }
+ */
+router.post("/comments/:id/reactions", verifyJWT, loadCurrentUser, loadComment, requireProjectMemberOrAdmin, rejectArchivedIssue, toggleCommentReaction);
+
+// List comment reactions
+/**
+ * @swagger
+ * /comments/{id}/reactions:
+ *   get:
+ *     summary: List who reacted to a comment, per emoji
+ *     tags: [Reactions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: "{ reactions: { <emoji>: { count, users: [{ _id, username }], me } } }" }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.get("/comments/:id/reactions", verifyJWT, loadCurrentUser, loadComment, requireProjectMemberOrAdmin, listCommentReactions);
+
+export default router; // Export router
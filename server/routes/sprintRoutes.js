@@ -0,0 +1,281 @@
+// server/routes/sprintRoutes.js
+
+import express from "express";                       // import Express router
+import verifyJWT from "../middleware/verifyJWT.js";  // middleware for verifying JWT token
+
+import { 
+    loadCurrentUser,                // Attaches current user's doc to req.authUser
+    loadProject,                    // Loads project by :id param
+    requireProjectMemberOrAdmin,    // Checks if user is member of project
+    requireProjectLeadOrAdmin       // Checks if user is project lead (or admin)
+    } from "../middleware/rbac.js"; // Role-base-access-controller helper methods
+
+import { 
+    listSprints,        // project's sprints (+ issue/point totals)
+    createSprint,       // plan a new sprint
+    getSprint,          // sprint + its issues
+    updateSprint,       // edit name/goal/dates
+    deleteSprint,       // delete a planned sprint
+    startSprint,        // planned → active
+    closeSprint,        // active → closed (carries unfinished issues over)
+    getSprintBurndown,  // daily remaining points
+    getVelocity         // committed vs completed points of past sprints
+    } from "../controllers/sprintController.js"; // sprint controller methods
+
+const router = express.Router(); // New express router
+
+/**
+ * @swagger
+ * tags:
+ *   name: Sprints
+ *   description: Sprint planning (planned → active → closed), burndown and velocity. Issues join a sprint via PATCH /issues/{id} { sprintId }
+ */
+
+// List sprints
+/**
+ * @swagger
+ * /projects/{id}/sprints:
+ *   get:
+ *     summary: List a project's sprints with issue counts and story points
+ *     tags: [Sprints]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: query
+ *         name: state
+ *         schema: { type: string, enum: [planned, active, closed] }
+ *     responses:
+ *       200: { description: Sprints }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.get("/projects/:id/sprints", verifyJWT, loadCurrentUser, loadProject, requireProjectMemberOrAdmin, listSprints);
+
+// Create sprint
+/**
+ * @swagger
+ * /projects/{id}/sprints:
+ *   post:
+ *     summary: Plan a new sprint (lead/admin)
+ *     tags: [Sprints]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, startDate, endDate]
+ *             properties:
+ *               name: { type: string, example: "Sprint 14" }
+ *               goal: { type: string }
+ *               startDate: { type: string, format: date, example: "2025-03-03" }
+ *               endDate: { type: string, format: date, example: "2025-03-17" }
+ *     responses:
+ *       201: { description: Created sprint }
+ *       400: { description: Invalid input }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ */
+router.post("/projects/:id/sprints", verifyJWT, loadCurrentUser, loadProject, requireProjectLeadOrAdmin, createSprint);
+
+// Velocity
+/**
+ * @swagger
+ * /projects/{id}/velocity:
+ *   get:
+ *     summary: Committed vs completed story points of the last closed sprints
+ *     tags: [Sprints]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: query
+ *         name: limit
+ *         description: Number of past sprints (default 6, max 50)
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: "{ sprints, averageVelocity }" }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ */
+router.get("/projects/:id/velocity", verifyJWT, loadCurrentUser, loadProject, requireProjectMemberOrAdmin, getVelocity);
+
+// Get sprint
+/**
+ * @swagger
+ * /projects/{id}/sprints/{sprintId}:
+ *   get:
+ *     summary: Get a sprint with its issues
+ *     tags: [Sprints]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: sprintId
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: "{ sprint, issues, points, donePoints }" }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.get("/projects/:id/sprints/:sprintId", verifyJWT, loadCurrentUser, loadProject, requireProjectMemberOrAdmin, getSprint);
+
+// Update sprint
+/**
+ * @swagger
+ * /projects/{id}/sprints/{sprintId}:
+ *   patch:
+ *     summary: Edit a sprint's name, goal or dates (lead/admin; not once closed)
+ *     tags: [Sprints]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: sprintId
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               goal: { type: string }
+ *               startDate: { type: string, format: date }
+ *               endDate: { type: string, format: date }
+ *     responses:
+ *       200: { description: Updated sprint }
+ *       400: { description: Invalid input }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ *       409: { description: Sprint is closed }
+ */
+router.patch("/projects/:id/sprints/:sprintId", verifyJWT, loadCurrentUser, loadProject, requireProjectLeadOrAdmin, updateSprint);
+
+// Delete sprint
+/**
+ * @swagger
+ * /projects/{id}/sprints/{sprintId}:
+ *   delete:
+ *     summary: Delete a planned sprint; its issues go back to the backlog (lead/admin)
+ *     tags: [Sprints]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: sprintId
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       204: { description: Deleted }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ *       409: { description: Sprint already started }
+ */
+router.delete("/projects/:id/sprints/:sprintId", verifyJWT, loadCurrentUser, loadProject, requireProjectLeadOrAdmin, deleteSprint);
+
+// Start sprint
+/**
+ * @swagger
+ * /projects/{id}/sprints/{sprintId}/start:
+ *   post:
+ *     summary: Start a planned sprint (one active sprint per project; lead/admin)
+ *     tags: [Sprints]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: sprintId
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: Started sprint (committedPoints recorded) }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ *       409: { description: Not planned, or another sprint is active }
+ */
+router.post("/projects/:id/sprints/:sprintId/start", verifyJWT, loadCurrentUser, loadProject, requireProjectLeadOrAdmin, startSprint);
+
+// Close sprint
+/**
+ * @swagger
+ * /projects/{id}/sprints/{sprintId}/close:
+ *   post:
+ *     summary: Close the active sprint; unfinished issues carry over (lead/admin)
+ *     tags: [Sprints]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: sprintId
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               carryOverTo: { type: string, nullable: true, description: "Planned sprint id; null = backlog; omitted = next planned sprint (or backlog if none)" }
+ *     responses:
+ *       200: { description: "{ sprint, carriedOverTo, carriedOverIssues }" }
+ *       400: { description: Invalid carryOverTo }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ *       409: { description: Sprint is not active }
+ */
+router.post("/projects/:id/sprints/:sprintId/close", verifyJWT, loadCurrentUser, loadProject, requireProjectLeadOrAdmin, closeSprint);
+
+// Burndown
+/**
+ * @swagger
+ * /projects/{id}/sprints/{sprintId}/burndown:
+ *   get:
+ *     summary: Daily remaining story points of a sprint (rebuilt from status history) with the ideal line
+ *     tags: [Sprints]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: sprintId
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: "{ sprint, totalPoints, days: [{ date, ideal, remaining }] }" }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ *       409: { description: Sprint not started }
+ */
+router.get("/projects/:id/sprints/:sprintId/burndown", verifyJWT, loadCurrentUser, loadProject, requireProjectMemberOrAdmin, getSprintBurndown);
+
+export default router; // Export router
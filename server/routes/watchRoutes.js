@@ -0,0 +1,97 @@
+// server/routes/watchRoutes.js
+
+import express from "express";                       // import Express router
+import verifyJWT from "../middleware/verifyJWT.js";  // middleware for verifying JWT token
+
+import { 
+    loadCurrentUser,                // Attaches current user's doc to req.authUser
+    requireProjectMemberOrAdmin     // Checks if user is member of project
+    } from "../middleware/rbac.js"; // Role-base-access-controller helper methods
+
+import { loadIssue, rejectArchivedIssue } from "../middleware/issueLoader.js"; // Loads issue → req.issue & req.project
+
+import { 
+    watchIssue,     // current user watches an issue
+    unwatchIssue,   // current user stops watching
+    getMyWork       // assigned / reported / watched issues across projects
+    } from "../controllers/watchController.js"; // watch + "my work" controller methods
+
+const router = express.Router(); // New express router
+
+/**
+ * @swagger
+ * tags:
+ *   name: My Work
+ *   description: Self-service watching and the current user's work across projects
+ */
+
+// Watch issue
+/**
+ * @swagger
+ * /issues/{id}/watch:
+ *   post:
+ *     summary: Start watching an issue (any project member)
+ *     tags: [My Work]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: "{ issueId, key, watching: true, watcherCount }" }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ *       409: { description: Issue is in the trash }
+ */
+router.post("/issues/:id/watch", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, rejectArchivedIssue, watchIssue);
+
+// Unwatch issue
+/**
+ * @swagger
+ * /issues/{id}/watch:
+ *   delete:
+ *     summary: Stop watching an issue
+ *     tags: [My Work]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: "{ issueId, key, watching: false, watcherCount }" }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ *       409: { description: Issue is in the trash }
+ */
+router.delete("/issues/:id/watch", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, rejectArchivedIssue, unwatchIssue);
+
+// My work
+/**
+ * @swagger
+ * /me/work:
+ *   get:
+ *     summary: Issues assigned to, reported by and watched by the current user, grouped by priority (critical first)
+ *     tags: [My Work]
+ *     parameters:
+ *       - in: query
+ *         name: include
+ *         description: Sections to return (default all)
+ *         schema: { type: string, example: "assigned,watching" }
+ *       - in: query
+ *         name: includeDone
+ *         description: Also include resolved/closed issues
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: limit
+ *         description: Max issues per section (default 50, max 200)
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: "{ assigned: { total, byPriority: [{ priority, issues }] }, reported: {...}, watching: {...} }" }
+ *       400: { description: Unknown section }
+ *       401: { description: Unauthorized }
+ */
+router.get("/me/work", verifyJWT, loadCurrentUser, getMyWork);
+
+export default router; // Export router
@@ -0,0 +1,171 @@
+// server/routes/workLogRoutes.js
+
+import express from "express";                       // import Express router
+import verifyJWT from "../middleware/verifyJWT.js";  // middleware for verifying JWT token
+
+import { 
+    loadCurrentUser,                // Attaches current user's doc to req.authUser
+    requireProjectMemberOrAdmin     // Checks if user is member of issue's project
+    } from "../middleware/rbac.js"; // Role-base-access-controller helper methods
+
+import { loadIssue, rejectArchivedIssue } from "../middleware/issueLoader.js"; // Loads issue → req.issue & req.project
+
+import { 
+    listWorkLogs,   // list an issue's work logs + totals
+    createWorkLog,  // log time on an issue
+    updateWorkLog,  // edit a work log (author/lead)
+    deleteWorkLog,  // delete a work log (author/lead)
+    getTimeReport   // sum logged time by issue/assignee/user/project over a date range
+    } from "../controllers/workLogController.js"; // time tracking controller methods
+
+const router = express.Router(); // New express router
+
+/**
+ * @swagger
+ * tags:
+ *   name: Time Tracking
+ *   description: Work logs on issues, estimates and time reports (durations are minutes or strings like "1d 2h 30m"; 1d = 8h, 1w = 5d)
+ */
+
+// List work logs
+/**
+ * @swagger
+ * /issues/{id}/worklogs:
+ *   get:
+ *     summary: List an issue's work logs with time spent and estimates
+ *     tags: [Time Tracking]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: "{ worklogs, timeSpent, originalEstimate, remainingEstimate } (minutes)" }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.get("/issues/:id/worklogs", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, listWorkLogs);
+
+// Log work
+/**
+ * @swagger
+ * /issues/{id}/worklogs:
+ *   post:
+ *     summary: Log time spent on an issue (remaining estimate is reduced unless given)
+ *     tags: [Time Tracking]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [duration]
+ *             properties:
+ *               duration: { type: string, example: "1h 30m" }
+ *               workedAt: { type: string, format: date, example: "2025-01-31" }
+ *               note: { type: string }
+ *               remainingEstimate: { type: string, example: "4h", description: "New remaining estimate (null clears it)" }
+ *     responses:
+ *       201: { description: "Created work log + issue's timeSpent/remainingEstimate" }
+ *       400: { description: Invalid input }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *       404: { description: Not found }
+ */
+router.post("/issues/:id/worklogs", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, rejectArchivedIssue, createWorkLog);
+
+// Edit work log
+/**
+ * @swagger
+ * /issues/{id}/worklogs/{logId}:
+ *   patch:
+ *     summary: Edit a work log (author or project lead)
+ *     tags: [Time Tracking]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: logId
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               duration: { type: string }
+ *               workedAt: { type: string, format: date }
+ *               note: { type: string }
+ *     responses:
+ *       200: { description: "Updated work log (+ issue's timeSpent/remainingEstimate when the duration changed)" }
+ *       400: { description: Invalid input }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not the author or lead }
+ *       404: { description: Not found }
+ */
+router.patch("/issues/:id/worklogs/:logId", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, rejectArchivedIssue, updateWorkLog);
+
+// Delete work log
+/**
+ * @swagger
+ * /issues/{id}/worklogs/{logId}:
+ *   delete:
+ *     summary: Delete a work log (author or project lead)
+ *     tags: [Time Tracking]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: logId
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       204: { description: Deleted }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not the author or lead }
+ *       404: { description: Not found }
+ */
+router.delete("/issues/:id/worklogs/:logId", verifyJWT, loadCurrentUser, loadIssue, requireProjectMemberOrAdmin, rejectArchivedIssue, deleteWorkLog);
+
+// Time report
+/**
+ * @swagger
+ * /reports/time:
+ *   get:
+ *     summary: Sum logged time over a date range, grouped by issue, assignee, user (who logged) or project
+ *     tags: [Time Tracking]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: to
+ *         description: Inclusive (a date-only value covers the whole day)
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: groupBy
+ *         schema: { type: string, enum: [issue, assignee, user, project], default: issue }
+ *       - in: query
+ *         name: projectId
+ *         description: Limit to one project (default all projects visible to the user)
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: "{ from, to, groupBy, total, rows: [{ id, minutes, duration, entries, ... }] }" }
+ *       400: { description: Invalid input }
+ *       401: { description: Unauthorized }
+ */
+router.get("/reports/time", verifyJWT, loadCurrentUser, getTimeReport);
+
+export default router; // Export router
@@ -19,6 +19,9 @@ import dotenv from "dotenv"; // loads .env variables into process.env
 dotenv.config();
 
 import connectDB  from "./database/database.js"; // default import from database.js
+import { backfillIssueSortFields } from "./database/backfillIssueSortFields.js"; // sort helpers for issues saved before they existed
+import { startSlaMonitor } from "./jobs/slaMonitor.js"; // periodic SLA breach/at-risk flagging
+import { startTrashPurge } from "./jobs/trashPurge.js"; // purges trashed issues past retention
 import './auth/passportConfig.js'; // Side-effect that loads and registers passport strategies globally (MUST come before routes!)
 //import passport from 'passport';   // single passport import (Core authentication framework)
 
@@ -26,6 +29,21 @@ import authRoutes    from "./routes/authRoutes.js";    // Import auth routes
 import projectRoutes from "./routes/projectRoutes.js"; // Import project routes
 import issueRoutes   from "./routes/issueRoutes.js";   // Import issues routes
 import commentRoutes from "./routes/commentRoutes.js"; // Import comments routes
+import issueLinkRoutes from "./routes/issueLinkRoutes.js"; // Import issue links routes
+import issueHierarchyRoutes from "./routes/issueHierarchyRoutes.js"; // Import parent/child issue routes
+import attachmentRoutes from "./routes/attachmentRoutes.js"; // Import issue attachment routes
+import labelRoutes from "./routes/labelRoutes.js"; // Import project label catalog routes
+import issueMoveRoutes from "./routes/issueMoveRoutes.js"; // Import issue move + key lookup routes
+import issueCloneRoutes from "./routes/issueCloneRoutes.js"; // Import issue clone routes
+import issueMergeRoutes from "./routes/issueMergeRoutes.js"; // Import issue merge routes
+import workLogRoutes from "./routes/workLogRoutes.js"; // Import time tracking routes
+import sprintRoutes from "./routes/sprintRoutes.js"; // Import sprint routes
+import boardRoutes from "./routes/boardRoutes.js"; // Import kanban board routes
+import issueTemplateRoutes from "./routes/issueTemplateRoutes.js"; // Import issue template routes
+import issueTrashRoutes from "./routes/issueTrashRoutes.js"; // Import issue trash routes
+import bulkIssueRoutes from "./routes/bulkIssueRoutes.js"; // Import bulk issue routes
+import watchRoutes from "./routes/watchRoutes.js"; // Import watch + my work routes
+import reactionRoutes from "./routes/reactionRoutes.js"; // Import reaction + vote routes
 
 import swaggerUi   from "swagger-ui-express";   // Import Swagger UI middleware
 import swaggerSpec from "./swaggerConfig.js";
@@ -44,6 +62,7 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec)); // Swagger
 // Database Connection Setup
 // ==============================================================================
 await connectDB(process.env.MONGO_URI);
+await backfillIssueSortFields(); // priorityRank/statusRank/seq on older issues (no-op once done)
 
 
 // Get connection info!
@@ -61,7 +80,8 @@ app.use(morgan("dev"));
 
 app.use(cors({                         // mount and enable CORS middleware onto express app
   origin: process.env.CLIENT_HOME_URL, // Allow requests from frontend (defined by CLIENT_HOME_URL)
-  credentials: true                    // Allow cookies/credentials to be sent from front-end     
+  credentials: true,                   // Allow cookies/credentials to be sent from front-end     
+  exposedHeaders: ["ETag"]             // Let the frontend read resource revisions (sent back as If-Match)
 }));
 
 app.use(express.json());     // Tells express to parse ANY JSON data in the body/payload 
@@ -100,6 +120,21 @@ app.use("/", authRoutes); /* Mount all routes for handling authentication-relate
 app.use("/", projectRoutes); // Mount at root; paths start with /projects
 app.use("/", issueRoutes);   // Mount issues endpoints
 app.use("/", commentRoutes); // Mount comments endpoints
+app.use("/", issueLinkRoutes); // Mount issue links endpoints
+app.use("/", issueHierarchyRoutes); // Mount parent/child issue endpoints
+app.use("/", attachmentRoutes); // Mount issue attachment endpoints
+app.use("/", labelRoutes); // Mount label catalog endpoints
+app.use("/", issueMoveRoutes); // Mount issue move + key lookup endpoints
+app.use("/", issueCloneRoutes); // Mount issue clone endpoint
+app.use("/", issueMergeRoutes); // Mount issue merge endpoint
+app.use("/", workLogRoutes); // Mount time tracking endpoints
+app.use("/", sprintRoutes); // Mount sprint endpoints
+app.use("/", boardRoutes); // Mount kanban board endpoints
+app.use("/", issueTemplateRoutes); // Mount issue template endpoints
+app.use("/", issueTrashRoutes); // Mount issue trash endpoints
+app.use("/", bulkIssueRoutes); // Mount bulk issue endpoints
+app.use("/", watchRoutes); // Mount watch + my work endpoints
+app.use("/", reactionRoutes); // Mount reaction + vote endpoints
 
 // ==============================================================================
 // Start Server
@@ -107,3 +142,6 @@ app.use("/", commentRoutes); // Mount comments endpoints
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
+
+startSlaMonitor(); // re-evaluates issue SLA state every SLA_CHECK_INTERVAL_MS
+startTrashPurge(); // deletes issues trashed longer than TRASH_RETENTION_DAYS
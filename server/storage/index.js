@@ -0,0 +1,31 @@
+// server/storage/index.js
+
+/* NOTE: Picks the attachment storage backend from STORAGE_DRIVER ("local" by default, or "s3").
+ *       Every driver exposes the same methods:
+ *         put(key, stream, { size, contentType }), get(key) → readable stream, remove(key), copy(fromKey, toKey)
+ *       so controllers never care where files actually live.
+ */
+
+import createLocalDriver from "./localDriver.js"; // local disk driver
+import createS3Driver    from "./s3Driver.js";    // S3-compatible (AWS / MinIO) driver
+
+const DRIVERS = { // driver name → factory
+  local: createLocalDriver,
+  s3:    createS3Driver,
+};
+
+let storage = null; // created lazily (so env is loaded first), then reused
+
+export const getStorage = () => {
+  if (!storage) {
+    const name    = (process.env.STORAGE_DRIVER || "local").toLowerCase();
+    const factory = DRIVERS[name];
+    if (!factory) {
+      throw new Error(`Unknown STORAGE_DRIVER '${name}' (use: ${Object.keys(DRIVERS).join(", ")}).`);
+    }
+    storage = factory();
+  }
+  return storage;
+};
+
+export const attachmentKey = (fileId) => `attachments/${fileId}`; // storage key for an attachment's fileId
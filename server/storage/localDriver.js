@@ -0,0 +1,51 @@
+// server/storage/localDriver.js
+
+/* NOTE: Stores attachment files on the local disk (default ./uploads, or ATTACHMENTS_DIR).
+ *       Good for development and single-server deployments.
+ */
+
+import fs from "fs";                          // file system streams
+import fsp from "fs/promises";                // promise-based file system helpers
+import path from "path";                      // path helpers
+import { pipeline } from "stream/promises";   // pipe streams with proper error handling
+
+const createLocalDriver = ({ root = process.env.ATTACHMENTS_DIR || "./uploads" } = {}) => {
+
+  const baseDir = path.resolve(root); // absolute storage folder
+
+  const fullPath = (key) => { // map storage key → file path (refuse keys escaping baseDir)
+    const target = path.resolve(baseDir, key);
+    if (!target.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return target;
+  };
+
+  return {
+    name: "local",
+
+    async put(key, stream) { // write stream to file
+      const target = fullPath(key);
+      await fsp.mkdir(path.dirname(target), { recursive: true });
+      await pipeline(stream, fs.createWriteStream(target));
+    },
+
+    async get(key) { // readable stream of the stored file
+      const target = fullPath(key);
+      await fsp.access(target); // throws (ENOENT) if missing
+      return fs.createReadStream(target);
+    },
+
+    async remove(key) { // delete file (missing file is fine)
+      await fsp.rm(fullPath(key), { force: true });
+    },
+
+    async copy(fromKey, toKey) { // duplicate a stored file under a new key
+      const target = fullPath(toKey);
+      await fsp.mkdir(path.dirname(target), { recursive: true });
+      await fsp.copyFile(fullPath(fromKey), target);
+    },
+  };
+};
+
+export default createLocalDriver;
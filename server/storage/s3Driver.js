@@ -0,0 +1,66 @@
+// server/storage/s3Driver.js
+
+/* NOTE: Stores attachment files in an S3-compatible bucket (AWS S3, or MinIO for local testing).
+ *       Env: S3_BUCKET, S3_REGION, S3_ENDPOINT (e.g. http://localhost:9000 for MinIO),
+ *            S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_FORCE_PATH_STYLE (true for MinIO).
+ */
+
+import { S3Client,
+         PutObjectCommand,
+         GetObjectCommand,
+         DeleteObjectCommand,
+         CopyObjectCommand } from "@aws-sdk/client-s3"; // AWS SDK v3 S3 client + commands
+
+const createS3Driver = ({
+  bucket          = process.env.S3_BUCKET,
+  region          = process.env.S3_REGION || "us-east-1",
+  endpoint        = process.env.S3_ENDPOINT || undefined,
+  accessKeyId     = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  forcePathStyle  = process.env.S3_FORCE_PATH_STYLE === "true",
+} = {}) => {
+
+  if (!bucket) { // fail fast on misconfiguration
+    throw new Error("S3_BUCKET is required for the s3 storage driver.");
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,        // custom endpoint for MinIO / other S3-compatible stores
+    forcePathStyle,  // MinIO expects http://host/bucket/key instead of http://bucket.host/key
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined, // else default AWS chain
+  });
+
+  return {
+    name: "s3",
+
+    async put(key, stream, { size, contentType } = {}) { // upload stream (size needed for streaming bodies)
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: stream,
+        ContentLength: size,
+        ContentType: contentType || "application/octet-stream",
+      }));
+    },
+
+    async get(key) { // readable stream of the stored object
+      const out = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return out.Body;
+    },
+
+    async remove(key) { // delete object (S3 treats missing keys as success)
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async copy(fromKey, toKey) { // server-side copy
+      await client.send(new CopyObjectCommand({
+        Bucket: bucket,
+        Key: toKey,
+        CopySource: `${bucket}/${encodeURIComponent(fromKey).replace(/%2F/g, "/")}`,
+      }));
+    },
+  };
+};
+
+export default createS3Driver;
@@ -0,0 +1,44 @@
+// server/test/boardRank.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { rankBetween,
+         spacedRanks,
+         RANK_STEP } from "../utils/boardRank.js";
+
+test("rank between two neighbours is their midpoint", () => {
+  assert.deepEqual(rankBetween(1024, 2048), { rank:1536 });
+  assert.deepEqual(rankBetween(-3, 1), { rank:-1 });
+});
+
+test("one neighbour → a step above/below it; none → first step", () => {
+  assert.deepEqual(rankBetween(null, 1024), { rank:1024 - RANK_STEP });
+  assert.deepEqual(rankBetween(1024, null), { rank:1024 + RANK_STEP });
+  assert.deepEqual(rankBetween(null, null), { rank:RANK_STEP });
+});
+
+test("neighbours out of order are refused", () => {
+  assert.ok(rankBetween(2048, 1024).error);
+  assert.ok(rankBetween(1024, 1024).error);
+});
+
+test("repeated splitting eventually asks for a re-space", () => {
+  let lo = 0, hi = RANK_STEP, splits = 0, placed;
+  while (!(placed = rankBetween(lo, hi)).respace) {
+    assert.ok(placed.rank > lo && placed.rank < hi);
+    hi = placed.rank;
+    splits++;
+  }
+  assert.ok(splits > 20);
+  assert.ok(hi - lo < 1e-6);
+});
+
+test("re-spacing gives evenly spaced, increasing ranks after the base", () => {
+  assert.deepEqual(spacedRanks(3), [RANK_STEP, 2 * RANK_STEP, 3 * RANK_STEP]);
+  assert.deepEqual(spacedRanks(2, 5000), [5000 + RANK_STEP, 5000 + 2 * RANK_STEP]);
+  assert.deepEqual(spacedRanks(0), []);
+
+  const [a, b] = spacedRanks(2);
+  assert.deepEqual(rankBetween(a, b), { rank:(a + b) / 2 }); // room to split again
+});
@@ -0,0 +1,43 @@
+// server/test/duplicates.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { issueSimilarity,
+         DUPLICATE_THRESHOLD } from "../utils/duplicates.js";
+
+test("identical issues score 1", () => {
+  const issue = { title:"Login button crashes on Safari", description:"Tap login, app closes." };
+  assert.equal(issueSimilarity(issue, issue), 1);
+});
+
+test("case, punctuation and stop words don't matter", () => {
+  assert.equal(issueSimilarity({ title:"The login button is broken!" }, { title:"login BUTTON broken" }), 1);
+});
+
+test("unrelated titles score 0", () => {
+  assert.equal(issueSimilarity({ title:"Export CSV report" }, { title:"Dark mode colours" }), 0);
+});
+
+test("without a draft description only the title counts", () => {
+  const score = issueSimilarity({ title:"Login crash" }, { title:"Login crash", description:"something else entirely" });
+  assert.equal(score, 1);
+});
+
+test("title weighs 70%, description 30% (Dice coefficient, rounded to 3 places)", () => {
+  const score = issueSimilarity(
+    { title:"login crash", description:"safari ios" },
+    { title:"login crash", description:"chrome android" }
+  );
+  assert.equal(score, 0.7);
+
+  const half = issueSimilarity({ title:"login crash safari" }, { title:"login timeout chrome" }); // 2·1/(3+3)
+  assert.equal(half, 0.333);
+});
+
+test("near-exact duplicates reach the threshold, loose matches don't", () => {
+  const a = { title:"Login button crashes app on Safari 17", description:"Steps: open login, tap button, app crashes." };
+  const b = { title:"Login button crashes app on Safari", description:"Steps: open login, tap button, app crashes." };
+  assert.ok(issueSimilarity(a, b) >= DUPLICATE_THRESHOLD);
+  assert.ok(issueSimilarity({ title:"Login crash" }, { title:"Login page slow" }) < DUPLICATE_THRESHOLD);
+});
@@ -0,0 +1,103 @@
+// server/test/issueQuery.test.js
+
+/* Only inputs that compile without the database (no usernames to look up). */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+import { compileIssueQuery,
+         QueryParseError } from "../utils/issueQuery.js";
+
+const me   = new mongoose.Types.ObjectId();
+const proj = { _id:new mongoose.Types.ObjectId(), key:"BT" };
+const ctx  = { user:{ _id:me }, projects:[proj], customFields:[] };
+
+const compile = (ql, extra = {}) => compileIssueQuery(ql, { ...ctx, ...extra });
+
+const parseError = async (ql, position) => {
+  await assert.rejects(compile(ql), (err) => {
+    assert.ok(err instanceof QueryParseError);
+    if (position !== undefined) {
+      assert.equal(err.position, position);
+    }
+    return true;
+  });
+};
+
+test("clauses combine with AND; ordered enums become $in", async () => {
+  assert.deepEqual(await compile("status in (open, blocked) AND priority >= high"), {
+    $and: [
+      { status: { $in:["open","blocked"] } },
+      { priority: { $in:["high","critical"] } }
+    ]
+  });
+});
+
+test("AND binds tighter than OR; NOT and parentheses", async () => {
+  assert.deepEqual(await compile("type = bug OR type = task AND NOT (label:ui)"), {
+    $and: [ { $or: [
+      { type:"bug" },
+      { $and: [ { type:"task" }, { $nor: [ { labels:"ui" } ] } ] }
+    ] } ]
+  });
+});
+
+test("keywords are case-insensitive; keys are upper-cased; quoted strings keep spaces", async () => {
+  assert.deepEqual(await compile('key = bt-12 and label = "needs review"'), {
+    $and: [ { key:"BT-12" }, { labels:"needs review" } ]
+  });
+});
+
+test("me, none, project keys and not in", async () => {
+  assert.deepEqual(await compile("assignee = me AND reporter != none AND project not in (bt)"), {
+    $and: [
+      { assigneeId:me },
+      { reporterId: { $ne:null } },
+      { projectId: { $nin:[proj._id] } }
+    ]
+  });
+});
+
+test("relative dates, numbers and contains", async () => {
+  const before = Date.now();
+  const filter = await compile("created > -7d AND points <= 5 AND title ~ 'a.b'");
+  const [created, points, title] = filter.$and;
+
+  const ms = created.createdAt.$gt.getTime();
+  assert.ok(ms <= before - 7 * 86400e3 + 1000 && ms >= before - 7 * 86400e3 - 1000);
+  assert.deepEqual(points, { storyPoints: { $lte:5 } });
+  assert.deepEqual(title, { title: { $regex:"a\\.b", $options:"i" } });
+});
+
+test("a top-level text clause becomes $text", async () => {
+  assert.deepEqual(await compile('text ~ "login crash" AND status = open'), {
+    $text: { $search:"login crash" },
+    $and: [ { status:"open" } ]
+  });
+  await parseError("text ~ a OR status = open");
+});
+
+test("custom fields are addressed as cf.<key>", async () => {
+  const customFields = [ { key:"browser", type:"single_select", options:["Chrome","Safari"] } ];
+  assert.deepEqual(await compile("cf.browser in (chrome)", { customFields }), {
+    $and: [ { "customFields.browser": { $in:["Chrome"] } } ]
+  });
+});
+
+test("parse errors carry the position", async () => {
+  await parseError("", 0);
+  await parseError("status = open AND", 17);
+  await parseError("bogus = 1", 0);
+  await parseError("status > ", 9);
+  await parseError("status = open priority = high", 14);
+  await parseError('title ~ "open', 8);
+  await parseError("status = open & x", 14);
+  await parseError("priority = urgent", 11);
+  await parseError("created = -7d", 8);
+  await parseError("project = NOPE", 10);
+});
+
+test("over-long queries are refused", async () => {
+  await parseError("status = open AND ".repeat(60) + "status = open", 1000);
+});
@@ -0,0 +1,51 @@
+// server/test/pagination.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { encodeCursor,
+         decodeCursor,
+         buildKeysetFilter,
+         parseLimit } from "../utils/pagination.js";
+
+test("cursor round-trips and is url-safe", () => {
+  const payload = { s:"createdAt", d:-1, v:"2025-01-31T10:00:00.000Z", id:"64f0c0ffee0000000000abcd" };
+  const cursor  = encodeCursor(payload);
+
+  assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(decodeCursor(cursor), payload);
+});
+
+test("tampered or non-object cursors decode to null", () => {
+  assert.equal(decodeCursor("not a cursor!"), null);
+  assert.equal(decodeCursor(Buffer.from("42").toString("base64url")), null);
+  assert.equal(decodeCursor(Buffer.from("null").toString("base64url")), null);
+});
+
+test("keyset filter ascending: past the value, or same value with a later _id", () => {
+  assert.deepEqual(buildKeysetFilter("seq", 1, 10, "id1"), {
+    $or: [ { seq: { $gt:10 } }, { seq:10, _id: { $gt:"id1" } } ]
+  });
+});
+
+test("keyset filter descending also includes null values (they sort last)", () => {
+  assert.deepEqual(buildKeysetFilter("voteCount", -1, 3, "id1"), {
+    $or: [ { voteCount: { $lt:3 } }, { voteCount:3, _id: { $lt:"id1" } }, { voteCount:null } ]
+  });
+});
+
+test("keyset filter after a null value", () => {
+  assert.deepEqual(buildKeysetFilter("dueDate", 1, null, "id1"), {
+    $or: [ { dueDate:null, _id: { $gt:"id1" } }, { dueDate: { $ne:null } } ]
+  });
+  assert.deepEqual(buildKeysetFilter("dueDate", -1, null, "id1"), { dueDate:null, _id: { $lt:"id1" } });
+});
+
+test("parseLimit clamps to 1..max and falls back on junk", () => {
+  assert.equal(parseLimit(undefined), 50);
+  assert.equal(parseLimit("20"), 20);
+  assert.equal(parseLimit("1000"), 200);
+  assert.equal(parseLimit("0"), 50);
+  assert.equal(parseLimit("-5"), 50);
+  assert.equal(parseLimit("abc", 25, 100), 25);
+});
@@ -0,0 +1,59 @@
+// server/test/workflow.test.js
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { validateWorkflow,
+         planTransition,
+         getWipLimit,
+         DEFAULT_WORKFLOW } from "../utils/workflow.js";
+
+const transition = (extra = {}) => ({ name:"start", from:["open"], to:"in_progress", roles:["assignee"], ...extra });
+
+test("the default workflow is valid", () => {
+  assert.equal(validateWorkflow(DEFAULT_WORKFLOW), null);
+});
+
+test("transitions must be a non-empty array", () => {
+  assert.match(validateWorkflow([]), /non-empty array/);
+  assert.match(validateWorkflow(null), /non-empty array/);
+});
+
+test("names are required, at most 40 characters and unique after trimming", () => {
+  assert.match(validateWorkflow([transition({ name:"  " })]), /needs a name/);
+  assert.equal(validateWorkflow([transition({ name:"x".repeat(40) })]), null);
+  assert.match(validateWorkflow([transition({ name:"x".repeat(41) })]), /longer than 40/);
+  assert.equal(validateWorkflow([transition({ name:` ${"x".repeat(40)} ` })]), null); // trimmed length counts
+  assert.equal(
+    validateWorkflow([transition({ name:"resolve" }), transition({ name:"resolve " })]),
+    "Duplicate transition name 'resolve'."
+  );
+});
+
+test("statuses, roles and required fields are checked", () => {
+  assert.match(validateWorkflow([transition({ from:["nope"] })]), /invalid 'from'/);
+  assert.match(validateWorkflow([transition({ to:"nope" })]), /invalid 'to'/);
+  assert.match(validateWorkflow([transition({ from:["open"], to:"open" })]), /status it starts from/);
+  assert.match(validateWorkflow([transition({ roles:["owner"] })]), /invalid roles/);
+  assert.match(validateWorkflow([transition({ requiredFields:["title"] })]), /invalid requiredFields/);
+});
+
+test("planTransition picks an allowed edge and checks roles + required fields", () => {
+  const user    = { _id:"u1", role:"user" };
+  const project = { leadUserId:"lead", members:["u1"] };
+  const issue   = { status:"open", reporterId:"someone", assigneeId:"u1" };
+
+  assert.equal(planTransition({ user, project, issue, to:"in_progress" }).transition.name, "start");
+  assert.equal(planTransition({ user, project, issue, to:"resolved" }).status, 400);           // resolution missing
+  assert.equal(planTransition({ user, project, issue, to:"resolved", fields:{ resolution:"Fixed" } }).transition.name, "resolve");
+  assert.equal(planTransition({ user, project, issue:{ ...issue, assigneeId:null }, to:"in_progress" }).status, 403);
+  assert.equal(planTransition({ user, project, issue, to:"open" }).status, 400);               // no such edge
+  assert.equal(planTransition({ user, project, issue, transitionName:"nope" }).status, 400);
+});
+
+test("getWipLimit reads plain objects and Maps, ignoring non-positive values", () => {
+  assert.equal(getWipLimit({ wipLimits:{ in_progress:3 } }, "in_progress"), 3);
+  assert.equal(getWipLimit({ wipLimits:new Map([["blocked", 2]]) }, "blocked"), 2);
+  assert.equal(getWipLimit({ wipLimits:{ in_progress:0 } }, "in_progress"), null);
+  assert.equal(getWipLimit({}, "open"), null);
+});
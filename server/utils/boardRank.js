@@ -0,0 +1,114 @@
+// server/utils/boardRank.js
+
+/* NOTE: Board order uses fractional ranks: moving an issue between two others gives it the
+ *       midpoint of their ranks, so only the moved issue is written. Issues without a rank yet
+ *       are appended (by priority, then age) the first time their column is used. When two
+ *       neighbours get too close to split again, just that column is re-spaced.
+ */
+
+import Issue from "../models/issueModel.js"; // Issue model
+
+const RANK_STEP = 1024; // gap between ranks when appending / re-spacing
+const MIN_GAP   = 1e-6; // closer than this → re-space the column
+
+// Ranks for 'count' issues placed one after another below 'base' (appending / re-spacing)
+export const spacedRanks = (count, base = 0) => {
+  return Array.from({ length:count }, (_, i) => base + (i + 1) * RANK_STEP);
+};
+
+/* Rank between two neighbours (null = no neighbour on that side; both null → top of an empty column).
+ * Returns { rank }, { respace:true } when they are too close to split, or { error } when out of order.
+ */
+export const rankBetween = (lo, hi) => {
+
+  if (lo !== null && hi !== null && lo >= hi) {
+    return { error:"afterId must be above beforeId in the column." };
+  }
+  if (lo === null && hi === null) { return { rank: RANK_STEP }; }
+  if (lo === null) { return { rank: hi - RANK_STEP }; }
+  if (hi === null) { return { rank: lo + RANK_STEP }; }
+
+  if (hi - lo < MIN_GAP) { // no room left between them
+    return { respace:true };
+  }
+  return { rank: (lo + hi) / 2 };
+};
+
+// Gives every unranked issue in a column a rank after the last ranked one
+export const ensureColumnRanks = async (projectId, status) => {
+
+  const unranked = await Issue.find({ projectId, status, boardRank:null })
+    .sort({ priorityRank:-1, createdAt:1, _id:1 })
+    .select("_id")
+    .lean();
+
+  if (!unranked.length) {
+    return;
+  }
+
+  const last  = await Issue.findOne({ projectId, status, boardRank:{ $ne:null } }).sort({ boardRank:-1 }).select("boardRank").lean();
+  const ranks = spacedRanks(unranked.length, last ? last.boardRank : 0);
+
+  await Issue.bulkWrite(unranked.map((issue, i) => ({
+    updateOne: { filter:{ _id:issue._id }, update:{ $set:{ boardRank: ranks[i] } }, timestamps:false }
+  })), { ordered:false });
+};
+
+// Re-spaces a column (keeping its order) so new ranks fit between any two issues
+const respaceColumn = async (projectId, status) => {
+
+  const issues = await Issue.find({ projectId, status }).sort({ boardRank:1, _id:1 }).select("_id").lean();
+  const ranks  = spacedRanks(issues.length);
+
+  await Issue.bulkWrite(issues.map((issue, i) => ({
+    updateOne: { filter:{ _id:issue._id }, update:{ $set:{ boardRank: ranks[i] } }, timestamps:false }
+  })), { ordered:false });
+};
+
+/* Rank for placing 'issueId' in a column right after 'afterId' and/or right before 'beforeId'
+ * (neither → bottom). Neighbours must already be in that column. Returns { rank } or { error }.
+ */
+export const rankForPosition = async ({ projectId, status, issueId, afterId = null, beforeId = null }, retried = false) => {
+
+  const others = { projectId, status, _id:{ $ne:issueId } }; // the column without the moving issue
+
+  const neighbour = async (id) => id
+    ? Issue.findOne({ ...others, _id:id }).select("_id boardRank").lean()
+    : null;
+
+  const after  = await neighbour(afterId);
+  const before = await neighbour(beforeId);
+
+  if ((afterId && !after) || (beforeId && !before)) {
+    return { error:"afterId/beforeId must be other issues in the target column." };
+  }
+
+  let lo = after ? after.boardRank : null;
+  let hi = before ? before.boardRank : null;
+
+  if (after && !before) { // next issue below 'after' (if any)
+    const next = await Issue.findOne({ ...others, boardRank:{ $gt:lo } }).sort({ boardRank:1 }).select("boardRank").lean();
+    hi = next ? next.boardRank : null;
+  }
+  if (before && !after) { // issue above 'before' (if any)
+    const prev = await Issue.findOne({ ...others, boardRank:{ $lt:hi } }).sort({ boardRank:-1 }).select("boardRank").lean();
+    lo = prev ? prev.boardRank : null;
+  }
+  if (!after && !before) { // bottom of the column
+    const last = await Issue.findOne({ ...others, boardRank:{ $ne:null } }).sort({ boardRank:-1 }).select("boardRank").lean();
+    return { rank: (last ? last.boardRank : 0) + RANK_STEP };
+  }
+
+  const placed = rankBetween(lo, hi);
+
+  if (placed.respace) { // re-space once and try again
+    if (retried) {
+      return { error:"Could not find a free position; please retry." };
+    }
+    await respaceColumn(projectId, status);
+    return rankForPosition({ projectId, status, issueId, afterId, beforeId }, true);
+  }
+  return placed;
+};
+
+export { RANK_STEP };
@@ -0,0 +1,212 @@
+// server/utils/customFields.js
+
+/* NOTE: Per-project custom issue fields. A project stores field definitions
+ *       (project.customFields) and each issue stores values in issue.customFields (key → value).
+ *       Definition: { key, name, type, options, requiredFor:[issue types], defaultValue }
+ *       Types: text, number, date, single_select, multi_select, user
+ */
+
+import mongoose from "mongoose";                   // ObjectId validation
+import { TYPES } from "../models/issueModel.js";   // issue types (for requiredFor)
+
+const FIELD_TYPES = ["text","number","date","single_select","multi_select","user"]; // supported field types
+const KEY_PATTERN = /^[a-z][a-zA-Z0-9_]{0,39}$/;  // e.g. "browser", "storyPoints"
+const MAX_TEXT    = 1000;                          // max chars for text values
+const MAX_OPTIONS = 100;                           // max options for select fields
+
+const isEmpty = (v) => v === undefined || v === null || v === "" || (Array.isArray(v) && !v.length);
+
+const memberIds = (project) => new Set([String(project.leadUserId), ...(project.members || []).map(String)]);
+
+/* Checks one value against its definition.
+ * Returns { value } (normalized, e.g. "3" → 3, option casing fixed) or { error }.
+ */
+export const coerceFieldValue = (def, raw, project) => {
+
+  if (isEmpty(raw)) { // empty = clear the value
+    return { value: null };
+  }
+
+  switch (def.type) {
+
+    case "text": {
+      const value = String(raw).trim();
+      return value.length > MAX_TEXT ? { error:`'${def.name}' must be at most ${MAX_TEXT} characters.` } : { value };
+    }
+
+    case "number": {
+      const value = typeof raw === "number" ? raw : Number(String(raw).trim());
+      return Number.isFinite(value) ? { value } : { error:`'${def.name}' must be a number.` };
+    }
+
+    case "date": {
+      const value = new Date(raw);
+      return isNaN(value.getTime()) ? { error:`'${def.name}' must be a date.` } : { value };
+    }
+
+    case "single_select": {
+      const match = def.options.find(o => o.toLowerCase() === String(raw).toLowerCase());
+      return match ? { value: match } : { error:`'${def.name}' must be one of: ${def.options.join(", ")}.` };
+    }
+
+    case "multi_select": {
+      const list = Array.isArray(raw) ? raw : [raw];
+      const values = [];
+      for (const item of list) {
+        const match = def.options.find(o => o.toLowerCase() === String(item).toLowerCase());
+        if (!match) {
+          return { error:`'${def.name}' values must be among: ${def.options.join(", ")}.` };
+        }
+        if (!values.includes(match)) { values.push(match); }
+      }
+      return { value: values };
+    }
+
+    case "user": {
+      if (!mongoose.Types.ObjectId.isValid(String(raw))) {
+        return { error:`'${def.name}' must be a user id.` };
+      }
+      if (!memberIds(project).has(String(raw))) {
+        return { error:`'${def.name}' must be a project member or the project lead.` };
+      }
+      return { value: new mongoose.Types.ObjectId(String(raw)) };
+    }
+
+    default:
+      return { error:`'${def.name}' has unknown type '${def.type}'.` };
+  }
+};
+
+/* Validates custom field input for an issue.
+ *   input    – values sent by client ({ key: value }), may be undefined
+ *   existing – issue's current values (update) or null (create: defaults apply)
+ * Returns { values } (complete map to store) or { error }.
+ */
+export const resolveCustomFields = ({ project, issueType, input, existing = null }) => {
+
+  const defs = project.customFields || [];
+  const byKey = new Map(defs.map(d => [d.key, d]));
+
+  if (input !== undefined && (input === null || typeof input !== "object" || Array.isArray(input))) {
+    return { error:"customFields must be an object of { fieldKey: value }." };
+  }
+
+  const values = {};
+  if (existing) { // start from current values (only still-defined fields)
+    for (const [k, v] of Object.entries(existing)) {
+      if (byKey.has(k)) { values[k] = v; }
+    }
+  }
+  else { // new issue: defaults first
+    for (const def of defs) {
+      if (!isEmpty(def.defaultValue)) { values[def.key] = def.defaultValue; }
+    }
+  }
+
+  for (const [key, raw] of Object.entries(input || {})) {
+    const def = byKey.get(key);
+    if (!def) {
+      return { error:`Unknown custom field '${key}'.` };
+    }
+    const { value, error } = coerceFieldValue(def, raw, project);
+    if (error) {
+      return { error };
+    }
+    if (value === null) { delete values[key]; } else { values[key] = value; }
+  }
+
+  const missing = defs.filter(d => (d.requiredFor || []).includes(issueType) && isEmpty(values[d.key]));
+  if (missing.length) {
+    return { error:`Required custom field(s) for '${issueType}': ${missing.map(d => d.name).join(", ")}.` };
+  }
+
+  return { values };
+};
+
+/* Validates a field definition (create or full update). Returns { def } or { error }. */
+export const validateFieldDefinition = (body, project, { existingKey = null } = {}) => {
+
+  const { key = existingKey, name, type, options = [], requiredFor = [], defaultValue = null } = body || {};
+
+  if (!KEY_PATTERN.test(String(key || ""))) {
+    return { error:"key must start with a lowercase letter and contain only letters, digits or _ (max 40)." };
+  }
+  if (!existingKey && (project.customFields || []).some(f => f.key === key)) {
+    return { error:`Custom field '${key}' already exists.` };
+  }
+  if (!String(name || "").trim()) {
+    return { error:"name is required." };
+  }
+  if (!FIELD_TYPES.includes(type)) {
+    return { error:`type must be one of: ${FIELD_TYPES.join(", ")}.` };
+  }
+
+  let opts = [];
+  if (type === "single_select" || type === "multi_select") {
+    if (!Array.isArray(options) || !options.length || options.length > MAX_OPTIONS) {
+      return { error:`Select fields need 1-${MAX_OPTIONS} options.` };
+    }
+    opts = [...new Set(options.map(o => String(o).trim()).filter(Boolean))];
+    if (!opts.length) {
+      return { error:"Select options cannot be empty." };
+    }
+  }
+
+  if (!Array.isArray(requiredFor) || requiredFor.some(t => !TYPES.includes(t))) {
+    return { error:`requiredFor must list issue types (${TYPES.join(", ")}).` };
+  }
+
+  const def = { key, name: String(name).trim(), type, options: opts, requiredFor: [...new Set(requiredFor)], defaultValue: null };
+
+  if (!isEmpty(defaultValue)) { // default must itself be valid
+    const { value, error } = coerceFieldValue(def, defaultValue, project);
+    if (error) {
+      return { error:`Invalid defaultValue: ${error}` };
+    }
+    def.defaultValue = value;
+  }
+
+  return { def };
+};
+
+/* Builds Mongo filters from '?cf.<key>=value' query params (comma-separated = any of).
+ * Returns { filter } or { error }.
+ */
+export const buildCustomFieldFilter = (query, project) => {
+
+  const defs   = new Map((project.customFields || []).map(d => [d.key, d]));
+  const filter = {};
+
+  for (const [param, raw] of Object.entries(query || {})) {
+
+    if (!param.startsWith("cf.")) { continue; }
+
+    const key = param.slice(3);
+    const def = defs.get(key);
+    if (!def) {
+      return { error:`Unknown custom field '${key}'.` };
+    }
+
+    const path = `customFields.${key}`;
+
+    if (raw === "none") { // issues without a value
+      filter[path] = null;
+      continue;
+    }
+
+    const parts  = String(raw).split(",").map(s => s.trim()).filter(Boolean);
+    const values = [];
+    for (const part of parts) {
+      const { value, error } = coerceFieldValue(def, def.type === "multi_select" ? [part] : part, project);
+      if (error) {
+        return { error };
+      }
+      values.push(def.type === "multi_select" ? value[0] : value);
+    }
+    filter[path] = values.length === 1 ? values[0] : { $in: values };
+  }
+
+  return { filter };
+};
+
+export { FIELD_TYPES };
@@ -0,0 +1,87 @@
+// server/utils/duplicates.js
+
+/* NOTE: Duplicate detection for new issues. MongoDB's text index (title + description) finds
+ *       candidates; each candidate then gets a 0..1 similarity score from word overlap
+ *       (Dice coefficient), weighted towards the title. Scores >= DUPLICATE_THRESHOLD count as
+ *       near-exact duplicates (used by createIssue together with project.duplicatePolicy).
+ */
+
+import Issue from "../models/issueModel.js"; // Issue model
+
+const DUPLICATE_POLICIES  = ["off","warn","block"]; // project.duplicatePolicy values
+const DUPLICATE_THRESHOLD = 0.85;                   // near-exact duplicate
+const MIN_SIMILARITY      = 0.3;                    // below this a candidate isn't worth showing
+const TITLE_WEIGHT        = 0.7;                    // title vs description share of the score
+
+const STOP_WORDS = new Set([
+  "a","an","and","are","as","at","be","but","by","for","from","has","have","in","is","it","its",
+  "of","on","or","that","the","this","to","was","were","when","with","not","does","doesn","can","cannot"
+]);
+
+const tokenize = (text) => new Set(
+  String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(w => w.length > 1 && !STOP_WORDS.has(w))
+);
+
+const dice = (a, b) => { // 2|A∩B| / (|A|+|B|)
+  if (!a.size && !b.size) {
+    return null; // nothing to compare
+  }
+  let shared = 0;
+  for (const w of a) {
+    if (b.has(w)) { shared++; }
+  }
+  return (2 * shared) / (a.size + b.size);
+};
+
+// Similarity (0..1) between a draft and an existing issue
+export const issueSimilarity = (draft, issue) => {
+
+  const title = dice(tokenize(draft.title), tokenize(issue.title)) ?? 0;
+  const desc  = dice(tokenize(draft.description), tokenize(issue.description));
+
+  const score = desc === null || !String(draft.description || "").trim()
+    ? title                                              // no description to compare → title only
+    : TITLE_WEIGHT * title + (1 - TITLE_WEIGHT) * desc;
+
+  return Math.round(score * 1000) / 1000;
+};
+
+/* Likely duplicates of a draft { title, description } within a project, best first.
+ * Options: limit, excludeId, openOnly (skip resolved/closed issues).
+ */
+export const findSimilarIssues = async ({ projectId, title, description = "", limit = 5, excludeId = null, openOnly = false }) => {
+
+  const search = `${title || ""} ${description || ""}`.trim();
+  if (!search) {
+    return [];
+  }
+
+  const find = { projectId, archivedAt:null, $text: { $search: search } };
+  if (excludeId) { find._id = { $ne: excludeId }; }
+  if (openOnly) { find.status = { $nin: ["resolved","closed"] }; }
+
+  const candidates = await Issue.find(find, { score: { $meta:"textScore" } })
+    .sort({ score: { $meta:"textScore" } })
+    .limit(Math.min(limit * 5, 50)) // re-ranked below
+    .select("_id key title description status priority createdAt")
+    .lean();
+
+  return candidates
+    .map(c => ({
+      _id: c._id,
+      key: c.key,
+      title: c.title,
+      status: c.status,
+      priority: c.priority,
+      createdAt: c.createdAt,
+      similarity: issueSimilarity({ title, description }, c)
+    }))
+    .filter(c => c.similarity >= MIN_SIMILARITY)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+};
+
+export { DUPLICATE_POLICIES, DUPLICATE_THRESHOLD };
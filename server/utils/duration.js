@@ -0,0 +1,67 @@
+// server/utils/duration.js
+
+/* NOTE: Durations are stored as whole MINUTES. Clients may send either a number of minutes
+ *       or a string like "1w 2d 3h 30m" (1w = 5d, 1d = 8h — working time, not wall-clock time).
+ */
+
+const UNIT_MINUTES = { w:5*8*60, d:8*60, h:60, m:1 }; // minutes per unit
+const MAX_MINUTES  = 100*UNIT_MINUTES.w;             // sanity cap (100 working weeks)
+
+// Parses minutes or "1d 4h 30m" → { minutes } | { error }. null clears the value (→ { minutes:null }).
+export const parseDuration = (raw, { allowNull = false } = {}) => {
+
+  if (raw === null && allowNull) {
+    return { minutes:null };
+  }
+
+  let minutes;
+
+  if (typeof raw === "number") {
+    minutes = raw;
+  }
+  else if (typeof raw === "string" && raw.trim()) {
+    const text = raw.trim().toLowerCase();
+    if (/^\d+$/.test(text)) { // plain number string = minutes
+      minutes = Number(text);
+    }
+    else {
+      const parts = text.split(/\s+/);
+      minutes = 0;
+      for (const part of parts) {
+        const m = /^(\d+(?:\.\d+)?)([wdhm])$/.exec(part);
+        if (!m) {
+          return { error:`Invalid duration '${raw}' (use e.g. "1d 2h 30m" or minutes).` };
+        }
+        minutes += Number(m[1]) * UNIT_MINUTES[m[2]];
+      }
+    }
+  }
+  else {
+    return { error:"Duration must be minutes or a string like \"2h 30m\"." };
+  }
+
+  minutes = Math.round(minutes);
+  if (!Number.isFinite(minutes) || minutes < 0 || minutes > MAX_MINUTES) {
+    return { error:"Duration is out of range." };
+  }
+  return { minutes };
+};
+
+// Minutes → "1d 2h 30m" (for display)
+export const formatDuration = (minutes) => {
+
+  if (minutes === null || minutes === undefined) {
+    return null;
+  }
+  if (minutes === 0) {
+    return "0m";
+  }
+
+  let rest = minutes;
+  const out = [];
+  for (const [unit, size] of Object.entries(UNIT_MINUTES)) {
+    const n = Math.floor(rest / size);
+    if (n) { out.push(`${n}${unit}`); rest -= n*size; }
+  }
+  return out.join(" ");
+};
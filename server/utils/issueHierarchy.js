@@ -0,0 +1,63 @@
+// server/utils/issueHierarchy.js
+
+/* NOTE: Helpers for parent/child issues (epic → story/task/bug → subtask).
+ *       Like comments, every issue keeps an 'ancestors' array (root first), so a whole
+ *       subtree can be read with one query ({ ancestors: id }) and loops are easy to spot.
+ */
+
+import mongoose from "mongoose";
+import Issue, { CHILD_TYPES } from "../models/issueModel.js"; // Issue model + allowed parent → child types
+
+const DONE_STATUSES = ["resolved","closed"]; // statuses that count as "done" in progress rollups
+
+// Returns an error message if 'parent' can't hold an issue of 'childType' (or null if fine)
+export const checkParentAssignment = ({ issueId = null, childType, projectId, parent }) => {
+
+  if (!parent) {
+    return "Parent issue not found.";
+  }
+  if (parent.archivedAt) { // a trashed parent with live children could never be purged
+    return "Parent issue is in the trash.";
+  }
+  if (String(parent.projectId) !== String(projectId)) {
+    return "Parent issue must belong to the same project.";
+  }
+  if (issueId && String(parent._id) === String(issueId)) {
+    return "An issue cannot be its own parent.";
+  }
+  if (issueId && (parent.ancestors || []).some(a => String(a) === String(issueId))) { // parent is one of our descendants
+    return "Parent issue is a descendant of this issue (would create a loop).";
+  }
+  if (!(CHILD_TYPES[parent.type] || []).includes(childType)) {
+    const allowed = CHILD_TYPES[parent.type] || [];
+    return allowed.length
+      ? `A '${parent.type}' can only contain: ${allowed.join(", ")}.`
+      : `A '${parent.type}' cannot have child issues.`;
+  }
+  return null;
+};
+
+// After an issue's ancestors change, rewrite its descendants' chains to match (single update)
+export const rebaseDescendants = async (issueId, newAncestors) => {
+
+  const toId = (id) => new mongoose.Types.ObjectId(String(id)); // pipeline updates aren't cast by Mongoose
+  issueId      = toId(issueId);
+  newAncestors = newAncestors.map(toId);
+
+  await Issue.updateMany(
+    { ancestors: issueId },
+    [ { $set: { ancestors: { $concatArrays: [
+        newAncestors,                                            // issue's new chain...
+        { $slice: [ "$ancestors",                                // ...followed by the part from the issue down
+                    { $indexOfArray: [ "$ancestors", issueId ] },
+                    { $size: "$ancestors" } ] }
+    ] } } } ]
+  );
+};
+
+// Number of live descendants (all levels) that aren't done yet (trashed ones don't block)
+export const countOpenDescendants = async (issueId) => {
+  return Issue.countDocuments({ ancestors: issueId, status: { $nin: DONE_STATUSES }, archivedAt: null });
+};
+
+export { DONE_STATUSES };
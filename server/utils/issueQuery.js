@@ -0,0 +1,466 @@
+// server/utils/issueQuery.js
+
+/* NOTE: Small query language for searching issues, e.g.
+ *
+ *   status in (open, blocked) AND priority >= high AND label:backend AND assignee:me AND created > -7d
+ *
+ *   - Clauses:   <field> <op> <value>   |   <field> in (<v>, <v>)   |   <field> not in (<v>, ...)
+ *   - Operators: = (or :)  !=  >  >=  <  <=  ~ (contains / full-text)
+ *   - Combine:   AND, OR, NOT and parentheses (AND binds tighter than OR)
+ *   - Values:    bare words, "quoted strings", relative dates (-7d, -12h, -2w, -30m, +2d), YYYY-MM-DD, today,
+ *                me (current user), none (no value)
+ *   - Custom fields are addressed as cf.<key> (e.g. cf.storyPoints >= 5, cf.browser in (Chrome, Safari))
+ *
+ * The query is tokenized → parsed into a tree → compiled into a Mongo filter. Values are ONLY ever
+ * used as equality/range/$in operands (never as operators or raw regexes), so the filter is safe.
+ * Parse errors carry the character position (0-based) where the problem was found.
+ */
+
+import mongoose from "mongoose";
+import User from "../models/user.js";
+import { STATUSES, PRIORITIES, SEVERITIES, TYPES, SLA_STATES } from "../models/issueModel.js";
+
+export class QueryParseError extends Error { // Error with the position in the query string
+  constructor(message, position){
+    super(`${message} (at position ${position})`);
+    this.name = "QueryParseError";
+    this.position = position;
+  }
+}
+
+const ENUM_OPS    = ["=",":","!=","in","not in"];             // operators for plain value fields
+const ORDERED_OPS = [...ENUM_OPS,">",">=","<","<="];           // + comparisons for ordered enums
+const DATE_OPS    = [">",">=","<","<="];                       // date fields only compare
+const TEXT_OPS    = ["~",":"];                                 // contains / full-text
+
+const FIELDS = { // query field → how it's stored and what it accepts
+  status:   { kind:"enum",     path:"status",     values:STATUSES,   ops:ORDERED_OPS },
+  priority: { kind:"enum",     path:"priority",   values:PRIORITIES, ops:ORDERED_OPS },
+  severity: { kind:"enum",     path:"severity",   values:SEVERITIES, ops:ORDERED_OPS },
+  type:     { kind:"enum",     path:"type",       values:TYPES,      ops:ENUM_OPS },
+  label:    { kind:"string",   path:"labels",     ops:ENUM_OPS },
+  key:      { kind:"string",   path:"key",        ops:ENUM_OPS,      upper:true },
+  assignee: { kind:"user",     path:"assigneeId", ops:ENUM_OPS },
+  reporter: { kind:"user",     path:"reporterId", ops:ENUM_OPS },
+  watcher:  { kind:"user",     path:"watchers",   ops:ENUM_OPS },
+  project:  { kind:"project",  path:"projectId",  ops:ENUM_OPS },
+  created:  { kind:"date",     path:"createdAt",  ops:DATE_OPS },
+  updated:  { kind:"date",     path:"updatedAt",  ops:DATE_OPS },
+  closed:   { kind:"date",     path:"closedAt",   ops:DATE_OPS },
+  due:      { kind:"date",     path:"dueDate",    ops:DATE_OPS },
+  sla:      { kind:"enum",     path:"sla.state",  values:SLA_STATES, ops:ENUM_OPS },
+  points:   { kind:"number",   path:"storyPoints", ops:ORDERED_OPS },
+  title:    { kind:"contains", path:"title",      ops:TEXT_OPS },
+  text:     { kind:"fulltext",                    ops:TEXT_OPS },
+};
+FIELDS.labels   = FIELDS.label;   // aliases
+FIELDS.watchers = FIELDS.watcher;
+
+const customFieldDef = (def) => { // project custom field definition → query field definition
+  const path = `customFields.${def.key}`;
+  switch (def.type) {
+    case "number":        return { kind:"number", path, ops:ORDERED_OPS };
+    case "date":          return { kind:"date",   path, ops:DATE_OPS };
+    case "user":          return { kind:"user",   path, ops:ENUM_OPS };
+    case "single_select":
+    case "multi_select":  return { kind:"option", path, ops:ENUM_OPS, values:def.options };
+    default:              return { kind:"string", path, ops:ENUM_OPS };
+  }
+};
+
+const MAX_QUERY_LENGTH = 1000; // keep parsing cheap
+
+// ------------------------------------------------------------------------------
+// Tokenizer
+// ------------------------------------------------------------------------------
+
+const WORD_CHAR = /[A-Za-z0-9_\-.@+\/]/; // characters allowed in bare words (incl. -7d, 2024-01-01, BT-12)
+
+const tokenize = (input) => {
+
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+
+    const ch = input[i];
+
+    if (/\s/.test(ch)) { i++; continue; } // skip whitespace
+
+    if (ch === "(" || ch === ")" || ch === ",") { // punctuation
+      tokens.push({ type:ch, pos:i });
+      i++;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") { // quoted string (backslash escapes the next char)
+      const start = i;
+      let value = "";
+      i++;
+      while (i < input.length && input[i] !== ch) {
+        if (input[i] === "\\" && i + 1 < input.length) { i++; }
+        value += input[i];
+        i++;
+      }
+      if (i >= input.length) {
+        throw new QueryParseError("Unterminated string", start);
+      }
+      i++; // closing quote
+      tokens.push({ type:"string", value, pos:start });
+      continue;
+    }
+
+    const two = input.slice(i, i + 2); // operators (two-char first)
+    if ([">=","<=","!="].includes(two)) {
+      tokens.push({ type:"op", value:two, pos:i });
+      i += 2;
+      continue;
+    }
+    if ([">","<","=",":","~"].includes(ch)) {
+      tokens.push({ type:"op", value:ch, pos:i });
+      i++;
+      continue;
+    }
+
+    if (WORD_CHAR.test(ch)) { // bare word or keyword
+      const start = i;
+      while (i < input.length && WORD_CHAR.test(input[i])) { i++; }
+      const value = input.slice(start, i);
+      const upper = value.toUpperCase();
+      tokens.push(["AND","OR","NOT","IN"].includes(upper)
+        ? { type:upper, value, pos:start }
+        : { type:"word", value, pos:start });
+      continue;
+    }
+
+    throw new QueryParseError(`Unexpected character '${ch}'`, i);
+  }
+
+  tokens.push({ type:"eof", pos:input.length });
+  return tokens;
+};
+
+// ------------------------------------------------------------------------------
+// Parser (recursive descent)  →  { type:"and"|"or", args } | { type:"not", arg } | clause
+// ------------------------------------------------------------------------------
+
+const parse = (input, customFields = []) => {
+
+  const tokens = tokenize(input);
+  let at = 0;
+
+  const peek = () => tokens[at];
+  const take = () => tokens[at++];
+  const describe = (t) => t.type === "eof" ? "end of query" : `'${t.value ?? t.type}'`;
+
+  const expect = (type, what) => {
+    const t = peek();
+    if (t.type !== type) {
+      throw new QueryParseError(`Expected ${what} but found ${describe(t)}`, t.pos);
+    }
+    return take();
+  };
+
+  const parseValue = () => {
+    const t = peek();
+    if (t.type !== "word" && t.type !== "string") {
+      throw new QueryParseError(`Expected a value but found ${describe(t)}`, t.pos);
+    }
+    take();
+    return { value:t.value, pos:t.pos };
+  };
+
+  const parseClause = () => {
+
+    const fieldTok = expect("word", "a field name");
+    const isCustom = /^cf\./i.test(fieldTok.value);                    // cf.<key> keeps its key's case
+    const field    = isCustom ? `cf.${fieldTok.value.slice(3)}` : fieldTok.value.toLowerCase();
+    const custom   = isCustom && customFields.find(f => f.key === fieldTok.value.slice(3));
+    const def      = isCustom ? (custom && customFieldDef(custom)) : FIELDS[field];
+
+    if (!def) {
+      throw new QueryParseError(`Unknown field '${fieldTok.value}'`, fieldTok.pos);
+    }
+
+    let op;
+    const opTok = peek();
+
+    if (opTok.type === "op") {
+      op = take().value;
+    }
+    else if (opTok.type === "IN") {
+      take();
+      op = "in";
+    }
+    else if (opTok.type === "NOT" && tokens[at + 1]?.type === "IN") {
+      take(); take();
+      op = "not in";
+    }
+    else {
+      throw new QueryParseError(`Expected an operator after '${fieldTok.value}' but found ${describe(opTok)}`, opTok.pos);
+    }
+
+    if (!def.ops.includes(op)) {
+      throw new QueryParseError(`Operator '${op}' is not supported for '${field}' (use ${def.ops.join(", ")})`, opTok.pos);
+    }
+
+    let values;
+    if (op === "in" || op === "not in") { // ( v, v, ... )
+      expect("(", "'('");
+      values = [parseValue()];
+      while (peek().type === ",") {
+        take();
+        values.push(parseValue());
+      }
+      expect(")", "')' or ','");
+    }
+    else {
+      values = [parseValue()];
+    }
+
+    return { type:"clause", field, def, op, values, pos:fieldTok.pos };
+  };
+
+  const parsePrimary = () => {
+    if (peek().type === "(") {
+      take();
+      const inner = parseOr();
+      expect(")", "')'");
+      return inner;
+    }
+    return parseClause();
+  };
+
+  const parseNot = () => {
+    if (peek().type === "NOT") {
+      const t = take();
+      return { type:"not", arg:parseNot(), pos:t.pos };
+    }
+    return parsePrimary();
+  };
+
+  const parseAnd = () => {
+    const args = [parseNot()];
+    while (peek().type === "AND") {
+      take();
+      args.push(parseNot());
+    }
+    return args.length === 1 ? args[0] : { type:"and", args };
+  };
+
+  function parseOr(){ // hoisted: parsePrimary recurses into it
+    const args = [parseAnd()];
+    while (peek().type === "OR") {
+      take();
+      args.push(parseAnd());
+    }
+    return args.length === 1 ? args[0] : { type:"or", args };
+  }
+
+  const tree = parseOr();
+  const rest = peek();
+
+  if (rest.type !== "eof") {
+    throw new QueryParseError(`Unexpected ${describe(rest)} (did you forget AND/OR?)`, rest.pos);
+  }
+  return tree;
+};
+
+// ------------------------------------------------------------------------------
+// Compiler  (tree → Mongo filter)
+// ------------------------------------------------------------------------------
+
+const UNIT_MS = { m:60e3, h:3600e3, d:86400e3, w:7*86400e3 };
+const NONE    = ["none","null","empty"];
+
+const parseDate = ({ value, pos }) => {
+
+  const rel = /^([-+])(\d+)([mhdw])$/i.exec(value); // relative: -7d (past), +2d (future, e.g. due dates)
+  if (rel) {
+    return new Date(Date.now() + (rel[1] === "-" ? -1 : 1) * Number(rel[2]) * UNIT_MS[rel[3].toLowerCase()]);
+  }
+  if (value.toLowerCase() === "today") {
+    const d = new Date();
+    d.setHours(0,0,0,0);
+    return d;
+  }
+  if (/^\d{4}-\d{2}-\d{2}([T ][\d:.]+Z?)?$/.test(value) && !isNaN(Date.parse(value))) {
+    return new Date(value);
+  }
+  throw new QueryParseError(`Invalid date '${value}' (use -7d, +2d, today or YYYY-MM-DD)`, pos);
+};
+
+const resolveUsers = async (values, ctx) => { // me / none / ObjectId / username → ids (null for none)
+
+  const names = values
+    .filter(v => !NONE.includes(v.value.toLowerCase()) && v.value.toLowerCase() !== "me" && !mongoose.Types.ObjectId.isValid(v.value))
+    .map(v => v.value);
+
+  const found = names.length
+    ? await User.find({ username: { $in: names } }).select("_id username").lean()
+    : [];
+  const byName = new Map(found.map(u => [u.username, u._id]));
+
+  return values.map(v => {
+    const lower = v.value.toLowerCase();
+    if (lower === "me")           { return ctx.user._id; }
+    if (NONE.includes(lower))     { return null; }
+    if (mongoose.Types.ObjectId.isValid(v.value)) { return new mongoose.Types.ObjectId(v.value); }
+    if (byName.has(v.value))      { return byName.get(v.value); }
+    throw new QueryParseError(`Unknown user '${v.value}'`, v.pos);
+  });
+};
+
+const resolveProjects = (values, ctx) => { // project keys → ids (only among projects visible to caller)
+  const byKey = new Map((ctx.projects || []).map(p => [String(p.key).toUpperCase(), p._id]));
+  return values.map(v => {
+    const id = byKey.get(v.value.toUpperCase());
+    if (!id) {
+      throw new QueryParseError(`Unknown project '${v.value}'`, v.pos);
+    }
+    return id;
+  });
+};
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const compileClause = async (node, ctx) => {
+
+  const { def, op, values, field } = node;
+  let resolved;
+
+  switch (def.kind) {
+
+    case "enum": {
+      resolved = values.map(v => {
+        const val = v.value.toLowerCase();
+        if (!def.values.includes(val)) {
+          throw new QueryParseError(`Invalid ${field} '${v.value}' (use ${def.values.join(", ")})`, v.pos);
+        }
+        return val;
+      });
+
+      if ([">",">=","<","<="].includes(op)) { // ordered comparison → set of allowed enum values
+        const idx = def.values.indexOf(resolved[0]);
+        const keep = def.values.filter((_, i) =>
+          op === ">" ? i > idx : op === ">=" ? i >= idx : op === "<" ? i < idx : i <= idx);
+        return { [def.path]: { $in: keep } };
+      }
+      break;
+    }
+
+    case "string":
+      resolved = values.map(v => def.upper ? v.value.toUpperCase() : v.value);
+      break;
+
+    case "option":
+      resolved = values.map(v => {
+        const match = def.values.find(o => o.toLowerCase() === v.value.toLowerCase());
+        if (!match) {
+          throw new QueryParseError(`Invalid ${field} '${v.value}' (use ${def.values.join(", ")})`, v.pos);
+        }
+        return match;
+      });
+      break;
+
+    case "number": {
+      resolved = values.map(v => {
+        const n = Number(v.value);
+        if (v.value.trim() === "" || !Number.isFinite(n)) {
+          throw new QueryParseError(`Expected a number for ${field} but found '${v.value}'`, v.pos);
+        }
+        return n;
+      });
+      const mongoOp = { ">":"$gt", ">=":"$gte", "<":"$lt", "<=":"$lte" }[op];
+      if (mongoOp) {
+        return { [def.path]: { [mongoOp]: resolved[0] } };
+      }
+      break;
+    }
+
+    case "user":
+      resolved = await resolveUsers(values, ctx);
+      break;
+
+    case "project":
+      resolved = resolveProjects(values, ctx);
+      break;
+
+    case "date": {
+      const mongoOp = { ">":"$gt", ">=":"$gte", "<":"$lt", "<=":"$lte" }[op];
+      return { [def.path]: { [mongoOp]: parseDate(values[0]) } };
+    }
+
+    case "contains":
+      return { [def.path]: { $regex: escapeRegex(values[0].value), $options:"i" } };
+
+    default:
+      throw new QueryParseError(`Field '${field}' cannot be used here`, node.pos);
+  }
+
+  if (op === "=" || op === ":") { return { [def.path]: resolved[0] }; }
+  if (op === "!=")              { return { [def.path]: { $ne: resolved[0] } }; }
+  if (op === "in")              { return { [def.path]: { $in: resolved } }; }
+  return { [def.path]: { $nin: resolved } }; // not in
+};
+
+const compileNode = async (node, ctx) => {
+
+  if (node.type === "clause") {
+    if (node.def.kind === "fulltext") { // $text may only appear once, at the top level
+      throw new QueryParseError("'text' can only be combined with AND at the top level of a query", node.pos);
+    }
+    return compileClause(node, ctx);
+  }
+  if (node.type === "not") {
+    return { $nor: [ await compileNode(node.arg, ctx) ] };
+  }
+
+  const parts = [];
+  for (const arg of node.args) {
+    parts.push(await compileNode(arg, ctx));
+  }
+  return node.type === "and" ? { $and: parts } : { $or: parts };
+};
+
+/* Parses + compiles a query string into a Mongo filter.
+ * ctx = { user, projects:[{ _id, key }], customFields:[definitions] }  (projects = those the caller can see)
+ * Throws QueryParseError (with .position) on invalid input.
+ */
+export const compileIssueQuery = async (input, ctx) => {
+
+  const text = String(input ?? "");
+
+  if (!text.trim()) {
+    throw new QueryParseError("Query is empty", 0);
+  }
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw new QueryParseError(`Query is longer than ${MAX_QUERY_LENGTH} characters`, MAX_QUERY_LENGTH);
+  }
+
+  const tree = parse(text, ctx.customFields || []);
+
+  const topLevel = tree.type === "and" ? tree.args : [tree];              // top-level AND terms
+  const textTerms = topLevel.filter(n => n.type === "clause" && n.def.kind === "fulltext");
+  const others    = topLevel.filter(n => !textTerms.includes(n));
+
+  if (textTerms.length > 1) {
+    throw new QueryParseError("Only one 'text' clause is allowed", textTerms[1].pos);
+  }
+
+  const filter = {};
+
+  if (textTerms.length) { // full-text search uses the title/description text index
+    filter.$text = { $search: textTerms[0].values[0].value };
+  }
+
+  const parts = [];
+  for (const node of others) {
+    parts.push(await compileNode(node, ctx));
+  }
+  if (parts.length) {
+    filter.$and = parts;
+  }
+
+  return filter;
+};
@@ -0,0 +1,111 @@
+// server/utils/issueTemplates.js
+
+/* NOTE: Issue templates (see models/issueTemplateModel.js). A template pre-fills a new issue:
+ *       fields the reporter sends win over the template's, except labels and watchers, which
+ *       are combined. Template watchers who have since left the project are skipped.
+ */
+
+import mongoose from "mongoose";                                          // For ObjectId validation
+import { TYPES, PRIORITIES, SEVERITIES } from "../models/issueModel.js";  // issue enums
+import { normalizeLabels } from "./labels.js";                            // label catalog rules
+
+const MAX_TEMPLATE_DESCRIPTION = 20000; // chars
+
+const projectPeople = (project) => new Set([ String(project.leadUserId), ...(project.members || []).map(String) ]);
+
+/* Validates template fields for create ('existing' = null) or update (partial input).
+ * Returns { values } (only the fields to set) or { error }.
+ */
+export const validateTemplateInput = (input, project, existing = null) => {
+
+  const { name, type, title, description, priority, severity, labels, watchers } = input || {};
+  const values = {};
+
+  if (!existing || name !== undefined) {
+    if (typeof name !== "string" || !name.trim()) {
+      return { error:"name is required." };
+    }
+    if (name.trim().length > 80) {
+      return { error:"name must be at most 80 characters." };
+    }
+    values.name = name.trim();
+  }
+  if (!existing || type !== undefined) {
+    if (!TYPES.includes(type)) {
+      return { error:`type must be one of: ${TYPES.join(", ")}.` };
+    }
+    values.type = type;
+  }
+  if (title !== undefined) {
+    if (typeof title !== "string" || title.length > 200) {
+      return { error:"title must be a string of at most 200 characters." };
+    }
+    values.title = title;
+  }
+  if (description !== undefined) {
+    if (typeof description !== "string" || description.length > MAX_TEMPLATE_DESCRIPTION) {
+      return { error:`description must be a string of at most ${MAX_TEMPLATE_DESCRIPTION} characters.` };
+    }
+    values.description = description;
+  }
+  if (priority !== undefined) {
+    if (!PRIORITIES.includes(priority)) {
+      return { error:"Invalid priority." };
+    }
+    values.priority = priority;
+  }
+  if (severity !== undefined) {
+    if (!SEVERITIES.includes(severity)) {
+      return { error:"Invalid severity." };
+    }
+    values.severity = severity;
+  }
+  if (labels !== undefined) {
+    const normalized = normalizeLabels(labels, project);
+    if (normalized.error) {
+      return { error:normalized.error };
+    }
+    values.labels = normalized.labels;
+  }
+  if (watchers !== undefined) {
+    if (!Array.isArray(watchers)) {
+      return { error:"watchers must be array." };
+    }
+    const people = projectPeople(project);
+    for (const id of watchers) {
+      if (!mongoose.Types.ObjectId.isValid(String(id))) {
+        return { error:`Invalid user id: ${id}` };
+      }
+      if (!people.has(String(id))) {
+        return { error:"Default watchers must be project members or the project lead." };
+      }
+    }
+    values.watchers = [...new Set(watchers.map(String))];
+  }
+
+  return { values };
+};
+
+/* Request body for createIssue with the template's defaults filled in.
+ * Returns the merged body or { error } (e.g. the body asks for another issue type).
+ */
+export const applyIssueTemplate = (template, body, project) => {
+
+  if (body.type !== undefined && body.type !== template.type) {
+    return { error:`Template '${template.name}' creates '${template.type}' issues, not '${body.type}'.` };
+  }
+
+  const people = projectPeople(project);
+  const templateWatchers = (template.watchers || []).map(String).filter(id => people.has(id)); // still on the project
+
+  return {
+    ...body,
+    type: template.type,
+    title: body.title ?? (template.title || undefined),
+    description: body.description ?? template.description ?? "",
+    priority: body.priority ?? template.priority,
+    severity: body.severity ?? template.severity,
+    labels: Array.isArray(body.labels) ? [...(template.labels || []), ...body.labels] : (body.labels ?? [...(template.labels || [])]),
+    watchers: Array.isArray(body.watchers) ? [...new Set([...templateWatchers, ...body.watchers.map(String)])] : (body.watchers ?? templateWatchers)
+  };
+};
@@ -0,0 +1,69 @@
+// server/utils/labels.js
+
+/* NOTE: Helpers for issue labels and the per-project label catalog (project.labels).
+ *       Labels that match a catalog entry (case-insensitively) are stored with the catalog's
+ *       spelling, so "ui" and "UI" end up as one label. If project.restrictLabels is on,
+ *       labels outside the catalog are rejected.
+ */
+
+const MAX_LABEL_LENGTH = 50; // max chars per label
+const MAX_LABELS       = 30; // max labels per issue
+const COLOR_PATTERN    = /^#[0-9a-fA-F]{6}$/; // e.g. "#ff8800"
+
+// Validates + canonicalizes issue labels. Returns { labels } or { error }.
+export const normalizeLabels = (input, project) => {
+
+  if (!Array.isArray(input)) {
+    return { error:"labels must be array." };
+  }
+
+  const catalog = new Map((project.labels || []).map(l => [l.name.toLowerCase(), l.name])); // lower → catalog spelling
+  const labels  = [];
+  const seen    = new Set();
+
+  for (const raw of input) {
+
+    if (typeof raw !== "string" || !raw.trim()) {
+      return { error:"labels must be non-empty strings." };
+    }
+
+    const name = raw.trim();
+    if (name.length > MAX_LABEL_LENGTH) {
+      return { error:`Label '${name.slice(0, 20)}…' is longer than ${MAX_LABEL_LENGTH} characters.` };
+    }
+
+    const canonical = catalog.get(name.toLowerCase());
+    if (!canonical && project.restrictLabels) {
+      return { error:`Label '${name}' is not in this project's label catalog.` };
+    }
+
+    const label = canonical || name;
+    if (!seen.has(label.toLowerCase())) { // de-duplicate case-insensitively
+      seen.add(label.toLowerCase());
+      labels.push(label);
+    }
+  }
+
+  if (labels.length > MAX_LABELS) {
+    return { error:`An issue can have at most ${MAX_LABELS} labels.` };
+  }
+  return { labels };
+};
+
+// Validates a catalog entry (name/color/description). Returns { label } or { error }.
+export const validateCatalogLabel = ({ name, color = "#888888", description = "" } = {}) => {
+
+  if (typeof name !== "string" || !name.trim()) {
+    return { error:"name is required." };
+  }
+  if (name.trim().length > MAX_LABEL_LENGTH) {
+    return { error:`name must be at most ${MAX_LABEL_LENGTH} characters.` };
+  }
+  if (!COLOR_PATTERN.test(String(color))) {
+    return { error:"color must be a hex color like #ff8800." };
+  }
+  if (String(description).length > 200) {
+    return { error:"description must be at most 200 characters." };
+  }
+  return { label: { name: name.trim(), color: String(color).toLowerCase(), description: String(description).trim() } };
+};
@@ -0,0 +1,185 @@
+// server/utils/markdown.js
+
+/* NOTE: Comment bodies and issue descriptions are Markdown (GitHub flavour, single newlines kept).
+ *       The stored text stays the source; HTML is rendered when it is read:
+ *         - "@username" becomes a mention if that user is a member of the issue's project
+ *         - "PROJ-123" becomes a link to the issue if the reader can see that issue's project
+ *         - anything else that looks like one stays plain text (also inside code spans/blocks)
+ *       Raw HTML in the source is shown as text, images become plain links, and the result goes
+ *       through sanitize-html with a small allow-list, so the output is safe to insert as-is.
+ */
+
+import { Marked } from "marked";           // Markdown → HTML
+import sanitizeHtml from "sanitize-html";  // allow-list HTML sanitizer
+
+import Issue from "../models/issueModel.js";     // Issue model (issue references)
+import Project from "../models/projectModel.js"; // Project model (which issues the reader can see)
+import User from "../models/user.js";            // User model (mentions)
+import { projectAccessFilter } from "../middleware/rbac.js"; // projects a user can see
+
+const MENTION_START   = /(^|[^A-Za-z0-9_.@-])@[A-Za-z0-9_]/; // "@" not inside an e-mail address or word
+const MENTION_TOKEN   = /^@([A-Za-z0-9_](?:[A-Za-z0-9_.-]{0,28}[A-Za-z0-9_])?)(?![A-Za-z0-9_@-])/;
+const ISSUE_REF_START = /(^|[^A-Za-z0-9_-])[A-Z0-9]{2,10}-\d+(?![A-Za-z0-9_])/;
+const ISSUE_REF_TOKEN = /^([A-Z0-9]{2,10}-\d+)(?![A-Za-z0-9_-])/;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&#39;");
+
+const startIndex = (pattern) => (src) => { // where a mention/reference may begin (lets the text tokenizer stop there)
+  const m = pattern.exec(src);
+  return m ? m.index + m[1].length : undefined;
+};
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "p","br","hr","h1","h2","h3","h4","h5","h6","blockquote","pre","code","em","strong","del",
+    "ul","ol","li","a","span","table","thead","tbody","tr","th","td","input"
+  ],
+  allowedAttributes: {
+    a:     ["href","title","class","rel"],
+    span:  ["class","data-user-id"],
+    code:  ["class"],
+    ol:    ["start"],
+    th:    ["align"],
+    td:    ["align"],
+    input: ["type","checked","disabled"] // task list boxes
+  },
+  allowedClasses: {
+    a:    ["issue-ref"],
+    span: ["mention"],
+    code: ["language-*"]
+  },
+  allowedSchemes: ["http","https","mailto"],
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", { rel:"nofollow noopener noreferrer" }),
+    input: (tagName, attribs) => attribs.type === "checkbox" // nothing but read-only checkboxes
+      ? { tagName, attribs: { type:"checkbox", disabled:"", ...(attribs.checked !== undefined ? { checked:"" } : {}) } }
+      : { tagName:"span", attribs:{} }
+  }
+};
+
+const md = new Marked({
+  gfm: true,
+  breaks: true, // a single newline is a line break (as typed in a comment box)
+  extensions: [
+    {
+      name: "mention",
+      level: "inline",
+      start: startIndex(MENTION_START),
+      tokenizer(src) {
+        const m = MENTION_TOKEN.exec(src);
+        return m ? { type:"mention", raw:m[0], username:m[1] } : undefined;
+      },
+      renderer(token) {
+        const user = token.resolved;
+        return user
+          ? `<span class="mention" data-user-id="${escapeHtml(user._id)}">@${escapeHtml(user.username)}</span>`
+          : escapeHtml(token.raw);
+      }
+    },
+    {
+      name: "issueRef",
+      level: "inline",
+      start: startIndex(ISSUE_REF_START),
+      tokenizer(src) {
+        const m = ISSUE_REF_TOKEN.exec(src);
+        return m ? { type:"issueRef", raw:m[0], key:m[1] } : undefined;
+      },
+      renderer(token) {
+        const issue = token.resolved;
+        return issue
+          ? `<a class="issue-ref" href="/issues/by-key/${encodeURIComponent(issue.key)}" title="${escapeHtml(issue.title)}">${escapeHtml(token.key)}</a>`
+          : escapeHtml(token.raw);
+      }
+    }
+  ],
+  renderer: {
+    html(token) { // raw HTML is shown, never interpreted
+      return escapeHtml(token.text);
+    },
+    image(token) { // no remote images (tracking pixels); keep them as links
+      return `<a href="${escapeHtml(token.href)}">${escapeHtml(token.text || token.href)}</a>`;
+    }
+  }
+});
+
+/* Lexes Markdown once. Returns { tokens, usernames, issueKeys } — the mention and issue-reference
+ * candidates outside code, for resolving before rendering.
+ */
+export const scanMarkdown = (source) => {
+
+  const tokens    = md.lexer(String(source || ""));
+  const usernames = new Set();
+  const issueKeys = new Set();
+
+  md.walkTokens(tokens, (token) => {
+    if (token.type === "mention")  { usernames.add(token.username); }
+    if (token.type === "issueRef") { issueKeys.add(token.key); }
+  });
+
+  return { tokens, usernames:[...usernames], issueKeys:[...issueKeys] };
+};
+
+// Renders scanned tokens with resolved references (users: username → { _id, username }, issues: key → { key, title })
+export const renderTokens = (tokens, { users = new Map(), issues = new Map() } = {}) => {
+
+  md.walkTokens(tokens, (token) => {
+    if (token.type === "mention")  { token.resolved = users.get(token.username) || null; }
+    if (token.type === "issueRef") { token.resolved = issues.get(token.key) || null; }
+  });
+
+  return sanitizeHtml(md.parser(tokens), SANITIZE_OPTIONS);
+};
+
+// Mentioned usernames that belong to the project's members (lead included) → Map username → { _id, username }
+export const resolveMentions = async (usernames, project) => {
+
+  if (!usernames.length || !project) {
+    return new Map();
+  }
+  const members = [ project.leadUserId, ...(project.members || []) ];
+  const users   = await User.find({ username: { $in:usernames }, _id: { $in:members } }).select("_id username").lean();
+  return new Map(users.map(u => [u.username, { _id:u._id, username:u.username }]));
+};
+
+// Referenced issue keys the user can see (live issues in accessible projects) → Map key → { _id, key, title }
+export const resolveIssueRefs = async (keys, user) => {
+
+  if (!keys.length || !user) {
+    return new Map();
+  }
+  const find = { key: { $in:keys }, archivedAt:null };
+  if (user.role !== "admin") {
+    const projects = await Project.find(projectAccessFilter(user)).select("_id").lean();
+    find.projectId = { $in:projects.map(p => p._id) };
+  }
+  const issues = await Issue.find(find).select("_id key title").lean();
+  return new Map(issues.map(i => [i.key, i]));
+};
+
+/* Renders several Markdown texts of ONE project for a reader, resolving all mentions and issue
+ * references in two queries. Returns the HTML strings in the same order.
+ */
+export const renderMarkdownBatch = async (sources, { project, user }) => {
+
+  const scanned = sources.map(scanMarkdown);
+
+  const [users, issues] = await Promise.all([
+    resolveMentions([...new Set(scanned.flatMap(s => s.usernames))], project),
+    resolveIssueRefs([...new Set(scanned.flatMap(s => s.issueKeys))], user)
+  ]);
+
+  return scanned.map(s => renderTokens(s.tokens, { users, issues }));
+};
+
+// Resolved mentions of one text (user ids), as stored on comments
+export const extractMentions = async (source, project) => {
+  const { usernames } = scanMarkdown(source);
+  const users = await resolveMentions(usernames, project);
+  return [...users.values()].map(u => u._id);
+};
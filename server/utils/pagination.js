@@ -0,0 +1,51 @@
+// server/utils/pagination.js
+
+/* NOTE: Helpers for opaque cursor (keyset) pagination.
+ *       Instead of skip/limit, the client gets back a 'nextCursor' that encodes the sort value
+ *       and _id of the last item it received. The next page then starts strictly AFTER that item,
+ *       so new documents inserted meanwhile never shift or duplicate results across pages.
+ */
+
+export const encodeCursor = (payload) => { // Object → opaque url-safe string
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+export const decodeCursor = (cursor) => { // Opaque string → object (or null if tampered/invalid)
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    return parsed && typeof parsed === "object" ? parsed : null;
+  }
+  catch {
+    return null;
+  }
+};
+
+/* Builds the filter that selects documents AFTER (value, id) for a sort on { [field]:dir, _id:dir }.
+ * MongoDB sorts null/missing values before everything else, so they need their own branches.
+ */
+export const buildKeysetFilter = (field, dir, value, id) => {
+
+  const op = dir === 1 ? "$gt" : "$lt"; // ascending → greater than; descending → less than
+
+  if (value === null || value === undefined) { // last item had no value for the sort field
+    return dir === 1
+      ? { $or: [ { [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } } ] } // rest of nulls, then all values
+      : { [field]: null, _id: { $lt: id } };                                        // nulls come last when descending
+  }
+
+  const branches = [
+    { [field]: { [op]: value } },          // strictly past the last value
+    { [field]: value, _id: { [op]: id } }, // same value → tie-break on _id
+  ];
+
+  if (dir === -1) { // when descending, null/missing values follow every real value
+    branches.push({ [field]: null });
+  }
+
+  return { $or: branches };
+};
+
+export const parseLimit = (raw, fallback = 50, max = 200) => { // Parses ?limit= into 1..max
+  const n = parseInt(raw ?? String(fallback), 10);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, max) : fallback;
+};
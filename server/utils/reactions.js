@@ -0,0 +1,66 @@
+// server/utils/reactions.js
+
+/* NOTE: Toggling reactions/votes (models/reactionModel.js) and keeping the denormalized counts on
+ *       issues and comments in step. The reaction row is the source of truth: a toggle first tries
+ *       to delete the user's reaction, and only creates one if there was nothing to delete, so
+ *       double clicks can't count twice (the unique index catches races).
+ */
+
+import Reaction, { UPVOTE } from "../models/reactionModel.js"; // Reaction model
+import Issue from "../models/issueModel.js";                   // Issue model
+import Comment from "../models/commentModel.js";               // Comment model
+import User from "../models/user.js";                          // User model (for "who reacted")
+
+const countUpdate = (kind, delta) => kind === UPVOTE // which counter a kind moves
+  ? { $inc: { voteCount:delta } }
+  : { $inc: { [`reactionCounts.${kind}`]:delta } };
+
+/* Adds the user's reaction of 'kind' to a target, or removes it if present.
+ * target: { type:"issue"|"comment", id, issueId }. Returns { active } (true = now reacted).
+ */
+export const toggleReaction = async ({ target, userId, kind }) => {
+
+  const key   = { targetType:target.type, targetId:target.id, userId, kind };
+  const Model = target.type === "issue" ? Issue : Comment;
+
+  const removed = await Reaction.deleteOne(key);
+  if (removed.deletedCount) {
+    await Model.updateOne({ _id:target.id }, countUpdate(kind, -1));
+    return { active:false };
+  }
+
+  try {
+    await Reaction.create({ ...key, issueId:target.issueId });
+  }
+  catch (err) {
+    if (err?.code === 11000) { // a parallel request added it first
+      return { active:true };
+    }
+    throw err;
+  }
+  await Model.updateOne({ _id:target.id }, countUpdate(kind, 1));
+  return { active:true };
+};
+
+/* Who reacted to a target, grouped by kind: { [kind]: { count, users:[{ _id, username }], me } } */
+export const listReactions = async ({ targetType, targetId, userId, kind = null, limit = 100 }) => {
+
+  const find = { targetType, targetId, ...(kind ? { kind } : {}) };
+  const rows = await Reaction.find(find)
+    .sort({ createdAt:1, _id:1 })
+    .populate({ path:"userId", select:"username", model:User })
+    .lean();
+
+  const grouped = {};
+  for (const r of rows) {
+    const group = grouped[r.kind] || (grouped[r.kind] = { count:0, users:[], me:false });
+    group.count++;
+    if (group.users.length < limit) {
+      group.users.push(r.userId ? { _id:r.userId._id, username:r.userId.username } : null);
+    }
+    if (r.userId && String(r.userId._id) === String(userId)) {
+      group.me = true; // current user reacted with this kind
+    }
+  }
+  return grouped;
+};
@@ -0,0 +1,101 @@
+// server/utils/revision.js
+
+/* NOTE: Optimistic concurrency. Issues and projects carry a 'revision' number that goes up on
+ *       every write (save() or update query), sent to clients as the ETag header ("<revision>").
+ *       A PATCH with If-Match is only applied if the resource is still at that revision;
+ *       otherwise the client gets 412 with the current state. Requests without If-Match behave
+ *       as before (last write wins).
+ *       Bookkeeping fields listed in 'ignore' (e.g. an issue's boardRank or commentCount) don't
+ *       bump the revision, so unrelated activity doesn't invalidate a client's copy.
+ */
+
+const OPERATORS_WITH_PATHS = ["$set","$unset","$inc","$push","$addToSet","$pull","$pullAll","$pop","$rename","$min","$max","$mul","$currentDate","$setOnInsert"];
+
+const rootPath = (path) => String(path).split(".")[0];
+
+const updatedRoots = (update) => { // top-level fields an update document touches
+  const roots = new Set();
+  for (const [key, value] of Object.entries(update || {})) {
+    if (OPERATORS_WITH_PATHS.includes(key)) {
+      Object.keys(value || {}).forEach(p => roots.add(rootPath(p)));
+    }
+    else if (!key.startsWith("$")) { // plain { field: value } = $set
+      roots.add(rootPath(key));
+    }
+  }
+  return roots;
+};
+
+// Schema plugin: adds 'revision' and bumps it on writes (except ones touching only 'ignore' fields)
+export const revisionPlugin = (schema, { ignore = [] } = {}) => {
+
+  const ignored = new Set([...ignore, "revision", "updatedAt", "createdAt"]);
+  const counts  = (roots) => [...roots].some(r => !ignored.has(r));
+
+  schema.add({
+    revision:{ // optimistic concurrency counter (ETag)
+      type:Number,
+      default:0
+    }
+  });
+
+  schema.pre("save", function(next){
+    if (!this.isNew && counts(new Set(this.modifiedPaths().map(rootPath)))) {
+      this.revision = (this.revision ?? 0) + 1;
+    }
+    next();
+  });
+
+  schema.pre(["updateOne","updateMany","findOneAndUpdate"], function(next){
+    const update = this.getUpdate();
+
+    if (Array.isArray(update)) { // aggregation pipeline update
+      update.push({ $set: { revision: { $add: [ { $ifNull: ["$revision", 0] }, 1 ] } } });
+    }
+    else if (update && counts(updatedRoots(update)) && !updatedRoots(update).has("revision")) {
+      update.$inc = { ...(update.$inc || {}), revision:1 };
+    }
+    next();
+  });
+};
+
+export const etagFor = (doc) => `"${doc?.revision ?? 0}"`; // strong ETag from the revision
+
+export const setEtag = (res, doc) => res.set("ETag", etagFor(doc));
+
+/* Reads If-Match. Returns null (header absent or "*"), { revisions:[n, ...] } or { error }. */
+export const parseIfMatch = (req) => {
+
+  const header = req.get("If-Match");
+  if (header === undefined || header.trim() === "*") {
+    return null;
+  }
+
+  const revisions = [];
+  for (const part of header.split(",")) {
+    const m = part.trim().match(/^(?:W\/)?"(\d+)"$/);
+    if (!m) {
+      return { error:`Invalid If-Match header (expected an ETag like "3").` };
+    }
+    revisions.push(Number(m[1]));
+  }
+  return { revisions };
+};
+
+// True if the doc is at one of the If-Match revisions (or no If-Match was sent)
+export const matchesIfMatch = (ifMatch, doc) => !ifMatch || ifMatch.revisions.includes(doc?.revision ?? 0);
+
+// Filter that only matches the doc while it's still at its current revision (docs written before revisions existed have none)
+export const revisionFilter = (doc) => {
+  const rev = doc?.revision ?? 0;
+  return { revision: rev === 0 ? { $in:[0, null] } : rev };
+};
+
+// 412 with the current state, e.g. sendPreconditionFailed(res, "issue", currentIssue)
+export const sendPreconditionFailed = (res, name, current) => {
+  setEtag(res, current);
+  return res.status(412).json({
+    error:`The ${name} was changed by someone else (If-Match doesn't match the current revision). Reload and retry.`,
+    [name]: current
+  });
+};
@@ -0,0 +1,176 @@
+// server/utils/sla.js
+
+/* NOTE: SLA tracking. A project may define policies like
+ *         { name:"Critical 24h", priorities:["critical"], severities:[], resolveWithinHours:24, atRiskPercent:75 }
+ *       The first policy matching an issue's priority + severity applies (empty list = any value).
+ *       The clock runs from creation until the issue is resolved/closed, and is PAUSED while the
+ *       issue is 'blocked' (worked out from statusHistory, so reopening restarts it).
+ *       An issue's own dueDate is checked too; the worse of the two results becomes issue.sla.state.
+ */
+
+import { PRIORITIES, SEVERITIES } from "../models/issueModel.js"; // Allowed priority/severity values
+import { DONE_STATUSES } from "./issueHierarchy.js";               // statuses that stop the clock
+
+const PAUSED_STATUSES = ["blocked"];          // statuses that pause the clock
+const DUE_SOON_MS     = 24 * 60 * 60 * 1000;  // due date within 24h → at risk
+const STATE_RANK      = ["none","met","ok","at_risk","breached"]; // worse state wins
+
+export const findSlaPolicy = (project, issue) => { // First policy matching the issue (or null)
+  return (project?.slaPolicies || []).find(p =>
+    (!p.priorities?.length || p.priorities.includes(issue.priority)) &&
+    (!p.severities?.length || p.severities.includes(issue.severity))
+  ) || null;
+};
+
+/* Time the SLA clock has run for an issue, replaying statusHistory from creation.
+ * Returns { elapsedMs, running, doneAt }.
+ */
+export const measureSlaClock = (issue, now = new Date()) => {
+
+  const hops = [...(issue.statusHistory || [])].sort((a, b) => new Date(a.at) - new Date(b.at));
+  const runs = (s) => !PAUSED_STATUSES.includes(s) && !DONE_STATUSES.includes(s);
+
+  let status  = hops.length ? hops[0].from : issue.status; // status the issue was created with
+  let since   = new Date(issue.createdAt || now).getTime();
+  let elapsed = 0;
+  let doneAt  = null;
+
+  for (const hop of hops) {
+    const at = new Date(hop.at).getTime();
+    if (runs(status)) {
+      elapsed += Math.max(0, at - since);
+    }
+    status = hop.to;
+    since  = at;
+    doneAt = DONE_STATUSES.includes(status) ? new Date(at) : null;
+  }
+
+  if (runs(status)) {
+    elapsed += Math.max(0, now.getTime() - since);
+  }
+  if (DONE_STATUSES.includes(issue.status) && !doneAt) { // e.g. imported already closed
+    doneAt = issue.closedAt ? new Date(issue.closedAt) : null;
+  }
+
+  return { elapsedMs: elapsed, running: runs(status), doneAt };
+};
+
+/* Works out an issue's SLA snapshot (what goes into issue.sla) at 'now'.
+ * 'previous' is the stored snapshot, used to keep the first breach time.
+ */
+export const evaluateSla = (issue, project, now = new Date(), previous = issue.sla) => {
+
+  const done   = DONE_STATUSES.includes(issue.status);
+  const policy = findSlaPolicy(project, issue);
+  const clock  = measureSlaClock(issue, now);
+
+  let state      = "none";
+  let breachedBy = null;
+  let deadline   = null;
+
+  const sla = { policy:null, limitMinutes:null, elapsedMinutes:null };
+
+  if (policy) {
+    const limitMs = policy.resolveWithinHours * 60 * 60 * 1000;
+
+    sla.policy         = policy.name;
+    sla.limitMinutes   = Math.round(limitMs / 60000);
+    sla.elapsedMinutes = Math.floor(clock.elapsedMs / 60000);
+
+    if (clock.elapsedMs > limitMs) {
+      state = "breached";
+      breachedBy = "policy";
+    }
+    else if (done) {
+      state = "met";
+    }
+    else {
+      state = clock.elapsedMs >= limitMs * (policy.atRiskPercent ?? 75) / 100 ? "at_risk" : "ok";
+    }
+    if (clock.running && state !== "breached") { // projected deadline (only meaningful while the clock runs)
+      deadline = new Date(now.getTime() + limitMs - clock.elapsedMs);
+    }
+  }
+
+  if (issue.dueDate) { // the team's own deadline
+    const due = new Date(issue.dueDate);
+    const finishedAt = done ? clock.doneAt : null;
+
+    let dueState;
+    if (done) {
+      dueState = finishedAt && finishedAt > due ? "breached" : "met";
+    }
+    else if (now > due) {
+      dueState = "breached";
+    }
+    else {
+      dueState = due.getTime() - now.getTime() <= DUE_SOON_MS ? "at_risk" : "ok";
+    }
+
+    if (STATE_RANK.indexOf(dueState) > STATE_RANK.indexOf(state)) {
+      state = dueState;
+      breachedBy = dueState === "breached" ? "due_date" : breachedBy;
+    }
+    if (!done && (!deadline || due < deadline)) {
+      deadline = due;
+    }
+  }
+
+  return {
+    ...sla,
+    state,
+    deadline,
+    breachedBy: state === "breached" ? breachedBy : null,
+    breachedAt: state === "breached" ? (previous?.state === "breached" && previous.breachedAt ? previous.breachedAt : now) : null,
+    checkedAt: now
+  };
+};
+
+/* Issue (lean) with sla.elapsedMinutes brought up to 'now'. The stored value is only as fresh as
+ * sla.checkedAt, since the monitor doesn't rewrite issues just because the clock ticked.
+ */
+export const withCurrentSla = (issue, now = new Date()) => {
+
+  if (!issue?.sla?.policy || !issue.createdAt) { // no policy → nothing is counted
+    return issue;
+  }
+  const { elapsedMs } = measureSlaClock(issue, now);
+  return { ...issue, sla: { ...issue.sla, elapsedMinutes: Math.floor(elapsedMs / 60000) } };
+};
+
+export const validateSlaPolicies = (policies) => { // Validates a list of SLA policies; returns error string or null
+
+  if (!Array.isArray(policies)) {
+    return "policies must be an array.";
+  }
+
+  const names = new Set();
+
+  for (const p of policies) {
+
+    if (!p || typeof p.name !== "string" || !p.name.trim()) {
+      return "Each policy needs a name.";
+    }
+    if (names.has(p.name.trim())) {
+      return `Duplicate policy name '${p.name}'.`;
+    }
+    names.add(p.name.trim());
+
+    if (p.priorities !== undefined && (!Array.isArray(p.priorities) || p.priorities.some(x => !PRIORITIES.includes(x)))) {
+      return `Policy '${p.name}' has invalid priorities (allowed: ${PRIORITIES.join(", ")}).`;
+    }
+    if (p.severities !== undefined && (!Array.isArray(p.severities) || p.severities.some(x => !SEVERITIES.includes(x)))) {
+      return `Policy '${p.name}' has invalid severities (allowed: ${SEVERITIES.join(", ")}).`;
+    }
+    if (typeof p.resolveWithinHours !== "number" || !(p.resolveWithinHours >= 0.25)) {
+      return `Policy '${p.name}' needs resolveWithinHours >= 0.25.`;
+    }
+    if (p.atRiskPercent !== undefined && (typeof p.atRiskPercent !== "number" || p.atRiskPercent < 1 || p.atRiskPercent > 99)) {
+      return `Policy '${p.name}' has an invalid atRiskPercent (1-99).`;
+    }
+  }
+
+  return null;
+};
+
+export { PAUSED_STATUSES };
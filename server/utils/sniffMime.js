@@ -0,0 +1,88 @@
+// server/utils/sniffMime.js
+
+/* NOTE: Content sniffing for uploads. The browser-supplied Content-Type can't be trusted,
+ *       so the first bytes of the file are checked against known signatures ("magic numbers").
+ */
+
+import fsp from "fs/promises"; // read the start of uploaded temp files
+
+const SIGNATURES = [ // [mime, byte offset, signature bytes]
+  ["image/png",        0, [0x89,0x50,0x4E,0x47,0x0D,0x0A,0x1A,0x0A]],
+  ["image/jpeg",       0, [0xFF,0xD8,0xFF]],
+  ["image/gif",        0, [0x47,0x49,0x46,0x38]],           // GIF8
+  ["image/webp",       8, [0x57,0x45,0x42,0x50]],           // RIFF....WEBP
+  ["application/pdf",  0, [0x25,0x50,0x44,0x46,0x2D]],      // %PDF-
+  ["application/zip",  0, [0x50,0x4B,0x03,0x04]],           // PK.. (also docx/xlsx/pptx)
+  ["application/gzip", 0, [0x1F,0x8B]],
+];
+
+const ZIP_BASED = [ // declared types whose content is a zip container
+  "application/zip",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+];
+
+const DEFAULT_ALLOWED_MIME_TYPES = [ // used when a project doesn't set its own list (no html/svg: XSS risk)
+  "image/png","image/jpeg","image/gif","image/webp",
+  "application/pdf","application/zip","application/gzip",
+  "text/plain","text/csv","text/markdown","application/json","text/x-log",
+  ...ZIP_BASED.slice(1),
+];
+
+const TEXT_TYPES = ["text/plain","text/csv","text/markdown","application/json","text/x-log"]; // plain-text uploads
+
+const looksLikeText = (buf) => { // no NUL bytes and decodes as UTF-8
+  if (buf.includes(0)) { return false; }
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(buf, { stream: true }); // stream: a character cut off at the end of the sniffed bytes isn't an error
+    return true;
+  }
+  catch {
+    return false;
+  }
+};
+
+/* Sniffs a file and reconciles it with the declared type.
+ * Returns the content type to store: it always comes from the bytes, the declared
+ * type is only used to pick between equivalent types (e.g. zip vs .docx, text/plain vs text/csv).
+ */
+export const sniffContentType = async (filePath, declared = "") => {
+
+  const handle = await fsp.open(filePath, "r");
+  let head;
+  try {
+    const buf = Buffer.alloc(512);
+    const { bytesRead } = await handle.read(buf, 0, 512, 0);
+    head = buf.subarray(0, bytesRead);
+  }
+  finally {
+    await handle.close();
+  }
+
+  const type  = String(declared || "").split(";")[0].trim().toLowerCase();
+  const match = SIGNATURES.find(([, offset, sig]) => sig.every((b, i) => head[offset + i] === b));
+
+  if (match) { // binary format recognized
+    const sniffed = match[0];
+    if (sniffed === "application/zip" && ZIP_BASED.includes(type)) { return type; } // e.g. .docx
+    return sniffed;
+  }
+
+  if (!head.length || looksLikeText(head)) { // plain text: keep declared text type if it is one
+    return TEXT_TYPES.includes(type) ? type : "text/plain";
+  }
+
+  return "application/octet-stream"; // unknown binary
+};
+
+// Does a content type match any allowed pattern ("image/png", "image/*", "*/*")?
+export const isMimeAllowed = (mime, allowed = []) => {
+  return allowed.some(pattern => {
+    if (pattern === "*/*") { return true; }
+    if (pattern.endsWith("/*")) { return mime.startsWith(pattern.slice(0, -1)); }
+    return mime === pattern;
+  });
+};
+
+export { DEFAULT_ALLOWED_MIME_TYPES };
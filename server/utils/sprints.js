@@ -0,0 +1,103 @@
+// server/utils/sprints.js
+
+/* NOTE: Helpers for sprints. Burndown is rebuilt from each issue's statusHistory, so it can be
+ *       computed at any time (also for past sprints) without storing daily snapshots.
+ *       Issues carried over to a later sprint keep the old sprint in issue.pastSprintIds,
+ *       so the old sprint's burndown and velocity still include them.
+ */
+
+import mongoose from "mongoose";                    // For ObjectId validation
+import Sprint from "../models/sprintModel.js";      // Sprint model
+import { DONE_STATUSES } from "./issueHierarchy.js"; // statuses that count as "done"
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Validates a sprint id for an issue of 'projectId'. Returns { sprintId } (null = backlog) or { error }.
+export const checkSprintAssignment = async (sprintId, projectId) => {
+
+  if (sprintId === null || sprintId === "") {
+    return { sprintId:null };
+  }
+  if (!mongoose.Types.ObjectId.isValid(String(sprintId))) {
+    return { error:"Invalid sprintId." };
+  }
+
+  const sprint = await Sprint.findById(sprintId).select("projectId state").lean();
+
+  if (!sprint || String(sprint.projectId) !== String(projectId)) {
+    return { error:"Sprint not found in this project." };
+  }
+  if (sprint.state === "closed") {
+    return { error:"Cannot add issues to a closed sprint." };
+  }
+  return { sprintId:sprint._id };
+};
+
+// Validates story points (null clears). Returns { points } or { error }.
+export const parseStoryPoints = (raw) => {
+  if (raw === null) {
+    return { points:null };
+  }
+  const n = Number(raw);
+  if (raw === "" || typeof raw === "boolean" || !Number.isFinite(n) || n < 0 || n > 1000) {
+    return { error:"storyPoints must be a number between 0 and 1000 (or null)." };
+  }
+  return { points:n };
+};
+
+// Status an issue had at time 't' (replays statusHistory)
+export const statusAt = (issue, t) => {
+
+  const hops = [...(issue.statusHistory || [])].sort((a, b) => new Date(a.at) - new Date(b.at));
+  if (!hops.length) {
+    return issue.status;
+  }
+
+  let status = hops[0].from; // status before the first change
+  for (const hop of hops) {
+    if (new Date(hop.at) > t) {
+      break;
+    }
+    status = hop.to;
+  }
+  return status;
+};
+
+const isDoneAt = (issue, t) => DONE_STATUSES.includes(statusAt(issue, t));
+
+/* Daily remaining story points for a sprint: one entry per sprint day with the points still open
+ * at the END of that day (days after today stay null). Also returns the ideal straight line.
+ */
+export const computeBurndown = (sprint, issues, now = new Date()) => {
+
+  const start      = new Date(sprint.startedAt || sprint.startDate);
+  const plannedEnd = new Date(sprint.endDate);
+  const closedAt   = sprint.closedAt ? new Date(sprint.closedAt) : null;
+
+  const total = issues.reduce((sum, i) => sum + (i.storyPoints || 0), 0);
+  const days  = Math.max(1, Math.ceil((plannedEnd - start) / DAY_MS)); // planned length for the ideal line
+
+  const series = [];
+  for (let d = 0; d < days; d++) {
+    const dayStart = new Date(start.getTime() + d * DAY_MS);
+    const dayEnd   = new Date(Math.min(dayStart.getTime() + DAY_MS, plannedEnd.getTime()));
+
+    const point = {
+      date: dayStart.toISOString().slice(0, 10),
+      ideal: Math.max(0, Math.round((total - total * (d + 1) / days) * 100) / 100),
+      remaining: null
+    };
+
+    if (dayStart <= now) { // past days + today (so far)
+      const cutoff = new Date(Math.min(dayEnd.getTime(), now.getTime(), closedAt ? closedAt.getTime() : Infinity));
+      point.remaining = issues
+        .filter(i => !isDoneAt(i, cutoff))
+        .reduce((sum, i) => sum + (i.storyPoints || 0), 0);
+    }
+    series.push(point);
+  }
+
+  return { totalPoints: total, days: series };
+};
+
+export { DAY_MS };
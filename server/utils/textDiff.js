@@ -0,0 +1,75 @@
+// server/utils/textDiff.js
+
+/* NOTE: Tiny line-based diff used by the issue history so long descriptions are stored
+ *       as a patch instead of two full copies. A patch is an array of operations:
+ *         { keep:n }        → copy the next n lines of the old text
+ *         { del:n }         → skip the next n lines of the old text
+ *         { add:[lines] }   → insert these lines
+ *       applyLineDiff(oldText, patch) rebuilds the new text.
+ */
+
+const MAX_LCS_CELLS = 4_000_000; // beyond this the middle section is treated as fully replaced
+
+export const diffLines = (oldText = "", newText = "") => {
+
+  const a = String(oldText).split("\n");
+  const b = String(newText).split("\n");
+
+  let start = 0; // skip common prefix
+  while (start < a.length && start < b.length && a[start] === b[start]) { start++; }
+
+  let endA = a.length, endB = b.length; // skip common suffix
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  const ops = [];
+  const push = (op) => { // merge consecutive operations of the same kind
+    const last = ops[ops.length - 1];
+    if (last && op.keep && last.keep) { last.keep += op.keep; return; }
+    if (last && op.del && last.del)   { last.del += op.del; return; }
+    if (last && op.add && last.add)   { last.add.push(...op.add); return; }
+    ops.push(op);
+  };
+
+  if (start) { push({ keep:start }); }
+
+  if (midA.length * midB.length > MAX_LCS_CELLS) { // too big to align → replace block
+    if (midA.length) { push({ del:midA.length }); }
+    if (midB.length) { push({ add:[...midB] }); }
+  }
+  else { // longest-common-subsequence table, filled from the end
+    const n = midA.length, m = midB.length;
+    const lcs = Array.from({ length:n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0, j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && midA[i] === midB[j]) { push({ keep:1 }); i++; j++; }
+      else if (j < m && (i === n || lcs[i][j + 1] >= lcs[i + 1][j])) { push({ add:[midB[j]] }); j++; }
+      else { push({ del:1 }); i++; }
+    }
+  }
+
+  if (a.length - endA) { push({ keep:a.length - endA }); }
+
+  return ops;
+};
+
+export const applyLineDiff = (oldText = "", ops = []) => { // rebuild new text from old text + patch
+
+  const a = String(oldText).split("\n");
+  const out = [];
+  let i = 0;
+
+  for (const op of ops) {
+    if (op.keep) { out.push(...a.slice(i, i + op.keep)); i += op.keep; }
+    else if (op.del) { i += op.del; }
+    else if (op.add) { out.push(...op.add); }
+  }
+  return out.join("\n");
+};
@@ -0,0 +1,69 @@
+// server/utils/trash.js
+
+/* NOTE: Issue trash. Deleting an issue only sets issue.archivedAt ("in the trash"); its comments,
+ *       work logs, links, attachments and history stay attached to it, so a restore brings all of
+ *       it back. Trashed issues are read-only (see rejectArchivedIssue) and hidden from lists unless
+ *       includeArchived=true. After TRASH_RETENTION_DAYS (default 30) they are purged for good by
+ *       jobs/trashPurge.js, or earlier by a lead/admin.
+ */
+
+import Issue from "../models/issueModel.js";              // Issue model
+import Comment from "../models/commentModel.js";          // Comment model
+import WorkLog from "../models/workLogModel.js";          // WorkLog model
+import IssueLink from "../models/issueLinkModel.js";      // IssueLink model
+import IssueHistory from "../models/issueHistoryModel.js"; // IssueHistory model
+import Reaction from "../models/reactionModel.js";         // Reaction model
+import { getStorage, attachmentKey } from "../storage/index.js"; // attachment files
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const trashRetentionDays = () => { // TRASH_RETENTION_DAYS (0 = never purge automatically)
+  const days = Number(process.env.TRASH_RETENTION_DAYS ?? DEFAULT_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+export const purgeDueAt = (archivedAt, days = trashRetentionDays()) => { // when a trashed issue gets purged (or null)
+  return archivedAt && days > 0 ? new Date(new Date(archivedAt).getTime() + days * DAY_MS) : null;
+};
+
+// Live (non-trashed) comment count of an issue — what issue.commentCount should say
+export const countIssueComments = (issueId) => Comment.countDocuments({ issueId, deleted:false });
+
+/* Permanently deletes a trashed issue and everything hanging off it. The caller checks that it has
+ * no child issues. Attachment files that fail to delete are reported, not fatal.
+ */
+export const purgeIssue = async (issue) => {
+
+  const ids = { issueId:issue._id };
+
+  const [comments, workLogs, links, history] = await Promise.all([
+    Comment.deleteMany(ids),
+    WorkLog.deleteMany(ids),
+    IssueLink.deleteMany({ $or: [ { sourceId:issue._id }, { targetId:issue._id } ] }),
+    IssueHistory.deleteMany(ids),
+    Reaction.deleteMany(ids) // on the issue and on its comments
+  ]);
+  await Issue.deleteOne({ _id:issue._id });
+
+  const failedFiles = [];
+  for (const a of issue.attachments || []) {
+    try {
+      await getStorage().remove(attachmentKey(a.fileId));
+    }
+    catch (err) {
+      failedFiles.push(a.fileId);
+    }
+  }
+
+  return {
+    comments: comments.deletedCount,
+    workLogs: workLogs.deletedCount,
+    links: links.deletedCount,
+    history: history.deletedCount,
+    attachments: (issue.attachments || []).length - failedFiles.length,
+    failedFiles
+  };
+};
+
+export { DAY_MS as TRASH_DAY_MS };
@@ -0,0 +1,220 @@
+// server/utils/workflow.js
+
+/* NOTE: Helpers for the per-project issue workflow (state machine).
+ *       A project may store its own list of transitions (project.workflow);
+ *       if it doesn't, DEFAULT_WORKFLOW below is used instead.
+ *       Each transition looks like:
+ *         { name, from:[statuses], to:status, roles:[roles], requiredFields:[fields] }
+ */
+
+import Issue, { STATUSES } from "../models/issueModel.js";      // Issue model + allowed issue statuses
+import { findOpenBlockers } from "../models/issueLinkModel.js"; // open "blocks" links (for enforceBlockers)
+import { countOpenDescendants } from "./issueHierarchy.js";     // open children (for closing parents)
+
+const WORKFLOW_ROLES  = ["admin","lead","assignee","reporter","member"]; // Roles a transition can be granted to
+const WORKFLOW_FIELDS = ["resolution","comment"];                        // Fields a transition can require
+const MAX_TRANSITION_NAME = 40;                                          // same as the schema's maxlength (projectModel.js)
+
+const DEFAULT_WORKFLOW = [ // Used by every project that hasn't defined its own workflow
+  { name:"start",   from:["open","blocked"],                   to:"in_progress", roles:["admin","lead","assignee"],             requiredFields:[] },
+  { name:"block",   from:["open","in_progress"],               to:"blocked",     roles:["admin","lead","assignee"],             requiredFields:[] },
+  { name:"unblock", from:["blocked"],                          to:"open",        roles:["admin","lead","assignee"],             requiredFields:[] },
+  { name:"resolve", from:["open","in_progress","blocked"],     to:"resolved",    roles:["admin","lead","assignee"],             requiredFields:["resolution"] },
+  { name:"close",   from:["resolved"],                         to:"closed",      roles:["admin","lead","reporter"],             requiredFields:[] },
+  { name:"reject",  from:["open","in_progress","blocked"],     to:"closed",      roles:["admin","lead"],                        requiredFields:["resolution"] },
+  { name:"reopen",  from:["resolved","closed"],                to:"open",        roles:["admin","lead","reporter","assignee"],  requiredFields:[] },
+];
+
+export const getProjectWorkflow = (project) => { // Returns the project's transitions (or the default ones)
+  const custom = project?.workflow;
+  return Array.isArray(custom) && custom.length ? custom : DEFAULT_WORKFLOW;
+};
+
+export const getIssueRoles = (user, project, issue) => { // Computes which workflow roles a user holds on an issue
+
+  if (!user || !project || !issue) { // no roles if any input is missing
+    return [];
+  }
+
+  const uid   = String(user._id);
+  const roles = [];
+
+  if (user.role === "admin") { roles.push("admin"); }
+  if (String(project.leadUserId) === uid) { roles.push("lead"); }
+  if ((project.members || []).some(m => String(m) === uid)) { roles.push("member"); }
+  if (String(issue.reporterId) === uid) { roles.push("reporter"); }
+  if (issue.assigneeId && String(issue.assigneeId) === uid) { roles.push("assignee"); }
+
+  return roles;
+};
+
+export const listAllowedTransitions = (user, project, issue) => { // Transitions the user may take from the issue's current status
+
+  const roles = getIssueRoles(user, project, issue);
+
+  return getProjectWorkflow(project)
+    .filter(t => t.from.includes(issue.status))          // must start from current status
+    .filter(t => t.roles.some(role => roles.includes(role))) // user must hold one of the allowed roles
+    .map(t => ({ name:t.name, to:t.to, requiredFields:t.requiredFields || [] }));
+};
+
+/* Works out whether a requested transition is valid, WITHOUT changing the issue.
+ * Returns { transition } when allowed or { status, error, ...extra } when rejected
+ * so callers (single transition, bulk, board moves) can respond however they need.
+ */
+export const planTransition = ({ user, project, issue, to, transitionName, fields = {} }) => {
+
+  const workflow = getProjectWorkflow(project);
+
+  if (transitionName !== undefined && transitionName !== null) { // client picked a named transition
+    const named = workflow.find(t => t.name === transitionName);
+    if (!named) {
+      return { status:400, error:`Unknown transition '${transitionName}'.` };
+    }
+    if (to && named.to !== to) {
+      return { status:400, error:`Transition '${transitionName}' moves to '${named.to}', not '${to}'.` };
+    }
+    to = named.to;
+  }
+
+  if (!to || !STATUSES.includes(to)) { // target status must exist
+    return { status:400, error:"Invalid target status." };
+  }
+
+  const candidates = workflow.filter(t => // all transitions that could perform this move
+    t.from.includes(issue.status) && t.to === to && (!transitionName || t.name === transitionName)
+  );
+
+  if (!candidates.length) { // no such edge in the state machine
+    return {
+      status:400,
+      error:`Transition from '${issue.status}' to '${to}' is not allowed by this project's workflow.`,
+      allowed:listAllowedTransitions(user, project, issue)
+    };
+  }
+
+  const roles = getIssueRoles(user, project, issue);
+  const transition = candidates.find(t => t.roles.some(role => roles.includes(role)));
+
+  if (!transition) { // edge exists, but user's roles don't permit it
+    return {
+      status:403,
+      error:`Your role does not allow moving this issue from '${issue.status}' to '${to}'.`,
+      requiredRoles:[...new Set(candidates.flatMap(t => t.roles))]
+    };
+  }
+
+  const missing = (transition.requiredFields || []).filter(f => !String(fields[f] ?? "").trim());
+
+  if (missing.length) { // required fields not supplied
+    return { status:400, error:`Transition '${transition.name}' requires: ${missing.join(", ")}.`, missing };
+  }
+
+  return { transition };
+};
+
+export const getWipLimit = (project, status) => { // Column (status) WIP limit of a project, or null
+  const limits = project?.wipLimits;
+  const limit  = limits instanceof Map ? limits.get(status) : limits?.[status];
+  return Number.isInteger(limit) && limit > 0 ? limit : null;
+};
+
+/* Extra (async) checks a transition must pass on top of the workflow itself.
+ * 'pending' = issues already moved into 'to' but not saved (bulk dry runs), counted against its WIP limit.
+ * Returns null when OK or { status, error, ...extra } when the move is refused.
+ */
+export const checkTransitionGuards = async ({ issue, project, to, force = false, pending = 0 }) => {
+
+  if(to==="resolved" && project.enforceBlockers){ // can't resolve while blockers are still open
+    const blockers = await findOpenBlockers(issue._id);
+    if(blockers.length){
+      return { status:409, error:"Issue still has unresolved blockers.", blockers };
+    }
+  }
+
+  if(to==="closed" && !force){ // closing a parent with open children needs an explicit override
+    const openChildren = await countOpenDescendants(issue._id);
+    if(openChildren){
+      return { status:409, error:`Issue has ${openChildren} open child issue(s). Resend with force=true to close anyway.`, openChildren };
+    }
+  }
+
+  const wipLimit = getWipLimit(project, to);
+  if(wipLimit){ // target column is full
+    const current = await Issue.countDocuments({ projectId:issue.projectId, status:to, archivedAt:null, _id:{ $ne:issue._id } }) + pending;
+    if(current >= wipLimit){
+      return { status:409, error:`WIP limit reached for '${to}' (${current}/${wipLimit}).`, wipLimit, current };
+    }
+  }
+  return null;
+};
+
+export const applyTransition = (issue, transition, user, { resolution, comment } = {}) => { // Applies an already-validated transition to an issue doc
+
+  const from = issue.status;  // fetch previous status
+  issue.status = transition.to;  // set new status
+  issue.statusHistory.push({ // save status history for auditing (incl. which transition was used)
+    from, 
+    to: transition.to, 
+    by: user._id, 
+    at: new Date(), 
+    transition: transition.name, 
+    comment: comment ? String(comment) : "" 
+  }); 
+
+  if(["resolved","closed"].includes(transition.to)){ // keep resolution reason when resolving/closing
+    if(resolution !== undefined && String(resolution).trim()){ 
+      issue.resolution = String(resolution);
+    }
+  }
+  else { // re-opened/restarted issues lose their old resolution
+    issue.resolution = "";
+  }
+  issue.closedAt = transition.to==="closed" ? new Date() : undefined;  // Maintain 'closedAt' (date when issue is closed)
+};
+
+export const validateWorkflow = (transitions) => { // Validates a workflow definition; returns error string or null
+
+  if (!Array.isArray(transitions) || !transitions.length) {
+    return "transitions must be a non-empty array.";
+  }
+
+  const names = new Set();
+
+  for (const t of transitions) {
+
+    if (!t || typeof t.name !== "string" || !t.name.trim()) {
+      return "Each transition needs a name.";
+    }
+    const name = t.name.trim(); // as stored (updateWorkflow trims); planTransition looks names up exactly
+
+    if (name.length > MAX_TRANSITION_NAME) {
+      return `Transition name '${name.slice(0, 20)}…' is longer than ${MAX_TRANSITION_NAME} characters.`;
+    }
+    if (names.has(name)) {
+      return `Duplicate transition name '${name}'.`;
+    }
+    names.add(name);
+
+    if (!Array.isArray(t.from) || !t.from.length || t.from.some(s => !STATUSES.includes(s))) {
+      return `Transition '${name}' has invalid 'from' statuses.`;
+    }
+    if (!STATUSES.includes(t.to)) {
+      return `Transition '${name}' has an invalid 'to' status.`;
+    }
+    if (t.from.includes(t.to)) {
+      return `Transition '${name}' cannot move an issue to the status it starts from.`;
+    }
+    if (!Array.isArray(t.roles) || !t.roles.length || t.roles.some(r => !WORKFLOW_ROLES.includes(r))) {
+      return `Transition '${name}' has invalid roles (allowed: ${WORKFLOW_ROLES.join(", ")}).`;
+    }
+    if (t.requiredFields !== undefined &&
+       (!Array.isArray(t.requiredFields) || t.requiredFields.some(f => !WORKFLOW_FIELDS.includes(f)))) {
+      return `Transition '${name}' has invalid requiredFields (allowed: ${WORKFLOW_FIELDS.join(", ")}).`;
+    }
+  }
+
+  return null;
+};
+
+export { DEFAULT_WORKFLOW, WORKFLOW_ROLES, WORKFLOW_FIELDS };